@@ -0,0 +1,322 @@
+// ──────────────────────────────────────────────
+// PLAYER CAREERS
+// Players live through the simulated seasons. When a
+// matchday plays their club's fixture they start, come off
+// the bench or sit it out (by level against the club, form,
+// fitness and morale); appearances, minutes, goals, assists
+// and a match rating go on their record, and the rating
+// feeds their form.
+//
+// At rollover each player's season goes into their career
+// history (totals from the matches logged, not the player's
+// own counters) and the season counters reset. Then they age a
+// year: young players grow toward their potential (faster
+// with minutes and good ratings), players past 30 decline,
+// and potential narrows as the ceiling comes into view.
+// A player whose club has left the EFL (promoted to the Premier
+// League or down to the National League) signs on the same
+// terms for the club nearest their level in the league it left.
+//
+// Draws are seeded from the season, matchday and player,
+// so a replayed season plays out the same careers.
+// ──────────────────────────────────────────────
+
+import { createCollection } from "./storage.js";
+import { createRng, seedToState } from "./random.js";
+import { setSeasonHooks, findTeam, getTeams } from "./leagues.js";
+import { getPlayer, getPlayers, updatePlayer, estimateValue, positionGroup } from "./players.js";
+import { getClubStanding, relocatePlayer } from "./transfers.js";
+
+const RECENT_MATCHES = 10;
+const FORM_WEIGHT = 0.3; // how much one match rating moves form_rating
+const MIN_OVERALL = 40;
+const MATCHDAY_RECOVERY = 10; // fitness back from a day between matches
+
+// Chance a player had a hand in each of their team's goals, per 90 minutes
+const GOAL_SHARE = { goalkeeper: 0, defender: 0.04, midfielder: 0.08, attacking_midfielder: 0.16, forward: 0.3 };
+const ASSIST_SHARE = { goalkeeper: 0.01, defender: 0.07, midfielder: 0.12, attacking_midfielder: 0.2, forward: 0.12 };
+const MORALE_SELECTION = { high: 0.05, medium: 0, low: -0.1 };
+
+// player id → { season (the one in progress), matches (newest first), seasons (newest first) }
+const careers = createCollection("careers");
+
+const round1 = (n) => Math.round(n * 10) / 10;
+const round2 = (n) => Math.round(n * 100) / 100;
+const clamp = (n, min, max) => Math.min(max, Math.max(min, n));
+
+function formLabel(rating) {
+  if (rating >= 7.5) return "excellent";
+  if (rating >= 6.8) return "good";
+  if (rating >= 6) return "average";
+  return "poor";
+}
+
+function load(playerId) {
+  return careers.get(playerId) || { season: null, matches: [], seasons: [] };
+}
+
+// A reset-sync starts a new run from season 1: the old run's log
+// is left behind rather than carried into the new one
+function seasonLog(career, run, season, player) {
+  if (career.season?.season === season && career.season.run === run) return career.season;
+  return {
+    run,
+    season,
+    clubs: [player.club],
+    club_fixtures: 0, // games their club played, whether they featured or not
+    starts: 0,
+    rated: 0,
+    rating_total: 0,
+    age: player.age,
+    overall_start: player.overall,
+    potential_start: player.potential,
+    fixtures: {}, // fixture id → what they did in it
+  };
+}
+
+// The season's appearances, minutes, goals and assists come from the
+// matches on the log, never the player's own (editable) counters
+function seasonTotals(log) {
+  const appearances = Object.values(log?.fixtures ?? {});
+  const sum = (field) => appearances.reduce((total, a) => total + a[field], 0);
+  return { appearances: appearances.length, minutes: sum("minutes"), goals: sum("goals"), assists: sum("assists") };
+}
+
+// ── MATCHDAYS ─────────────────────────────────
+
+// Start, bench or unused: better players than the club's level
+// start more, tired and unhappy ones less
+function selection(player, gap, rng) {
+  const base = clamp(0.55 + gap * 0.06 + (player.form_rating - 6.5) * 0.05 + (MORALE_SELECTION[player.morale] ?? 0), 0.05, 0.95);
+  const start = player.fitness < 50 ? base / 2 : base;
+
+  const roll = rng.next();
+  if (roll < start) return { started: true, minutes: rng.next() < 0.25 ? 60 + Math.floor(rng.next() * 26) : 90 };
+  if (roll < start + (1 - start) * 0.6) return { started: false, minutes: 10 + Math.floor(rng.next() * 26) };
+  return null;
+}
+
+function playMatch(player, fixture, rng) {
+  const home = fixture.home === player.club;
+  const scored = home ? fixture.homeGoals : fixture.awayGoals;
+  const conceded = home ? fixture.awayGoals : fixture.homeGoals;
+  const won = fixture.penalties ? (fixture.penalties.home > fixture.penalties.away) === home : scored > conceded;
+  const result = won ? "W" : scored === conceded && !fixture.penalties ? "D" : "L";
+
+  const standing = getClubStanding(player.club);
+  const gap = standing ? player.overall - standing.level : 0;
+  const picked = selection(player, gap, rng);
+  const match = {
+    fixture_id: fixture.id,
+    matchday: fixture.matchday,
+    league: fixture.league,
+    ...(fixture.stage && { stage: fixture.stage }),
+    opponent: home ? fixture.away : fixture.home,
+    venue: home ? "Home" : "Away",
+    score: `${scored}-${conceded}`,
+    result,
+  };
+  if (!picked) return { ...match, appeared: false };
+
+  const group = positionGroup(player.position);
+  const quality = clamp(1 + gap * 0.04, 0.5, 1.8);
+  const share = picked.minutes / 90;
+  let goals = 0;
+  let assists = 0;
+  for (let i = 0; i < scored; i++) {
+    if (rng.next() < GOAL_SHARE[group] * share * quality) goals++;
+    else if (rng.next() < ASSIST_SHARE[group] * share * quality) assists++;
+  }
+
+  let rating = 6.2 + { W: 0.4, D: 0, L: -0.4 }[result] + goals * 0.9 + assists * 0.5 + gap * 0.03 + (rng.next() - 0.5) * 1.2;
+  if (group === "goalkeeper" || group === "defender") {
+    if (conceded === 0 && picked.minutes >= 60) rating += 0.5;
+    if (conceded >= 3) rating -= 0.4;
+  }
+  // A short run off the bench says less either way
+  if (!picked.started) rating = 6.5 + (rating - 6.5) * 0.6;
+
+  return { ...match, appeared: true, started: picked.started, minutes: picked.minutes, goals, assists, rating: round1(clamp(rating, 3, 10)) };
+}
+
+// Returns our players' appearances by fixture id, for the match reports
+function onMatchday({ run, season, matchday, kickoff, fixtures }) {
+  const appearances = {};
+  for (const player of getPlayers()) {
+    const fixture = fixtures.find((f) => f.home === player.club || f.away === player.club);
+    if (!fixture) continue;
+
+    const rng = createRng(seedToState(`career:${season}:${matchday}:${player.id}`));
+    const match = { ...playMatch(player, fixture, rng), season, at: kickoff };
+    const career = load(player.id);
+    const log = seasonLog(career, run, season, player);
+    const fitness = Math.min(100, player.fitness + MATCHDAY_RECOVERY);
+    log.club_fixtures = (log.club_fixtures ?? 0) + 1;
+
+    if (match.appeared) {
+      const formRating = round1(player.form_rating * (1 - FORM_WEIGHT) + match.rating * FORM_WEIGHT);
+      updatePlayer(player.id, {
+        matches_played: player.matches_played + 1,
+        minutes_played: player.minutes_played + match.minutes,
+        goals: player.goals + match.goals,
+        assists: player.assists + match.assists,
+        form_rating: formRating,
+        form: formLabel(formRating),
+        fitness: Math.max(0, fitness - Math.round(match.minutes / 10)),
+      });
+      log.starts += match.started ? 1 : 0;
+      log.rated++;
+      log.rating_total = round1(log.rating_total + match.rating);
+      const appearance = { club: player.club, started: match.started, minutes: match.minutes, goals: match.goals, assists: match.assists, rating: match.rating };
+      log.fixtures = { ...log.fixtures, [fixture.id]: appearance };
+      (appearances[fixture.id] ??= []).push({ player_id: player.id, name: player.name, position: player.position, ...appearance });
+    } else if (fitness !== player.fitness) {
+      updatePlayer(player.id, { fitness });
+    }
+    if (!log.clubs.includes(player.club)) log.clubs.push(player.club);
+
+    careers.set(player.id, { ...career, season: log, matches: [match, ...career.matches].slice(0, RECENT_MATCHES) });
+  }
+  return appearances;
+}
+
+// ── ROLLOVER ──────────────────────────────────
+
+// How many overall points a season's worth of ageing is worth
+function growth(player, minutesShare, averageRating, rng) {
+  const { age } = player;
+  let points = age <= 21 ? 3 : age <= 24 ? 2 : age <= 28 ? 1 : age <= 30 ? 0 : age <= 32 ? -1 : -2;
+
+  if (points > 0) {
+    points += minutesShare >= 0.5 ? 1 : minutesShare < 0.15 ? -1 : 0;
+    if (averageRating >= 7.2) points++;
+  } else if (points < 0 && minutesShare >= 0.6) {
+    points++; // regular football slows the decline
+  }
+
+  const roll = rng.next();
+  return points + (roll < 0.2 ? -1 : roll >= 0.8 ? 1 : 0);
+}
+
+// Young players who shine raise their ceiling; from 25 it closes in
+function newPotential(player, overall, minutesShare, averageRating) {
+  let potential = player.potential;
+  if (player.age <= 23 && minutesShare >= 0.5 && averageRating >= 7.5) potential++;
+  else if (player.age >= 29) potential -= 2;
+  else if (player.age >= 25) potential--;
+  return clamp(potential, overall, 99);
+}
+
+function ageAttributes(attributes, change) {
+  if (change === 0) return attributes;
+  // Pace and physicality are the first to go
+  return Object.fromEntries(Object.entries(attributes).map(([attribute, value]) => {
+    const extra = change < 0 && (attribute === "pace" || attribute === "physical") ? -1 : 0;
+    return [attribute, round2(clamp(value + change + extra, 1, 99))];
+  }));
+}
+
+function leagueLeft(club, summary) {
+  return Object.keys(summary.promoted).find((id) => summary.promoted[id].includes(club) || summary.relegated[id].includes(club));
+}
+
+function clubNearLevel(leagueId, overall) {
+  const clubs = getTeams().filter((t) => t.leagueId === leagueId).map((t) => getClubStanding(t.team));
+  clubs.sort((a, b) => Math.abs(a.level - overall) - Math.abs(b.level - overall));
+  return clubs[0]?.team ?? null;
+}
+
+function onRollover({ run, season, summary }) {
+  for (const player of getPlayers()) {
+    const career = load(player.id);
+    const log = seasonLog(career, run, season, player);
+    const averageRating = log.rated ? round1(log.rating_total / log.rated) : null;
+    const totals = seasonTotals(log);
+    const minutesShare = log.club_fixtures ? totals.minutes / (log.club_fixtures * 90) : 0;
+
+    const rng = createRng(seedToState(`career:${season}:rollover:${player.id}`));
+    const points = growth(player, minutesShare, averageRating ?? 0, rng);
+    const overall = clamp(points > 0 ? Math.min(player.potential, player.overall + points) : player.overall + points, MIN_OVERALL, 99);
+    const potential = newPotential(player, overall, minutesShare, averageRating ?? 0);
+    const age = Math.min(45, player.age + 1);
+
+    const record = {
+      season,
+      age: player.age,
+      club: player.club,
+      clubs: log.clubs,
+      appearances: totals.appearances,
+      starts: log.starts,
+      minutes: totals.minutes,
+      goals: totals.goals,
+      assists: totals.assists,
+      average_rating: averageRating,
+      overall_start: log.overall_start,
+      overall_end: player.overall,
+      potential_end: player.potential,
+      progression: { age, overall: overall - player.overall, potential: potential - player.potential },
+    };
+
+    updatePlayer(player.id, {
+      age,
+      overall,
+      potential,
+      ...(player.attributes && { attributes: ageAttributes(player.attributes, overall - player.overall) }),
+      value: estimateValue({ overall, potential, age }),
+      goals: 0,
+      assists: 0,
+      minutes_played: 0,
+      matches_played: 0,
+    });
+
+    // Their club has left the Football League (up or down)
+    if (!findTeam(player.club)) {
+      const club = clubNearLevel(leagueLeft(player.club, summary), overall);
+      if (club && relocatePlayer(player.id, club).success) record.moved_to = club;
+    }
+
+    careers.set(player.id, { ...career, season: null, seasons: [record, ...career.seasons] });
+  }
+}
+
+// ── PUBLIC API ─────────────────────────────────
+
+/**
+ * Follow the league simulation: matchdays update player stats,
+ * rollovers archive seasons and age players.
+ */
+export function trackCareers() {
+  setSeasonHooks({ matchday: onMatchday, rollover: onRollover });
+}
+
+/**
+ * A player's season so far, recent matches and past seasons
+ * (newest first). Null for unknown players.
+ */
+export function getCareer(playerId) {
+  const player = getPlayer(playerId);
+  if (!player) return null;
+
+  const career = load(playerId);
+  const log = career.season;
+  const totals = seasonTotals(log);
+  return {
+    current: {
+      season: log?.season ?? null,
+      age: player.age,
+      club: player.club,
+      clubs: log?.clubs ?? [player.club],
+      appearances: totals.appearances,
+      starts: log?.starts ?? 0,
+      minutes: totals.minutes,
+      goals: totals.goals,
+      assists: totals.assists,
+      average_rating: log?.rated ? round1(log.rating_total / log.rated) : null,
+      overall: player.overall,
+      potential: player.potential,
+      overall_change: log ? player.overall - log.overall_start : 0,
+    },
+    recent_matches: career.matches,
+    seasons: career.seasons,
+  };
+}
@@ -0,0 +1,150 @@
+// ──────────────────────────────────────────────
+// CONVERSATION MEMORY
+// Message history per conversation_id, plus what the
+// agent last showed the user (e.g. a list of clubs) so
+// follow-ups like "what about the second one?" can be
+// resolved against it.
+//
+// Only recent conversations are kept: one untouched for
+// 30 days is dropped, and past 1,000 the least recently
+// used go first.
+// ──────────────────────────────────────────────
+
+import { randomUUID } from "node:crypto";
+import { createCollection } from "./storage.js";
+
+const MAX_MESSAGES = 50;
+const MAX_CONVERSATIONS = 1000;
+const MAX_AGE_DAYS = 30;
+const MAX_ID_LENGTH = 64;
+const DAY_MS = 24 * 3600 * 1000;
+
+const conversations = createCollection("conversations");
+
+// ── FOLLOW-UP RESOLUTION ──────────────────────
+
+// Whole words only; \b doesn't understand accented letters
+const words = (...list) => new RegExp(`(?<![\\p{L}\\d])(${list.join("|")})(?![\\p{L}\\d])`, "u");
+
+// English, Spanish and German, to match the reply locales
+const ORDINALS = [
+  { pattern: words("first", "1st", "top", "number one", "number 1", "primero", "primera", "primer", "erste", "ersten", "erster", "erstes"), index: 0 },
+  { pattern: words("second", "2nd", "number two", "number 2", "segundo", "segunda", "zweite", "zweiten", "zweiter", "zweites"), index: 1 },
+  { pattern: words("third", "3rd", "number three", "number 3", "tercero", "tercera", "tercer", "dritte", "dritten", "dritter", "drittes"), index: 2 },
+  { pattern: words("fourth", "4th", "number four", "number 4", "cuarto", "cuarta", "vierte", "vierten", "vierter", "viertes"), index: 3 },
+  { pattern: words("fifth", "5th", "number five", "number 5", "quinto", "quinta", "fünfte", "fünften", "fünfter", "fünftes"), index: 4 },
+  { pattern: words("last", "final", "bottom", "último", "última", "ultimo", "ultima", "letzte", "letzten", "letzter", "letztes"), index: -1 },
+];
+
+// Only at the start of the message (Spanish questions may open with ¿)
+const FOLLOW_UP_OPENERS = new RegExp(`^[¿¡]?${words(
+  "and", "what about", "how about", "what else", "tell me more", "more", "go on", "why", "ok", "okay", "so",
+  "y", "y el", "y la", "qué más", "que más", "cuéntame más", "por qué", "vale",
+  "und", "was ist mit", "was noch", "erzähl mehr", "warum",
+).source}`, "u");
+
+/**
+ * Pick the item a message points at ("the second one", "the last
+ * club") from the list the agent showed last. Null if none.
+ */
+export function resolveReference(text, conversation) {
+  const list = conversation?.last_references;
+  if (!list?.items?.length) return null;
+
+  const lower = text.toLowerCase();
+
+  // Naming an item directly ("what about Freiburg?") counts too
+  const named = list.items.find((item) => lower.includes(item.label.toLowerCase()));
+  if (named) return { intent: list.intent, item: named };
+
+  for (const { pattern, index } of ORDINALS) {
+    if (!pattern.test(lower)) continue;
+    const item = index === -1 ? list.items[list.items.length - 1] : list.items[index];
+    if (item) return { intent: list.intent, item };
+  }
+
+  return null;
+}
+
+/**
+ * Does this look like a continuation of the last topic rather
+ * than a new one? ("and my morale?" is new; "what else?" isn't)
+ */
+export function isFollowUp(text) {
+  return FOLLOW_UP_OPENERS.test(text.toLowerCase().trim());
+}
+
+// ── RETENTION ─────────────────────────────────
+
+// Make room before `keepId` is saved: drop stale conversations,
+// then the least recently used ones over the cap
+function evictConversations(keepId, now) {
+  const others = conversations.all().filter((c) => c.id !== keepId);
+  const cutoff = now - MAX_AGE_DAYS * DAY_MS;
+  const stale = others.filter((c) => new Date(c.updated_at).getTime() < cutoff);
+  const fresh = others
+    .filter((c) => !stale.includes(c))
+    .sort((a, b) => a.updated_at.localeCompare(b.updated_at));
+  const overCap = fresh.slice(0, Math.max(0, fresh.length - (MAX_CONVERSATIONS - 1)));
+
+  for (const conversation of [...stale, ...overCap]) conversations.delete(conversation.id);
+}
+
+// ── PUBLIC API ─────────────────────────────────
+
+/**
+ * Is this usable as a conversation_id? (A non-empty string of at
+ * most 64 characters; leaving it out starts a new conversation.)
+ */
+export function isValidConversationId(conversationId) {
+  return typeof conversationId === "string" && conversationId.length > 0 && conversationId.length <= MAX_ID_LENGTH;
+}
+
+/**
+ * Load a conversation, creating it if the id is new or missing.
+ */
+export function getOrCreateConversation(conversationId, playerId) {
+  const existing = conversationId ? conversations.get(conversationId) : null;
+  if (existing) return existing;
+
+  const now = new Date().toISOString();
+  return {
+    id: conversationId || randomUUID(),
+    player_id: playerId,
+    created_at: now,
+    updated_at: now,
+    last_intent: null,
+    last_references: null,
+    messages: [],
+  };
+}
+
+/**
+ * Store one exchange: the user's message and the agent's reply.
+ * `references` is the list the reply showed, if any.
+ */
+export function recordExchange(conversation, { text, intent, reply, references }) {
+  const at = new Date().toISOString();
+
+  conversation.messages.push(
+    { role: "user", text, intent, at },
+    { role: "agent", text: reply, intent, at },
+  );
+  conversation.messages = conversation.messages.slice(-MAX_MESSAGES);
+  conversation.last_intent = intent;
+  // A reply on a new topic without a list makes the old list stale
+  if (references) conversation.last_references = references;
+  else if (conversation.last_references?.intent !== intent) conversation.last_references = null;
+  conversation.updated_at = at;
+
+  evictConversations(conversation.id, Date.parse(at));
+  conversations.set(conversation.id, conversation);
+  return conversation;
+}
+
+/**
+ * Get a stored conversation (null if unknown).
+ */
+export function getConversation(conversationId) {
+  return conversations.get(conversationId);
+}
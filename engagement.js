@@ -0,0 +1,423 @@
+// ──────────────────────────────────────────────
+// ENGAGEMENT TRACKING
+// The server records each player's logins, chat messages
+// and training sessions itself, and works out the
+// engagement tier from that history — clients can no
+// longer post their own metrics.
+//
+// Per player we keep running totals, the last time of
+// each event and daily counts (for trends). Logins count
+// once a day — the client posts them, so a burst of posts
+// must not buy consistency.
+//
+// Scoring factors and tiers live in engagement.config.json
+// (or ENGAGEMENT_CONFIG) so they can be tuned without a
+// deploy. The file is validated on load and re-read when it
+// changes; a bad edit is rejected and the running config
+// kept.
+// ──────────────────────────────────────────────
+
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
+import { createCollection } from "./storage.js";
+import en from "./locales/en.js";
+
+const EVENT_TYPES = ["login", "chat", "training"];
+const HISTORY_DAYS = 90;
+const HOUR_MS = 3600 * 1000;
+
+// Absences shorter than this are just a night's sleep
+const BREAK_HOURS = 24;
+
+const records = createCollection("engagement");
+
+// ── CONFIG ────────────────────────────────────
+
+const CONFIG_PATH = process.env.ENGAGEMENT_CONFIG || fileURLToPath(new URL("./engagement.config.json", import.meta.url));
+
+// Metrics factors and tier conditions can test
+const METRICS = [
+  "training_sessions_completed",
+  "hours_since_last_training",
+  "hours_since_last_login",
+  "hours_since_last_chat",
+  "hours_since_last_seen",
+  "days_away",
+  "total_logins",
+  "chat_messages",
+  "days_active",
+  "days_active_last_7",
+];
+
+// Catalogue sections written per tier. A tier without its own copy
+// borrows it through `copy_from`
+const TIERED_COPY = [
+  "greeting",
+  "training",
+  "change_training",
+  "match",
+  "form",
+  "transfer",
+  "negotiation",
+  "career",
+  "morale",
+  "reference.push",
+  "general",
+];
+
+const isNumber = (n) => typeof n === "number" && Number.isFinite(n);
+
+function hasCopy(section, tier) {
+  return `${section}.${tier}`.split(".").reduce((node, part) => node?.[part], en) !== undefined;
+}
+
+// A threshold is { at_most: n } or { at_least: n }
+function checkThreshold(threshold, where, errors) {
+  const keys = ["at_most", "at_least"].filter((k) => threshold?.[k] !== undefined);
+  if (keys.length !== 1) return errors.push(`${where}: needs exactly one of at_most, at_least`);
+  if (!isNumber(threshold[keys[0]])) errors.push(`${where}.${keys[0]}: must be a number`);
+}
+
+function validateFactors(factors, errors) {
+  if (!Array.isArray(factors) || factors.length === 0) return errors.push("factors: must be a non-empty list");
+
+  const seen = new Set();
+  factors.forEach((factor, i) => {
+    const where = `factors[${i}]`;
+    if (typeof factor?.id !== "string" || !factor.id) errors.push(`${where}.id: required`);
+    else if (seen.has(factor.id)) errors.push(`${where}.id: duplicate "${factor.id}"`);
+    seen.add(factor?.id);
+
+    if (!METRICS.includes(factor?.metric)) errors.push(`${where}.metric: must be one of ${METRICS.join(", ")}`);
+    if (!Array.isArray(factor?.bands) || factor.bands.length === 0) {
+      return errors.push(`${where}.bands: must be a non-empty list`);
+    }
+    factor.bands.forEach((band, j) => {
+      checkThreshold(band, `${where}.bands[${j}]`, errors);
+      if (!Number.isInteger(band?.points) || band.points < 0) {
+        errors.push(`${where}.bands[${j}].points: must be a whole number, 0 or more`);
+      }
+    });
+  });
+}
+
+function validateTiers(tiers, errors) {
+  if (!Array.isArray(tiers) || tiers.length === 0) return errors.push("tiers: must be a non-empty list");
+
+  const ids = tiers.map((t) => t?.id);
+  let lastMinScore = Infinity;
+
+  tiers.forEach((tier, i) => {
+    const where = `tiers[${i}]`;
+    if (typeof tier?.id !== "string" || !/^[a-z_]+$/.test(tier.id)) {
+      errors.push(`${where}.id: lowercase letters and underscores only`);
+    } else if (ids.indexOf(tier.id) !== i) {
+      errors.push(`${where}.id: duplicate "${tier.id}"`);
+    }
+    if (typeof tier?.tone !== "string" || !tier.tone.trim()) errors.push(`${where}.tone: required`);
+
+    if ((tier?.min_score === undefined) === (tier?.when === undefined)) {
+      errors.push(`${where}: needs exactly one of min_score, when`);
+    } else if (tier.when !== undefined) {
+      if (!METRICS.includes(tier.when?.metric)) errors.push(`${where}.when.metric: must be one of ${METRICS.join(", ")}`);
+      checkThreshold(tier.when, `${where}.when`, errors);
+    } else if (!isNumber(tier.min_score)) {
+      errors.push(`${where}.min_score: must be a number`);
+    } else {
+      // Scored tiers are tried in order, so a lower bar first would hide the rest
+      if (tier.min_score > lastMinScore) errors.push(`${where}.min_score: scored tiers must run highest first`);
+      lastMinScore = tier.min_score;
+    }
+
+    if (tier?.copy_from !== undefined && (!ids.includes(tier.copy_from) || tier.copy_from === tier.id)) {
+      errors.push(`${where}.copy_from: must name another tier`);
+    }
+  });
+
+  if (!(lastMinScore <= 0)) errors.push("tiers: the last scored tier needs min_score 0 or less so every player gets a tier");
+
+  // Every tier needs copy for every section, its own or borrowed
+  if (errors.length === 0) {
+    for (const tier of tiers) {
+      const chain = copyChain(tiers, tier.id);
+      if (!chain) {
+        errors.push(`tiers: "${tier.id}" copy_from goes round in a circle`);
+        continue;
+      }
+      const missing = TIERED_COPY.filter((section) => !chain.some((t) => hasCopy(section, t)));
+      if (missing.length) errors.push(`tiers: no copy for "${tier.id}" in ${missing.join(", ")} — add it to the catalogues or set copy_from`);
+    }
+  }
+}
+
+// "lapsed" → ["lapsed", "low"]; null on a cycle
+function copyChain(tiers, id) {
+  const chain = [];
+  for (let tier = tiers.find((t) => t.id === id); tier; tier = tiers.find((t) => t.id === tier.copy_from)) {
+    if (chain.includes(tier.id)) return null;
+    chain.push(tier.id);
+  }
+  return chain;
+}
+
+/**
+ * Check an engagement config. Returns the list of problems (empty if valid).
+ */
+export function validateEngagementConfig(config) {
+  const errors = [];
+  if (typeof config !== "object" || config === null || Array.isArray(config)) return ["config: must be an object"];
+
+  if (!isNumber(config.return_window_hours) || config.return_window_hours < 0) {
+    errors.push("return_window_hours: must be a number, 0 or more");
+  }
+  validateFactors(config.factors, errors);
+  validateTiers(config.tiers, errors);
+  return errors;
+}
+
+function readConfig() {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(CONFIG_PATH, "utf8"));
+  } catch (err) {
+    return { success: false, message: `Could not read ${CONFIG_PATH} — ${err.message}`, errors: [err.message] };
+  }
+
+  const errors = validateEngagementConfig(config);
+  if (errors.length) return { success: false, message: `Invalid engagement config in ${CONFIG_PATH}`, errors };
+  return { success: true, config };
+}
+
+// The running config; a broken file at startup is fatal
+let active = (() => {
+  const result = readConfig();
+  if (!result.success) throw new Error(`${result.message}: ${result.errors.join("; ")}`);
+  return { config: result.config, loaded_at: new Date().toISOString() };
+})();
+
+function applyConfig(config) {
+  active = { config, loaded_at: new Date().toISOString() };
+  return { success: true, path: CONFIG_PATH, loaded_at: active.loaded_at, config };
+}
+
+/**
+ * The running engagement config and when it was loaded.
+ */
+export function getEngagementConfig() {
+  return { path: CONFIG_PATH, loaded_at: active.loaded_at, config: active.config };
+}
+
+/**
+ * Re-read the config file. An invalid file is rejected and the
+ * running config stays in place.
+ */
+export function reloadEngagementConfig() {
+  const result = readConfig();
+  return result.success ? applyConfig(result.config) : result;
+}
+
+/**
+ * Validate a new config, write it to the config file and apply it.
+ */
+export function saveEngagementConfig(config) {
+  const errors = validateEngagementConfig(config);
+  if (errors.length) return { success: false, message: "Invalid engagement config", errors };
+
+  const tmp = `${CONFIG_PATH}.tmp`;
+  fs.writeFileSync(tmp, `${JSON.stringify(config, null, 2)}\n`);
+  fs.renameSync(tmp, CONFIG_PATH);
+  return applyConfig(config);
+}
+
+/**
+ * Reload the config whenever its file changes.
+ */
+export function watchEngagementConfig({ intervalMs = 2000 } = {}) {
+  fs.watchFile(CONFIG_PATH, { interval: intervalMs }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    const result = reloadEngagementConfig();
+    if (result.success) console.log(`Engagement config reloaded from ${CONFIG_PATH}`);
+    else console.error(`${result.message} — keeping the running config: ${result.errors.join("; ")}`);
+  }).unref();
+}
+
+/**
+ * Tier ids in the running config, in the order they're tried.
+ */
+export function getTierIds() {
+  return active.config.tiers.map((t) => t.id);
+}
+
+/**
+ * The configured tier (id, tone, copy_from, …), or null.
+ */
+export function getTier(id) {
+  return active.config.tiers.find((t) => t.id === id) || null;
+}
+
+/**
+ * The tier itself followed by the tiers it borrows copy from.
+ */
+export function getCopyChain(id) {
+  return copyChain(active.config.tiers, id) || [id];
+}
+
+// ── SCORING ───────────────────────────────────
+
+function meets(threshold, value) {
+  if (value === null || value === undefined) return false;
+  return threshold.at_most !== undefined ? value <= threshold.at_most : value >= threshold.at_least;
+}
+
+// Bands are tried best first; a metric with no value (never trained,
+// never logged in) scores nothing
+function scoreFactor(factor, value) {
+  const band = factor.bands.find((b) => meets(b, value));
+  return band ? band.points : 0;
+}
+
+// ── HELPERS ───────────────────────────────────
+
+function emptyRecord(playerId) {
+  return {
+    player_id: playerId,
+    first_seen: null,
+    totals: { login: 0, chat: 0, training: 0 },
+    last: { login: null, chat: null, training: null },
+    days: {}, // "YYYY-MM-DD" → { login, chat, training }
+    last_break: null, // { hours, ended_at } — the last absence of a day or more
+  };
+}
+
+function lastSeen(record) {
+  const times = Object.values(record.last).filter(Boolean).sort();
+  return times.length ? times[times.length - 1] : null;
+}
+
+function hoursSince(iso, now) {
+  if (!iso) return null;
+  return Math.round(((now - new Date(iso)) / HOUR_MS) * 10) / 10;
+}
+
+function dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// ── PUBLIC API ─────────────────────────────────
+
+/**
+ * Record one login, chat message or training session for a player.
+ * A second login on the same day only refreshes the last login time
+ * (`counted: false`).
+ */
+export function recordEvent(playerId, type, at = new Date()) {
+  if (!EVENT_TYPES.includes(type)) {
+    return { success: false, message: `Unknown engagement event: ${type}. Use: ${EVENT_TYPES.join(", ")}` };
+  }
+
+  const record = records.get(playerId) || emptyRecord(playerId);
+  const iso = at.toISOString();
+
+  const previous = lastSeen(record);
+  const gap = previous ? (at - new Date(previous)) / HOUR_MS : 0;
+  if (gap >= BREAK_HOURS) record.last_break = { hours: Math.round(gap * 10) / 10, ended_at: iso };
+
+  const day = dayKey(at);
+  record.days[day] ??= { login: 0, chat: 0, training: 0 };
+  const counted = type !== "login" || record.days[day].login === 0;
+
+  record.first_seen ??= iso;
+  record.last[type] = iso;
+  if (counted) {
+    record.totals[type]++;
+    record.days[day][type]++;
+  }
+
+  // Only keep recent days; totals carry the long-run picture
+  const cutoff = dayKey(new Date(at.getTime() - HISTORY_DAYS * 24 * HOUR_MS));
+  for (const key of Object.keys(record.days)) {
+    if (key < cutoff) delete record.days[key];
+  }
+
+  records.set(playerId, record);
+  return { success: true, type, at: iso, counted, totals: record.totals };
+}
+
+/**
+ * Metrics for a player, computed from their recorded history.
+ * Hours are null when the event has never happened.
+ *
+ * `days_away` is how long the player has been gone — or, for
+ * `return_window_hours` after they come back, how long they were
+ * gone — so a returning player still gets the welcome back.
+ */
+export function getEngagementMetrics(playerId, now = new Date()) {
+  const record = records.get(playerId) || emptyRecord(playerId);
+  const weekAgo = dayKey(new Date(now.getTime() - 6 * 24 * HOUR_MS));
+  const lastWeek = Object.entries(record.days).filter(([day]) => day >= weekAgo);
+
+  const hoursSinceSeen = hoursSince(lastSeen(record), now);
+  const breakEnded = hoursSince(record.last_break?.ended_at, now);
+  const returning = breakEnded !== null && breakEnded <= active.config.return_window_hours;
+  const hoursAway = Math.max(hoursSinceSeen ?? 0, returning ? record.last_break.hours : 0);
+
+  return {
+    training_sessions_completed: record.totals.training,
+    hours_since_last_training: hoursSince(record.last.training, now),
+    hours_since_last_login: hoursSince(record.last.login, now),
+    hours_since_last_chat: hoursSince(record.last.chat, now),
+    hours_since_last_seen: hoursSinceSeen,
+    days_away: hoursSinceSeen === null ? null : Math.round((hoursAway / 24) * 10) / 10,
+    total_logins: record.totals.login, // days with a login
+    chat_messages: record.totals.chat,
+    days_active: Object.keys(record.days).length,
+    days_active_last_7: lastWeek.length,
+    first_seen: record.first_seen,
+  };
+}
+
+/**
+ * Score a player's engagement: tier, total and the points each
+ * factor contributed. Tiers are tried in config order; the first
+ * whose condition (`when`) or `min_score` is met wins.
+ */
+export function assessEngagement(playerId, now = new Date()) {
+  const { factors, tiers } = active.config;
+  const metrics = getEngagementMetrics(playerId, now);
+
+  const breakdown = factors.map((factor) => ({
+    factor: factor.id,
+    label: factor.label ?? factor.id,
+    metric: factor.metric,
+    value: metrics[factor.metric],
+    points: scoreFactor(factor, metrics[factor.metric]),
+    max_points: Math.max(...factor.bands.map((b) => b.points)),
+  }));
+
+  const score = breakdown.reduce((sum, f) => sum + f.points, 0);
+  const tier = tiers.find((t) => (t.when ? meets(t.when, metrics[t.when.metric]) : score >= t.min_score));
+
+  return {
+    tier: tier.id,
+    score,
+    max_score: breakdown.reduce((sum, f) => sum + f.max_points, 0),
+    tiers: tiers.map(({ id, min_score, when }) => ({ id, ...(when ? { when } : { min_score }) })),
+    breakdown,
+    metrics,
+  };
+}
+
+/**
+ * Daily login/chat/training counts for the last `days` days,
+ * oldest first (days with no activity included as zeros).
+ */
+export function getEngagementHistory(playerId, days = 30, now = new Date()) {
+  const record = records.get(playerId) || emptyRecord(playerId);
+  const history = [];
+
+  for (let i = Math.min(days, HISTORY_DAYS) - 1; i >= 0; i--) {
+    const day = dayKey(new Date(now.getTime() - i * 24 * HOUR_MS));
+    history.push({ date: day, ...(record.days[day] || { login: 0, chat: 0, training: 0 }) });
+  }
+  return history;
+}
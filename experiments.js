@@ -0,0 +1,164 @@
+// ──────────────────────────────────────────────
+// EXPERIMENTS
+// A/B tests on the agent's replies. Every player lands in
+// one variant per experiment, picked by hashing the
+// experiment and player ids, so the same player always
+// sees the same variant without us storing assignments.
+//
+// A response shown to a player is an exposure. If the
+// player's next message is one of the suggested actions
+// from that response, it's a conversion for the variants
+// they saw.
+// ──────────────────────────────────────────────
+
+import { createCollection } from "./storage.js";
+import { createRng, seedToState } from "./random.js";
+
+// Intents that send the player towards training
+const TRAINING_INTENTS = ["query:training", "action:change_training"];
+
+const EXPERIMENTS = [
+  {
+    id: "tone_copy",
+    description: "Does the supportive mentor or the super-agent voice drive more training? Control speaks in the player's engagement tier.",
+    active: true,
+    variants: [
+      { id: "control", weight: 1 },
+      { id: "mentor", weight: 1, copy_tier: "low" },
+      { id: "super_agent", weight: 1, copy_tier: "high" },
+    ],
+  },
+  {
+    id: "action_order",
+    description: "Does putting training first in the suggested actions get it tapped more?",
+    active: true,
+    variants: [
+      { id: "control", weight: 1 },
+      { id: "training_first", weight: 1, lead_intents: TRAINING_INTENTS },
+    ],
+  },
+];
+
+const results = createCollection("experiment_results");
+// player id → the variants and suggested actions of the last response
+const pending = createCollection("experiment_pending");
+
+// ── ASSIGNMENT ────────────────────────────────
+
+function pickVariant(experiment, playerId) {
+  const roll = createRng(seedToState(`${experiment.id}:${playerId}`)).next();
+  const total = experiment.variants.reduce((sum, v) => sum + v.weight, 0);
+
+  let cumulative = 0;
+  for (const variant of experiment.variants) {
+    cumulative += variant.weight / total;
+    if (roll < cumulative) return variant;
+  }
+  return experiment.variants[experiment.variants.length - 1];
+}
+
+function variantFor(assignments, experimentId) {
+  const experiment = EXPERIMENTS.find((e) => e.id === experimentId);
+  return experiment?.variants.find((v) => v.id === assignments[experimentId]) || null;
+}
+
+// ── PUBLIC API ─────────────────────────────────
+
+/**
+ * The player's variant in every active experiment: { experiment: variant }.
+ */
+export function assignVariants(playerId) {
+  return Object.fromEntries(
+    EXPERIMENTS.filter((e) => e.active).map((e) => [e.id, pickVariant(e, playerId).id])
+  );
+}
+
+/**
+ * The tier whose copy a reply should use: the player's own, unless
+ * their tone variant speaks in a fixed voice.
+ */
+export function copyTierFor(engagement, assignments) {
+  return variantFor(assignments, "tone_copy")?.copy_tier || engagement;
+}
+
+/**
+ * Reorder suggested actions for the player's ordering variant.
+ */
+export function orderActions(actions, assignments) {
+  const lead = variantFor(assignments, "action_order")?.lead_intents;
+  if (!lead) return actions;
+  return [...actions.filter((a) => lead.includes(a.intent)), ...actions.filter((a) => !lead.includes(a.intent))];
+}
+
+/**
+ * Count a response the player was shown, remembering its suggested
+ * actions so their next message can be scored against them.
+ */
+export function recordExposure(playerId, assignments, suggestedActions = []) {
+  if (Object.keys(assignments).length === 0) return;
+
+  for (const [experimentId, variantId] of Object.entries(assignments)) {
+    const result = results.get(experimentId) || { experiment: experimentId, variants: {} };
+    result.variants[variantId] ??= { exposures: 0, conversions: 0, training_conversions: 0, actions: {} };
+    result.variants[variantId].exposures++;
+    results.set(experimentId, result);
+  }
+
+  pending.set(playerId, { assignments, intents: suggestedActions.map((a) => a.intent) });
+}
+
+/**
+ * Score the player's last response against what they did next.
+ * `actionIntent` is the suggested action they sent ("query:training"),
+ * or null for a typed message.
+ */
+export function recordOutcome(playerId, actionIntent) {
+  const last = pending.get(playerId);
+  if (!last) return null;
+  pending.delete(playerId);
+
+  const converted = Boolean(actionIntent) && last.intents.includes(actionIntent);
+  if (!converted) return { converted: false };
+
+  for (const [experimentId, variantId] of Object.entries(last.assignments)) {
+    const result = results.get(experimentId);
+    const stats = result?.variants[variantId];
+    if (!stats) continue;
+
+    stats.conversions++;
+    if (TRAINING_INTENTS.includes(actionIntent)) stats.training_conversions++;
+    stats.actions[actionIntent] = (stats.actions[actionIntent] || 0) + 1;
+    results.set(experimentId, result);
+  }
+  return { converted: true, intent: actionIntent };
+}
+
+/**
+ * Exposures and conversions per variant for every experiment.
+ */
+export function getExperimentReport() {
+  return EXPERIMENTS.map((experiment) => {
+    const recorded = results.get(experiment.id)?.variants || {};
+
+    return {
+      id: experiment.id,
+      description: experiment.description,
+      active: experiment.active,
+      variants: experiment.variants.map((variant) => {
+        const stats = recorded[variant.id] || { exposures: 0, conversions: 0, training_conversions: 0, actions: {} };
+        const rate = (n) => (stats.exposures ? Math.round((n / stats.exposures) * 1000) / 1000 : null);
+
+        return {
+          id: variant.id,
+          weight: variant.weight,
+          exposures: stats.exposures,
+          conversions: stats.conversions,
+          conversion_rate: rate(stats.conversions),
+          training_conversions: stats.training_conversions,
+          training_conversion_rate: rate(stats.training_conversions),
+          actions: stats.actions,
+        };
+      }),
+    };
+  });
+}
@@ -0,0 +1,210 @@
+// ──────────────────────────────────────────────
+// REPLY GENERATION
+// The response builders always run and produce a template
+// reply. A generation backend can then rewrite that reply
+// in its own words, given the same context the builders
+// saw. Anything going wrong (timeout, bad response, no
+// backend configured) falls back to the template.
+//
+// Backends:
+//   template → the builders' reply as-is (default)
+//   openai   → any OpenAI-compatible /chat/completions API,
+//              including the local mock in mock-llm.js
+//
+// Config:
+//   LLM_BACKEND=template|openai
+//   LLM_BASE_URL=https://api.openai.com/v1
+//   LLM_API_KEY=...
+//   LLM_MODEL=gpt-4o-mini
+//   LLM_TIMEOUT_MS=8000
+//   STREAM_CHUNK_MS=30   (gap between words when the template streams)
+// ──────────────────────────────────────────────
+
+import { setTimeout as sleep } from "node:timers/promises";
+
+const CHUNK_MS = Number(process.env.STREAM_CHUNK_MS) || 30;
+
+// ── PROMPT ────────────────────────────────────
+
+// `tone` is the engagement tier's tone from engagement.config.json
+function buildMessages({ intents, tone, language = "English", player, club, text, draft, history = [] }) {
+  const system = [
+    "You are Football Brain, a football agent advising the player you represent in a career game.",
+    `Tone: ${tone || "Balanced advisor. Mix encouragement with tactical career guidance."}`,
+    `Reply in ${language}, whatever language the draft is in.`,
+    `The user is asking about: ${intents.join(", ")}.`,
+    "Use only the facts in the context and the draft reply. Never invent clubs, fees, fixtures or stats.",
+    "Keep the markdown style of the draft (bold labels, short lists). Reply with the message only.",
+    "",
+    `Player: ${JSON.stringify(player)}`,
+    `Club: ${JSON.stringify(club)}`,
+    "",
+    `Draft reply:\n${draft}`,
+  ].join("\n");
+
+  return [
+    { role: "system", content: system },
+    ...history.map((m) => ({ role: m.role === "agent" ? "assistant" : "user", content: m.text })),
+    { role: "user", content: text },
+  ];
+}
+
+// Word-sized pieces that join back into exactly the original text
+function splitChunks(text) {
+  return text.match(/\s*\S+\s*/g) || [];
+}
+
+// Send a finished text a word at a time, at a reading pace.
+// Rejects (AbortError) as soon as `signal` aborts.
+async function streamText(text, onChunk, signal) {
+  for (const [i, chunk] of splitChunks(text).entries()) {
+    if (i > 0) await sleep(CHUNK_MS, undefined, { signal });
+    signal?.throwIfAborted();
+    onChunk(chunk);
+  }
+}
+
+// Pull the content deltas out of an OpenAI-style event stream
+async function readStream(body, onChunk) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let text = "";
+
+  for await (const bytes of body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const data = line.startsWith("data:") ? line.slice(5).trim() : null;
+      if (!data) continue;
+      if (data === "[DONE]") return text;
+
+      const delta = JSON.parse(data)?.choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        onChunk(delta);
+      }
+    }
+  }
+
+  return text;
+}
+
+// ── BACKENDS ──────────────────────────────────
+
+function createTemplateBackend() {
+  return {
+    name: "template",
+    async generate() {
+      return null;
+    },
+  };
+}
+
+function createOpenAIBackend({ baseUrl, apiKey, model, timeoutMs }) {
+  const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+  return {
+    name: "openai",
+    async generate(context, { onChunk, signal } = {}) {
+      const stream = Boolean(onChunk);
+      const timeout = AbortSignal.timeout(timeoutMs);
+      const res = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({ model, messages: buildMessages(context), temperature: 0.7, stream }),
+        signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+      });
+
+      if (!res.ok) throw new Error(`HTTP ${res.status} from ${url}`);
+      if (stream) return readStream(res.body, onChunk);
+
+      const data = await res.json();
+      return data?.choices?.[0]?.message?.content ?? null;
+    },
+  };
+}
+
+// ── PUBLIC API ─────────────────────────────────
+
+/**
+ * Create a generation backend. Custom backends only need
+ * `{ name, async generate(context, { onChunk, signal }) → string | null }`;
+ * calling `onChunk` as text arrives and honouring `signal` are optional.
+ */
+export function createGenerator({
+  backend = "template",
+  baseUrl = "https://api.openai.com/v1",
+  apiKey = "",
+  model = "gpt-4o-mini",
+  timeoutMs = 8000,
+} = {}) {
+  if (backend === "template") return createTemplateBackend();
+  if (backend === "openai") return createOpenAIBackend({ baseUrl, apiKey, model, timeoutMs });
+  throw new Error(`Unknown LLM backend: ${backend}. Use: template, openai`);
+}
+
+let generator = createGenerator({
+  backend: process.env.LLM_BACKEND || "template",
+  baseUrl: process.env.LLM_BASE_URL,
+  apiKey: process.env.LLM_API_KEY,
+  model: process.env.LLM_MODEL,
+  timeoutMs: Number(process.env.LLM_TIMEOUT_MS) || undefined,
+});
+
+/**
+ * Swap the active backend (e.g. for a test double).
+ */
+export function setGenerator(next) {
+  generator = next;
+}
+
+/**
+ * Name of the active backend.
+ */
+export function getGeneratorName() {
+  return generator.name;
+}
+
+/**
+ * Produce the final reply text. `context` carries the intent(s),
+ * engagement tier and its tone, reply language, player, club, the user's text, recent history
+ * and the template `draft`, which is returned if generation fails.
+ *
+ * Pass `onChunk` to receive the reply piece by piece as it's
+ * produced. If a backend fails part-way, `onReset` is called
+ * and the template reply is streamed from the start instead.
+ * Aborting `signal` (the client went away) stops generation and
+ * rejects with the abort reason.
+ */
+export async function generateReply(context, { onChunk, onReset, signal } = {}) {
+  const template = async (fallback) => {
+    if (onChunk) await streamText(context.draft, onChunk, signal);
+    return { reply: context.draft, generator: "template", thinking: false, ...(fallback ? { fallback } : {}) };
+  };
+
+  if (generator.name === "template") return template();
+
+  let streamed = false;
+  const relay = onChunk && ((chunk) => {
+    streamed = true;
+    onChunk(chunk);
+  });
+
+  try {
+    const reply = (await generator.generate(context, { onChunk: relay, signal }))?.toString().trim();
+    if (!reply) throw new Error("empty reply");
+    // Backends that don't stream still reach streaming clients in one piece
+    if (onChunk && !streamed) onChunk(reply);
+    return { reply, generator: generator.name, thinking: true };
+  } catch (err) {
+    if (signal?.aborted) throw signal.reason;
+    console.error(`Generation: ${generator.name} failed, using template — ${err.message}`);
+    if (streamed) onReset?.();
+    return template(err.message);
+  }
+}
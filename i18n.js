@@ -0,0 +1,170 @@
+// ──────────────────────────────────────────────
+// LOCALISATION
+// Message catalogues live in locales/<language>.js, keyed
+// by intent and engagement tier. A request picks its
+// locale with a `locale` field or Accept-Language; anything
+// unsupported falls back to English, and so does any key a
+// catalogue is missing.
+//
+// Numbers, money and dates go through Intl so "£6.2M"
+// becomes "6,2 M£" in Spanish and "6,2 Mio. £" in German.
+// ──────────────────────────────────────────────
+
+import en from "./locales/en.js";
+import es from "./locales/es.js";
+import de from "./locales/de.js";
+
+const CATALOGUES = { en, es, de };
+const DEFAULT_LANGUAGE = "en";
+
+// Formatting region when a request only names a language
+const DEFAULT_REGIONS = { en: "en-GB", es: "es-ES", de: "de-DE" };
+
+// Game money is in pounds whoever is reading
+const CURRENCY = "GBP";
+
+// ── LOCALE NEGOTIATION ────────────────────────
+
+// "de-AT" → { language: "de", tag: "de-AT" }; null if unsupported
+function matchLocale(tag) {
+  let canonical;
+  try {
+    [canonical] = Intl.getCanonicalLocales(tag);
+  } catch {
+    return null;
+  }
+  if (!canonical) return null;
+
+  const language = canonical.split("-")[0];
+  if (!CATALOGUES[language]) return null;
+  return { language, tag: canonical.includes("-") ? canonical : DEFAULT_REGIONS[language] };
+}
+
+// "es-ES,es;q=0.9,en;q=0.8" → tags, most preferred first
+function parseAcceptLanguage(header) {
+  return header
+    .split(",")
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.find((p) => p.trim().startsWith("q="));
+      return { tag: tag.trim(), q: q ? Number(q.trim().slice(2)) : 1 };
+    })
+    .filter(({ tag, q }) => tag && tag !== "*" && q > 0)
+    .sort((a, b) => b.q - a.q)
+    .map(({ tag }) => tag);
+}
+
+/**
+ * Pick the locale for a request: an explicit `requested` locale wins,
+ * then the Accept-Language header, then English.
+ */
+export function resolveLocale(requested, acceptLanguage) {
+  const candidates = [
+    ...(requested ? [String(requested)] : []),
+    ...(acceptLanguage ? parseAcceptLanguage(String(acceptLanguage)) : []),
+  ];
+
+  for (const tag of candidates) {
+    const match = matchLocale(tag);
+    if (match) return match;
+  }
+  return { language: DEFAULT_LANGUAGE, tag: DEFAULT_REGIONS[DEFAULT_LANGUAGE] };
+}
+
+// ── LOOKUP ────────────────────────────────────
+
+function lookup(catalogue, key) {
+  return key.split(".").reduce((node, part) => node?.[part], catalogue);
+}
+
+function interpolate(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+}
+
+// ── PUBLIC API ─────────────────────────────────
+
+/**
+ * Create a translator for a resolved locale. `t(key, vars)` looks up
+ * a message ("training.low.opener"); the rest format values.
+ */
+export function createTranslator(locale = resolveLocale()) {
+  const { language, tag } = locale;
+  const catalogue = CATALOGUES[language] || CATALOGUES[DEFAULT_LANGUAGE];
+  const ordinals = new Intl.PluralRules(tag, { type: "ordinal" });
+
+  return {
+    language,
+    locale: tag,
+    languageName: catalogue.language,
+
+    t(key, vars = {}) {
+      const message = lookup(catalogue, key) ?? lookup(en, key);
+      return typeof message === "string" ? interpolate(message, vars) : key;
+    },
+
+    // Whether a key exists here or in the English fallback
+    has(key) {
+      return (lookup(catalogue, key) ?? lookup(en, key)) !== undefined;
+    },
+
+    // A game-data value ("high", "relegation zone") in this language
+    value(group, raw) {
+      return catalogue.values?.[group]?.[raw] ?? en.values[group]?.[raw] ?? raw;
+    },
+
+    number(n, options) {
+      return new Intl.NumberFormat(tag, options).format(n);
+    },
+
+    // 92 → "92%" / "92 %"
+    percent(n) {
+      return new Intl.NumberFormat(tag, { style: "percent", maximumFractionDigits: 0 }).format(n / 100);
+    },
+
+    // 28000 → "£28,000"
+    money(amount) {
+      return new Intl.NumberFormat(tag, {
+        style: "currency",
+        currency: CURRENCY,
+        currencyDisplay: "narrowSymbol",
+        maximumFractionDigits: 0,
+      }).format(amount);
+    },
+
+    // 6200000 → "£6.2M"
+    compactMoney(amount) {
+      return new Intl.NumberFormat(tag, {
+        style: "currency",
+        currency: CURRENCY,
+        currencyDisplay: "narrowSymbol",
+        notation: "compact",
+        minimumFractionDigits: 0,
+        maximumFractionDigits: 1,
+      }).format(amount);
+    },
+
+    // "2027-06-30" → "30 Jun 2027"
+    date(isoDate) {
+      const date = new Date(isoDate);
+      if (Number.isNaN(date.getTime())) return isoDate;
+      return new Intl.DateTimeFormat(tag, { dateStyle: "medium", timeZone: "UTC" }).format(date);
+    },
+
+    // Kickoff times: "Saturday 12 Oct, 22:00"
+    dateTime(iso, timeZone) {
+      return new Intl.DateTimeFormat(tag, {
+        timeZone,
+        weekday: "long",
+        day: "numeric",
+        month: "short",
+        hour: "numeric",
+        minute: "2-digit",
+      }).format(new Date(iso));
+    },
+
+    ordinal(n) {
+      const forms = lookup(catalogue, "ordinal") ?? en.ordinal;
+      return interpolate(forms[ordinals.select(n)] ?? forms.other, { n });
+    },
+  };
+}
@@ -0,0 +1,238 @@
+// ──────────────────────────────────────────────
+// INTENT DETECTION
+// Messages are tokenised and matched on whole words, so
+// "hi" no longer fires inside "this" or "shipping".
+// Keywords are stemmed ("scouting" → "scout") and longer
+// ones tolerate a typo ("trainign"). Vague words like
+// "play" only count for half.
+//
+// Spanish and German keywords sit alongside the English
+// ones (accents are stripped before matching).
+//
+// A message can cover more than one topic ("how's my form
+// and who's scouting me?"); every topic that scores well
+// enough is returned, strongest first.
+// ──────────────────────────────────────────────
+
+// keywords → a single word is enough (weight 1)
+// phrases  → multi-word matches, more specific (weight 1.5)
+// weak     → ambiguous words that only nudge (weight 0.5)
+const INTENT_PATTERNS = [
+  {
+    intent: "greeting",
+    keywords: ["hello", "hi", "hey", "hiya", "heya", "yo", "sup", "howdy", "alright", "morning", "evening", "afternoon",
+      "hola", "buenas", "hallo", "servus", "moin"],
+    phrases: ["what's up", "good morning", "good evening", "good afternoon",
+      "buenos días", "buenas tardes", "guten morgen", "guten tag", "guten abend"],
+    weak: [],
+  },
+  {
+    intent: "training",
+    keywords: ["training", "practice", "practise", "drill", "session", "gym", "fitness", "workout", "exercise", "conditioning",
+      "entrenamiento", "entrenar", "entreno", "sesión", "ejercicio", "trainieren", "trainingsplan", "einheit", "übung"],
+    phrases: ["training plan", "training focus", "plan de entrenamiento"],
+    weak: ["plan", "improve", "work on"],
+  },
+  {
+    intent: "match",
+    keywords: ["match", "fixture", "game", "opponent", "opposition", "lineup", "kickoff", "matchday",
+      "partido", "rival", "jornada", "alineación", "spiel", "gegner", "spieltag", "aufstellung", "anstoß"],
+    phrases: ["next game", "next match", "kick off", "who are we playing", "who do we play", "league table", "league position",
+      "próximo partido", "nächstes spiel"],
+    weak: ["play", "squad", "tonight", "table", "position"],
+  },
+  {
+    intent: "form",
+    keywords: ["form", "stats", "statistics", "performance", "rating", "minutes", "goal", "assist", "numbers",
+      "forma", "estadísticas", "rendimiento", "goles", "asistencias", "minutos", "valoración",
+      "statistik", "statistiken", "leistung", "tore", "vorlagen", "minuten", "bewertung"],
+    phrases: ["how am i doing", "how am i", "how have i been", "cómo estoy", "wie stehe ich"],
+    weak: ["scoring"],
+  },
+  {
+    intent: "transfer",
+    keywords: ["transfer", "scout", "interest", "offer", "bid", "wage", "buy", "sell", "loan", "contract", "valuation",
+      "fichaje", "fichar", "traspaso", "ojeador", "oferta", "interés", "contrato", "salario", "sueldo", "cesión",
+      "wechsel", "angebot", "interesse", "vertrag", "gehalt", "ablöse", "leihe"],
+    phrases: ["who's watching", "who is watching", "who wants me", "move club", "new club", "bigger club"],
+    weak: ["move", "sign", "watching", "worth"],
+  },
+  {
+    intent: "career",
+    keywords: ["career", "future", "potential", "advice", "path", "develop", "development", "progress", "grow", "ambition",
+      "carrera", "futuro", "potencial", "consejo", "desarrollo", "progreso",
+      "karriere", "zukunft", "potenzial", "ratschlag", "entwicklung", "fortschritt"],
+    phrases: ["long term", "next step", "what should i do"],
+    weak: ["plan", "goal"],
+  },
+  {
+    intent: "morale",
+    keywords: ["morale", "happy", "unhappy", "mood", "feeling", "confidence", "confident", "mental", "motivation", "motivated", "frustrated", "sad", "down",
+      "ánimo", "confianza", "motivación", "feliz", "triste",
+      "stimmung", "selbstvertrauen", "glücklich", "frustriert"],
+    phrases: ["fed up", "head's gone"],
+    weak: [],
+  },
+];
+
+const WEIGHTS = { keyword: 1, phrase: 1.5, weak: 0.5 };
+const TYPO_WEIGHT = 0.75; // a fuzzy hit counts for less than an exact one
+
+// A topic needs at least this much to be answered alongside
+// the strongest one, and at least this share of its score
+const SECONDARY_MIN_SCORE = 1;
+const SECONDARY_MIN_SHARE = 0.5;
+const MAX_INTENTS = 3;
+
+// ── TOKENS ────────────────────────────────────
+
+function normalise(text) {
+  return text
+    .toLowerCase()
+    .replace(/ß/g, "ss")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "") // strip accents: "sesión" → "sesion"
+    .replace(/['’]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function tokenise(text) {
+  const normalised = normalise(text);
+  return normalised ? normalised.split(" ") : [];
+}
+
+// Crude suffix stripping — enough to fold "scouts", "scouting"
+// and "scouted" together without a dictionary
+function stem(word) {
+  let w = word;
+  for (const suffix of ["ing", "ed", "es", "s"]) {
+    if (w.length - suffix.length >= 3 && w.endsWith(suffix)) {
+      w = w.slice(0, -suffix.length);
+      break;
+    }
+  }
+  if (w.length > 3 && w.endsWith("e")) w = w.slice(0, -1);
+  return w;
+}
+
+// Edit distance with adjacent swaps counting as one edit
+// ("trianing"). Gives up early once past `max`.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+
+  return prev[b.length];
+}
+
+// Short words are too easy to confuse ("form"/"from"), so
+// only longer ones get typo tolerance
+function allowedTypos(word) {
+  if (word.length >= 9) return 2;
+  if (word.length >= 6) return 1;
+  return 0;
+}
+
+// ── MATCHING ──────────────────────────────────
+
+// Pre-normalise every pattern once
+const MATCHERS = INTENT_PATTERNS.map(({ intent, keywords, phrases, weak }) => {
+  const words = [];
+  const multi = [];
+
+  const add = (term, kind) => {
+    const normalised = normalise(term);
+    if (normalised.includes(" ")) multi.push({ phrase: ` ${normalised} `, weight: WEIGHTS[kind === "weak" ? "weak" : "phrase"] });
+    else words.push({ word: normalised, stem: stem(normalised), weight: WEIGHTS[kind] });
+  };
+
+  keywords.forEach((k) => add(k, "keyword"));
+  phrases.forEach((p) => add(p, "phrase"));
+  weak.forEach((w) => add(w, "weak"));
+
+  return { intent, words, multi };
+});
+
+function scoreIntent(matcher, tokens, padded) {
+  let score = 0;
+
+  for (const { phrase, weight } of matcher.multi) {
+    if (padded.includes(phrase)) {
+      score += weight;
+    }
+  }
+
+  // Each keyword counts once, however often it appears
+  for (const entry of matcher.words) {
+    let weight = 0;
+    for (const token of tokens) {
+      if (token === entry.word || stem(token) === entry.stem) {
+        weight = entry.weight;
+        break;
+      }
+      const typos = Math.min(allowedTypos(token), allowedTypos(entry.word));
+      if (typos && token[0] === entry.word[0] && editDistance(token, entry.word, typos) <= typos) {
+        weight = Math.max(weight, entry.weight * TYPO_WEIGHT);
+      }
+    }
+    score += weight;
+  }
+
+  return { intent: matcher.intent, score };
+}
+
+// Turn a raw score into 0–1: one clear keyword ≈ 0.7,
+// two or a keyword plus a phrase ≈ 0.9+
+function confidenceFor(score) {
+  return Math.round((1 - Math.exp(-1.2 * score)) * 100) / 100;
+}
+
+// ── PUBLIC API ─────────────────────────────────
+
+/**
+ * Work out what a message is about. Returns the main intent, its
+ * confidence (0–1) and every intent worth answering, strongest first.
+ * Nothing recognised → "general" with confidence 0.
+ */
+export function detectIntent(text) {
+  const tokens = tokenise(text);
+  const padded = ` ${tokens.join(" ")} `;
+
+  const scored = MATCHERS
+    .map((matcher) => scoreIntent(matcher, tokens, padded))
+    .filter((s) => s.score > 0)
+    .sort((a, b) => b.score - a.score); // stable: ties keep pattern order
+
+  if (!scored.length) return { intent: "general", confidence: 0, intents: [{ intent: "general", confidence: 0 }] };
+
+  // A greeting tacked onto a real question ("hey, how's my form?")
+  // shouldn't steal the answer
+  const topics = scored.filter((s) => s.intent !== "greeting");
+  const ranked = topics.length ? topics : scored;
+
+  const top = ranked[0];
+  const answered = [top, ...ranked.slice(1).filter((s) =>
+    s.score >= SECONDARY_MIN_SCORE && s.score >= top.score * SECONDARY_MIN_SHARE,
+  )].slice(0, MAX_INTENTS);
+
+  const intents = answered.map((s) => ({ intent: s.intent, confidence: confidenceFor(s.score) }));
+  return { intent: intents[0].intent, confidence: intents[0].confidence, intents };
+}
@@ -6,6 +6,11 @@
 // so they can NEVER go out of sync.
 // ──────────────────────────────────────────────
 
+import { storage } from "./storage.js";
+import { createRng, seedToState, randomSeed } from "./random.js";
+import { TIER_LEVELS, ensureSquads, getSquad } from "./squads.js";
+import { buildMatchReport } from "./reports.js";
+
 // ── TEAM DATA ─────────────────────────────────
 
 const TEAMS = {
@@ -35,18 +40,179 @@ const TEAMS = {
   ],
 };
 
-// ── SEASON STATE (in-memory) ──────────────────
+// Ordered top tier first — promotion and relegation walk this order.
+// A league ranks ties on DEFAULT_TIEBREAKERS unless it sets its own
+// `tiebreakers` list (see the TIEBREAKERS section).
+const LEAGUE_INFO = {
+  championship: { name: "Championship", tier: 1 },
+  league1: { name: "League One", tier: 2 },
+  league2: { name: "League Two", tier: 3 },
+};
+
+// Clubs just outside the EFL, strongest first. The Premier League
+// swaps teams with the top of the Championship, the National League
+// with the bottom of League Two.
+const OUTSIDE_TEAMS = {
+  premierLeague: [
+    "Manchester City", "Arsenal", "Liverpool", "Chelsea",
+    "Tottenham Hotspur", "Newcastle United", "Aston Villa", "Manchester United",
+    "Brighton & Hove Albion", "West Ham United", "Crystal Palace", "Fulham",
+    "Brentford", "Bournemouth", "Nottingham Forest", "Wolverhampton Wanderers",
+    "Everton", "Leicester City", "Ipswich Town", "Southampton",
+  ],
+  nationalLeague: [
+    "Barnet", "York City", "Oldham Athletic", "Southend United",
+    "Hartlepool United", "Solihull Moors", "Aldershot Town", "Eastleigh",
+    "Dagenham & Redbridge", "FC Halifax Town", "Gateshead", "Woking",
+    "Yeovil Town", "Altrincham", "Boreham Wood", "Wealdstone",
+    "Ebbsfleet United", "Maidenhead United", "Braintree Town", "Tamworth",
+  ],
+};
+
+// ── SEASON STATE ──────────────────────────────
+// Held in memory for fast reads, written through to
+// storage after every change and reloaded on boot.
+
+const STORAGE_KEY = "season";
+const AUDIT_STORAGE_KEY = "audit";
 
 const SEASON = {
+  run: 0, // bumped by every reset-sync, so fixture ids never repeat
+  seasonNumber: 1,
   currentMatchday: 0,
   totalMatchdays: 46, // 24 teams → 23 home rounds + 23 away rounds
   startDate: null,
   initialized: false,
+  seed: null,
+  rngState: null,
   leagues: {},
+  outside: structuredClone(OUTSIDE_TEAMS),
+  history: [],
 };
 
+// Every random draw in the simulation comes from this generator,
+// so the same seed always replays the same season
+let rng = createRng(0);
+
+// Set by the scheduler: maps "N matchdays from now" to a kickoff
+// time so unplayed fixtures can carry real dates
+let kickoffPlanner = null;
+
+// Set by careers.js: told about every matchday played and every
+// rollover, so player records can follow the season
+let seasonHooks = {};
+
+// Admin overrides, newest last. Kept apart from SEASON so a
+// reset-sync never wipes the record of what was changed.
+let AUDIT = [];
+
+function loadSeason() {
+  AUDIT = storage.read(AUDIT_STORAGE_KEY) || [];
+
+  const saved = storage.read(STORAGE_KEY);
+  if (!saved) return;
+
+  Object.assign(SEASON, saved);
+
+  // Seasons saved before seeding existed get a fresh seed from here on
+  if (SEASON.seed === null || SEASON.seed === undefined) SEASON.seed = randomSeed();
+  rng = createRng(SEASON.rngState ?? seedToState(SEASON.seed));
+
+  // Seasons saved before rollover existed count as the first season
+  SEASON.seasonNumber ??= 1;
+  SEASON.run ??= 1;
+  SEASON.history ??= [];
+  SEASON.outside ??= structuredClone(OUTSIDE_TEAMS);
+
+  // Seasons saved before team ratings existed start from the defaults;
+  // seasons saved before squads existed get them now
+  for (const [id, league] of Object.entries(SEASON.leagues)) {
+    league.id ??= id;
+    league.deductions ??= [];
+    if (!league.ratings) league.ratings = initialRatings(league.teams, league.tier);
+    ensureSquads(squadLevels(league.teams, league.tier), SEASON.seed);
+
+    // ...and seasons saved before fixture ids existed get those
+    assignFixtureIds(id, league.fixtures);
+    league.playoffs?.semiFinals.forEach((sf, i) => {
+      for (const leg of sf.legs) leg.id ??= fixtureId(id, leg.matchday, i + 1);
+    });
+    if (league.playoffs?.final) league.playoffs.final.id ??= fixtureId(id, league.playoffs.final.matchday, 1);
+  }
+}
+
+function applyKickoffPlan() {
+  if (!kickoffPlanner || !SEASON.initialized) return;
+
+  const kickoffs = new Map();
+  const kickoffFor = (matchday) => {
+    const offset = matchday - SEASON.currentMatchday;
+    if (!kickoffs.has(offset)) kickoffs.set(offset, kickoffPlanner(offset));
+    return kickoffs.get(offset);
+  };
+
+  for (const league of Object.values(SEASON.leagues)) {
+    for (const fixture of allFixtures(league)) {
+      if (fixture.played || fixture.matchday <= SEASON.currentMatchday) continue;
+      fixture.kickoff = kickoffFor(fixture.matchday);
+    }
+  }
+}
+
+function saveSeason() {
+  SEASON.rngState = rng.state;
+  storage.write(STORAGE_KEY, SEASON);
+}
+
+// A failing hook is logged; it never stops the season
+function runHook(name, event) {
+  if (!seasonHooks[name]) return null;
+  try {
+    return seasonHooks[name](event) ?? null;
+  } catch (err) {
+    console.error(`Season: ${name} hook failed — ${err.message}`);
+    return null;
+  }
+}
+
 // ── FIXTURE GENERATION (round-robin) ──────────
 
+const LEAGUE_SIZE = 24;
+
+// Stable fixture ids: league, run, season, matchday and the
+// fixture's place in that matchday, e.g. "league1-r1-s2-md07-3"
+function matchdayKey(matchday, season = SEASON.seasonNumber, run = SEASON.run) {
+  return `r${run}-s${season}-md${String(matchday).padStart(2, "0")}`;
+}
+
+function fixtureId(leagueId, matchday, n) {
+  return `${leagueId}-${matchdayKey(matchday)}-${n}`;
+}
+
+function parseFixtureId(id) {
+  const match = /^(\w+)-r(\d+)-s(\d+)-md(\d+)-\d+$/.exec(id);
+  return match && { leagueId: match[1], run: Number(match[2]), season: Number(match[3]), matchday: Number(match[4]) };
+}
+
+function assignFixtureIds(leagueId, fixtures) {
+  const counts = {};
+  for (const fixture of fixtures) {
+    counts[fixture.matchday] = (counts[fixture.matchday] || 0) + 1;
+    fixture.id ??= fixtureId(leagueId, fixture.matchday, counts[fixture.matchday]);
+  }
+  return fixtures;
+}
+
+function playoffFixtures(league) {
+  return league.playoffs
+    ? [...league.playoffs.semiFinals.flatMap((sf) => sf.legs), league.playoffs.final].filter(Boolean)
+    : [];
+}
+
+function allFixtures(league) {
+  return [...league.fixtures, ...playoffFixtures(league)];
+}
+
 function generateFixtures(teams) {
   const n = teams.length; // 24
   const fixtures = [];
@@ -102,51 +268,148 @@ function generateFixtures(teams) {
   return fixtures;
 }
 
+// ── TEAM RATINGS ──────────────────────────────
+// attack  → multiplier on goals scored   (> 1 is better)
+// defence → multiplier on goals conceded (< 1 is better)
+// home    → home advantage multiplier
+//
+// Starting ratings come from each team's squad (squads.js):
+// its best XI's attack and defence against the league
+// average. A club gets its squad the first time it appears,
+// built to its place in the list (strongest first). Attack
+// and defence then drift with form over the season, pulled
+// gently back toward the starting rating so a hot streak
+// fades.
+
+const RATING_SPREAD = 0.4;        // gap between strongest and weakest team
+const SQUAD_SPREAD = 6;           // level gap between the strongest and weakest squad built for a league
+const HOME_ADVANTAGE = 1.12;
+const FORM_SENSITIVITY = 0.02;    // rating change per goal above/below expectation
+const FORM_REVERSION = 0.05;      // pull back toward base rating per match
+const RATING_BOUNDS = [0.5, 1.8];
+
+// Level to build each club's squad at: the tier's level, give or
+// take half the spread by place in the list
+function squadLevels(teams, tier) {
+  return teams.map((team, i) => ({
+    team,
+    level: TIER_LEVELS[tier] + SQUAD_SPREAD / 2 - (SQUAD_SPREAD * i) / (teams.length - 1),
+  }));
+}
+
+function initialRatings(teams, tier) {
+  ensureSquads(squadLevels(teams, tier), SEASON.seed);
+
+  const strengths = teams.map((team) => getSquad(team).strength);
+  const mean = (key) => strengths.reduce((sum, s) => sum + s[key], 0) / strengths.length;
+  const attackMean = mean("attack");
+  const defenceMean = mean("defence");
+  const scale = RATING_SPREAD / SQUAD_SPREAD;
+  const bound = (n) => round2(Math.min(RATING_BOUNDS[1], Math.max(RATING_BOUNDS[0], n)));
+
+  const ratings = {};
+  teams.forEach((team, i) => {
+    const attack = bound(1 + (strengths[i].attack - attackMean) * scale);
+    const defence = bound(1 - (strengths[i].defence - defenceMean) * scale);
+    ratings[team] = { attack, defence, home: HOME_ADVANTAGE, baseAttack: attack, baseDefence: defence };
+  });
+  return ratings;
+}
+
+function driftRating(rating, base, goals, expected) {
+  const next = rating
+    + FORM_SENSITIVITY * (goals - expected)
+    + FORM_REVERSION * (base - rating);
+  return round2(Math.min(RATING_BOUNDS[1], Math.max(RATING_BOUNDS[0], next)));
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
 // ── MATCH SIMULATION ──────────────────────────
 
+const LEAGUE_AVG_GOALS = 1.3; // per team per match
+
 function poissonRandom(lambda) {
   const L = Math.exp(-lambda);
   let k = 0;
   let p = 1;
   do {
     k++;
-    p *= Math.random();
+    p *= rng.next();
   } while (p > L);
   return Math.min(k - 1, 7); // cap at 7 goals
 }
 
-function simulateMatch(fixture) {
-  fixture.homeGoals = poissonRandom(1.45); // slight home advantage
-  fixture.awayGoals = poissonRandom(1.15);
+// Neutral venues (the play-off final) cancel home advantage
+function expectedGoals(home, away, neutral = false) {
+  const advantage = neutral ? 1 : home.home;
+  return {
+    home: LEAGUE_AVG_GOALS * home.attack * away.defence * advantage,
+    away: LEAGUE_AVG_GOALS * away.attack * home.defence * (2 - advantage),
+  };
+}
+
+function simulateMatch(fixture, ratings) {
+  const home = ratings[fixture.home];
+  const away = ratings[fixture.away];
+  const xg = expectedGoals(home, away, fixture.neutral);
+
+  fixture.homeGoals = poissonRandom(xg.home);
+  fixture.awayGoals = poissonRandom(xg.away);
+  fixture.homeXG = round2(xg.home);
+  fixture.awayXG = round2(xg.away);
   fixture.played = true;
+
+  // Form drift: over-performing the expectation lifts a team's ratings
+  home.attack = driftRating(home.attack, home.baseAttack, fixture.homeGoals, xg.home);
+  home.defence = driftRating(home.defence, home.baseDefence, fixture.awayGoals, xg.away);
+  away.attack = driftRating(away.attack, away.baseAttack, fixture.awayGoals, xg.away);
+  away.defence = driftRating(away.defence, away.baseDefence, fixture.homeGoals, xg.home);
+
   return fixture;
 }
 
+function formatScore(fixture) {
+  const score = `${fixture.homeGoals}-${fixture.awayGoals}`;
+  if (fixture.penalties) return `${score} (aet, ${fixture.penalties.home}-${fixture.penalties.away} pens)`;
+  if (fixture.extraTime) return `${score} (aet)`;
+  return score;
+}
+
 // ── LEAGUE TABLE CALCULATION ──────────────────
 
-function calculateTable(league) {
-  const table = {};
+function emptyRow(team) {
+  return {
+    position: 0,
+    team,
+    played: 0,
+    won: 0,
+    drawn: 0,
+    lost: 0,
+    goalsFor: 0,
+    goalsAgainst: 0,
+    goalDifference: 0,
+    awayGoalsFor: 0,
+    pointsDeducted: 0,
+    points: 0,
+  };
+}
 
-  for (const team of league.teams) {
-    table[team] = {
-      position: 0,
-      team,
-      played: 0,
-      won: 0,
-      drawn: 0,
-      lost: 0,
-      goalsFor: 0,
-      goalsAgainst: 0,
-      goalDifference: 0,
-      points: 0,
-    };
-  }
+// Build unsorted table rows for `teams` from the played fixtures
+// between them. Used for the full table and for head-to-head
+// mini-tables among tied teams.
+function tallyFixtures(teams, fixtures) {
+  const table = {};
+  for (const team of teams) table[team] = emptyRow(team);
 
-  for (const fixture of league.fixtures) {
+  for (const fixture of fixtures) {
     if (!fixture.played) continue;
 
     const home = table[fixture.home];
     const away = table[fixture.away];
+    if (!home || !away) continue;
 
     home.played++;
     away.played++;
@@ -154,6 +417,7 @@ function calculateTable(league) {
     home.goalsAgainst += fixture.awayGoals;
     away.goalsFor += fixture.awayGoals;
     away.goalsAgainst += fixture.homeGoals;
+    away.awayGoalsFor += fixture.awayGoals;
 
     if (fixture.homeGoals > fixture.awayGoals) {
       home.won++;
@@ -174,44 +438,539 @@ function calculateTable(league) {
     away.goalDifference = away.goalsFor - away.goalsAgainst;
   }
 
-  // Sort: points desc → GD desc → GF desc → alphabetical
-  const sorted = Object.values(table).sort((a, b) => {
-    if (b.points !== a.points) return b.points - a.points;
-    if (b.goalDifference !== a.goalDifference) return b.goalDifference - a.goalDifference;
-    if (b.goalsFor !== a.goalsFor) return b.goalsFor - a.goalsFor;
-    return a.team.localeCompare(b.team);
-  });
+  return table;
+}
+
+// ── TIEBREAKERS ───────────────────────────────
+// Each league ranks on an ordered list of rules: DEFAULT_TIEBREAKERS
+// unless its LEAGUE_INFO entry sets its own `tiebreakers`. Plain
+// rules compare a table column; head-to-head rules build a
+// mini-table from the matches between the tied teams only. When a
+// head-to-head rule splits a tied group, the head-to-head rules
+// start again for each smaller group still level. Teams level on
+// every rule keep the league's membership order (strongest first),
+// never the alphabet.
+
+const HEAD_TO_HEAD_RULES = {
+  headToHeadPoints: "points",
+  headToHeadGoalDifference: "goalDifference",
+  headToHeadGoalsFor: "goalsFor",
+  headToHeadAwayGoals: "awayGoalsFor",
+};
+
+// EFL regulations: points, goal difference, goals scored, then
+// the results between the tied clubs
+const DEFAULT_TIEBREAKERS = [
+  "points", "goalDifference", "goalsFor",
+  "headToHeadPoints", "headToHeadGoalDifference", "headToHeadAwayGoals",
+  "awayGoalsFor", "won",
+];
+
+/**
+ * Order table rows by `rules`, best first. `fixtures` are the
+ * league's fixtures, for the head-to-head rules.
+ */
+export function rankRows(rows, rules, fixtures, headToHead = null) {
+  if (rows.length <= 1 || rules.length === 0) return rows;
+
+  const [rule, ...rest] = rules;
+  const isHeadToHead = Boolean(HEAD_TO_HEAD_RULES[rule]);
+  // The head-to-head run starts at the first head-to-head rule
+  const restart = headToHead ?? (isHeadToHead ? rules : null);
+
+  let valueOf;
+  if (isHeadToHead) {
+    const mini = tallyFixtures(rows.map((r) => r.team), fixtures);
+    valueOf = (row) => mini[row.team][HEAD_TO_HEAD_RULES[rule]];
+  } else {
+    valueOf = (row) => row[rule];
+  }
+
+  // Split into groups that are level on this rule, best first,
+  // then settle each group with the remaining rules
+  const groups = new Map();
+  for (const row of rows) {
+    const value = valueOf(row);
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(row);
+  }
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => b - a)
+    .flatMap(([, group]) => (isHeadToHead && group.length < rows.length
+      ? rankRows(group, restart, fixtures, restart)
+      : rankRows(group, rest, fixtures, restart)));
+}
+
+function tiebreakersFor(league) {
+  return LEAGUE_INFO[league.id].tiebreakers ?? DEFAULT_TIEBREAKERS;
+}
+
+function calculateTable(league) {
+  const table = tallyFixtures(league.teams, league.fixtures);
+
+  // Points deductions (e.g. entering administration)
+  for (const deduction of league.deductions || []) {
+    const row = table[deduction.team];
+    if (!row) continue;
+    row.pointsDeducted += deduction.points;
+    row.points -= deduction.points;
+  }
+
+  const sorted = rankRows(Object.values(table), tiebreakersFor(league), league.fixtures);
 
   sorted.forEach((row, i) => (row.position = i + 1));
   return sorted;
 }
 
+// ── PROMOTION & RELEGATION ────────────────────
+// EFL numbers: 3 up / 3 down between the Championship and
+// League One, 4 up / 4 down between League One and League Two.
+// The Premier League swaps 3 teams with the top of the
+// Championship, the National League 2 with the bottom of
+// League Two.
+
+// The last promotion place in each league goes to the play-off winner
+const MOVEMENT = {
+  championship: { automatic: 2, playoffPlaces: [3, 6], relegated: 3 },
+  league1: { automatic: 2, playoffPlaces: [3, 6], relegated: 4 },
+  league2: { automatic: 3, playoffPlaces: [4, 7], relegated: 2 },
+};
+
+function createLeague(id, teams) {
+  return {
+    id,
+    name: LEAGUE_INFO[id].name,
+    tier: LEAGUE_INFO[id].tier,
+    teams: [...teams],
+    fixtures: assignFixtureIds(id, generateFixtures(teams)),
+    ratings: initialRatings(teams, LEAGUE_INFO[id].tier),
+    playoffs: null,
+    deductions: [],
+  };
+}
+
+// Draw `count` teams at random (seeded) from one end of a pool that
+// is ordered strongest first: the weakest Premier League clubs go
+// down, the strongest National League clubs come up
+function drawTeams(pool, count, end) {
+  const remaining = [...pool];
+  const drawn = [];
+  while (drawn.length < count && remaining.length) {
+    const window = Math.min(remaining.length, count * 2);
+    const offset = Math.floor(rng.next() * window);
+    const index = end === "top" ? offset : remaining.length - 1 - offset;
+    drawn.push(...remaining.splice(index, 1));
+  }
+  return { drawn, remaining };
+}
+
+// Work out who goes up and down from the final tables, then build
+// next season's membership for every league. Each list is ordered
+// strongest first (as TEAMS is) so starting ratings make sense:
+// relegated clubs slot in near the top, promoted clubs near the bottom.
+function planNextSeason() {
+  const ids = Object.keys(LEAGUE_INFO);
+  const moves = {};
+
+  for (const id of ids) {
+    const league = SEASON.leagues[id];
+    const finish = calculateTable(league).map((row) => row.team);
+    const { automatic, relegated } = MOVEMENT[id];
+    const playoffWinner = league.playoffs?.winner ?? finish[automatic];
+    const promoted = [...finish.slice(0, automatic), playoffWinner];
+    const down = finish.slice(finish.length - relegated);
+
+    moves[id] = {
+      promoted,
+      relegated: down,
+      stayed: finish.filter((team) => !promoted.includes(team) && !down.includes(team)),
+    };
+  }
+
+  const fromPremier = drawTeams(SEASON.outside.premierLeague, moves.championship.promoted.length, "bottom");
+  const fromNational = drawTeams(SEASON.outside.nationalLeague, MOVEMENT.league2.relegated, "top");
+
+  // Promoted clubs join the Premier League as its weakest sides;
+  // clubs dropping out of League Two join the top of the National League
+  const outside = {
+    premierLeague: [...fromPremier.remaining, ...moves.championship.promoted],
+    nationalLeague: [...moves.league2.relegated, ...fromNational.remaining],
+  };
+
+  const memberships = {};
+  ids.forEach((id, i) => {
+    const fromAbove = i === 0 ? fromPremier.drawn : moves[ids[i - 1]].relegated;
+    const fromBelow = i === ids.length - 1 ? fromNational.drawn : moves[ids[i + 1]].promoted;
+    const { stayed } = moves[id];
+
+    memberships[id] = [
+      ...stayed.slice(0, fromAbove.length),
+      ...fromAbove,
+      ...stayed.slice(fromAbove.length, stayed.length - fromBelow.length),
+      ...fromBelow,
+      ...stayed.slice(stayed.length - fromBelow.length),
+    ];
+  });
+
+  return {
+    memberships,
+    outside,
+    moves,
+    entered: { fromPremierLeague: fromPremier.drawn, fromNationalLeague: fromNational.drawn },
+  };
+}
+
+// ── PLAY-OFFS ─────────────────────────────────
+// Played as three extra matchdays after the regular season:
+//   47 → semi-final first legs (lower seed at home)
+//   48 → semi-final second legs, aggregate score decides,
+//        then extra time and penalties if still level
+//   49 → one-off final at a neutral venue
+// Seeds: 3 v 6 and 4 v 5 (4 v 7 and 5 v 6 in League Two).
+
+const PLAYOFF_ROUNDS = [
+  { id: "semiFinalLeg1", label: "Play-off semi-final, first leg" },
+  { id: "semiFinalLeg2", label: "Play-off semi-final, second leg" },
+  { id: "final", label: "Play-off final" },
+];
+
+const PENALTY_CONVERSION = 0.75;
+
+function lastMatchday() {
+  return SEASON.totalMatchdays + PLAYOFF_ROUNDS.length;
+}
+
+function playoffSeeds(leagueId, table) {
+  const [first, last] = MOVEMENT[leagueId].playoffPlaces;
+  return table
+    .filter((row) => row.position >= first && row.position <= last)
+    .map((row) => ({ seed: row.position, team: row.team }));
+}
+
+function createPlayoffFixture(id, home, away, matchday, stage, neutral = false) {
+  return {
+    id,
+    home,
+    away,
+    matchday,
+    stage,
+    neutral,
+    played: false,
+    homeGoals: null,
+    awayGoals: null,
+    extraTime: false,
+    penalties: null,
+  };
+}
+
+function createPlayoffs(leagueId, league) {
+  const seeds = playoffSeeds(leagueId, calculateTable(league));
+  const firstLeg = SEASON.totalMatchdays + 1;
+  const pairs = [[seeds[0], seeds[3]], [seeds[1], seeds[2]]];
+
+  return {
+    seeds,
+    semiFinals: pairs.map(([high, low], i) => ({
+      id: `sf${i + 1}`,
+      high,
+      low,
+      legs: [
+        createPlayoffFixture(fixtureId(leagueId, firstLeg, i + 1), low.team, high.team, firstLeg, "semiFinalLeg1"),
+        createPlayoffFixture(fixtureId(leagueId, firstLeg + 1, i + 1), high.team, low.team, firstLeg + 1, "semiFinalLeg2"),
+      ],
+      winner: null,
+    })),
+    final: null,
+    winner: null,
+  };
+}
+
+function simulateShootout() {
+  const score = { home: 0, away: 0 };
+  const taken = { home: 0, away: 0 };
+  const decided = () =>
+    score.home > score.away + (5 - taken.away) || score.away > score.home + (5 - taken.home);
+
+  // Best of five each, stopping as soon as one side can't be caught
+  for (let kick = 0; kick < 5 && !decided(); kick++) {
+    for (const side of ["home", "away"]) {
+      taken[side]++;
+      if (rng.next() < PENALTY_CONVERSION) score[side]++;
+      if (decided()) break;
+    }
+  }
+
+  // Sudden death
+  while (score.home === score.away) {
+    if (rng.next() < PENALTY_CONVERSION) score.home++;
+    if (rng.next() < PENALTY_CONVERSION) score.away++;
+  }
+
+  return score;
+}
+
+// Decide a tie that ends with `fixture`. `carried` holds goals each
+// side brought in from a first leg. Returns the winning team.
+function settleTie(fixture, carried = { home: 0, away: 0 }) {
+  const level = () =>
+    carried.home + fixture.homeGoals === carried.away + fixture.awayGoals;
+
+  if (level()) {
+    fixture.extraTime = true;
+    fixture.extraTimeGoals = { home: poissonRandom(fixture.homeXG / 3), away: poissonRandom(fixture.awayXG / 3) };
+    fixture.homeGoals += fixture.extraTimeGoals.home;
+    fixture.awayGoals += fixture.extraTimeGoals.away;
+  }
+
+  if (level()) {
+    fixture.penalties = simulateShootout();
+    return fixture.penalties.home > fixture.penalties.away ? fixture.home : fixture.away;
+  }
+
+  return carried.home + fixture.homeGoals > carried.away + fixture.awayGoals ? fixture.home : fixture.away;
+}
+
+function playPlayoffRound(leagueId, league, round) {
+  league.playoffs ??= createPlayoffs(leagueId, league);
+  const { playoffs } = league;
+
+  if (round === "semiFinalLeg1") {
+    return playoffs.semiFinals.map((sf) => simulateMatch(sf.legs[0], league.ratings));
+  }
+
+  if (round === "semiFinalLeg2") {
+    const played = playoffs.semiFinals.map((sf) => {
+      const [first, second] = sf.legs;
+      simulateMatch(second, league.ratings);
+      sf.winner = settleTie(second, { home: first.awayGoals, away: first.homeGoals });
+      return second;
+    });
+
+    const [sf1, sf2] = playoffs.semiFinals;
+    const finalDay = SEASON.currentMatchday + 1;
+    playoffs.final = createPlayoffFixture(fixtureId(leagueId, finalDay, 1), sf1.winner, sf2.winner, finalDay, "final", true);
+    return played;
+  }
+
+  simulateMatch(playoffs.final, league.ratings);
+  playoffs.winner = settleTie(playoffs.final);
+  return [playoffs.final];
+}
+
+function describeSemiFinal(sf) {
+  const [first, second] = sf.legs;
+  const decided = second.played;
+
+  return {
+    id: sf.id,
+    high: sf.high,
+    low: sf.low,
+    legs: sf.legs.map(describePlayoffFixture),
+    aggregate: decided
+      ? `${first.awayGoals + second.homeGoals}-${first.homeGoals + second.awayGoals}`
+      : null,
+    winner: sf.winner,
+  };
+}
+
+function describePlayoffFixture(fixture) {
+  return {
+    id: fixture.id,
+    matchday: fixture.matchday,
+    stage: PLAYOFF_ROUNDS.find((r) => r.id === fixture.stage).label,
+    home: fixture.home,
+    away: fixture.away,
+    venue: fixture.neutral ? "Wembley Stadium" : fixture.home,
+    played: fixture.played,
+    score: fixture.played ? formatScore(fixture) : null,
+  };
+}
+
+// ── MATCH RECORDS ─────────────────────────────
+// What a played match looked like is kept, not recomputed: each
+// matchday's reports are written once, under their own key, and
+// a season's fixtures are archived when it ends (rollover or
+// reset-sync), so every fixture id ever handed out still resolves.
+
+function reportsKey(matchday, season, run) {
+  return `reports-${matchdayKey(matchday, season, run)}`;
+}
+
+function archiveKey(season, run) {
+  return `fixtures-r${run}-s${season}`;
+}
+
+function archiveSeason() {
+  storage.write(archiveKey(SEASON.seasonNumber, SEASON.run), {
+    run: SEASON.run,
+    season: SEASON.seasonNumber,
+    seed: SEASON.seed,
+    leagues: Object.fromEntries(Object.entries(SEASON.leagues).map(([id, league]) => [id, allFixtures(league)])),
+  });
+}
+
+// The fixture behind an id, from this season or an archived one
+function fixtureById(leagueId, id) {
+  const parsed = parseFixtureId(id);
+  if (!parsed || parsed.leagueId !== leagueId) return null;
+
+  const fixtures = parsed.run === SEASON.run && parsed.season === SEASON.seasonNumber
+    ? allFixtures(SEASON.leagues[leagueId])
+    : storage.read(archiveKey(parsed.season, parsed.run))?.leagues[leagueId] ?? [];
+  const fixture = fixtures.find((f) => f.id === id);
+  return fixture ? { fixture, ...parsed } : null;
+}
+
+// `appearances` (fixture id → our players' records of the match)
+// come from the matchday hook (careers.js)
+function recordReports(matches, appearances) {
+  const reports = {};
+  for (const { league, fixture } of matches) {
+    // Results set by an admin were never simulated: the chances come from the ratings
+    const xg = fixture.homeXG !== undefined && fixture.homeXG !== null
+      ? { home: fixture.homeXG, away: fixture.awayXG }
+      : expectedGoals(league.ratings[fixture.home], league.ratings[fixture.away], fixture.neutral);
+
+    reports[fixture.id] = buildMatchReport(fixture, {
+      seed: `${SEASON.seed}:report:${SEASON.seasonNumber}:${fixture.matchday}:${fixture.home}`,
+      xg: { home: round2(xg.home), away: round2(xg.away) },
+      appearances: appearances?.[fixture.id] ?? [],
+    });
+  }
+  storage.write(reportsKey(SEASON.currentMatchday, SEASON.seasonNumber, SEASON.run), reports);
+}
+
+// An admin change to a match already played makes its report wrong
+function dropReport(fixture) {
+  if (fixture.matchday > SEASON.currentMatchday) return;
+
+  const key = reportsKey(fixture.matchday, SEASON.seasonNumber, SEASON.run);
+  const reports = storage.read(key);
+  if (!reports?.[fixture.id]) return;
+  delete reports[fixture.id];
+  storage.write(key, reports);
+}
+
+// ── ADMIN OVERRIDES ───────────────────────────
+// Corrections and sanctions applied by hand. Every change is
+// written to the audit trail with a before/after snapshot.
+
+function findLeague(leagueId) {
+  if (!SEASON.initialized) resetAndSync();
+
+  const league = SEASON.leagues[leagueId];
+  if (!league) {
+    return { error: { success: false, notFound: true, message: `Unknown league: ${leagueId}. Use: championship, league1, league2` } };
+  }
+  return { league };
+}
+
+// Each team plays once per matchday, so matchday + home + away
+// pins down a single fixture
+function findFixture(league, { matchday, home, away }) {
+  const fixture = league.fixtures.find(
+    (f) => f.matchday === matchday && f.home === home && f.away === away
+  );
+  if (!fixture) {
+    return { error: { success: false, notFound: true, message: `No ${league.name} fixture ${home} v ${away} on matchday ${matchday}` } };
+  }
+  return { fixture };
+}
+
+function requireReason(reason) {
+  if (typeof reason === "string" && reason.trim()) return null;
+  return { success: false, message: "A reason is required for every admin change" };
+}
+
+// Once the bracket is drawn the table it was seeded from is final
+// for play-off purposes: a change either redraws the seeds (nothing
+// played yet) or is refused
+function checkPlayoffsOpen(league) {
+  if (!playoffFixtures(league).some((f) => f.played)) return null;
+  return { success: false, message: `The ${league.name} play-offs have started — the regular-season table can no longer change` };
+}
+
+function redrawPlayoffs(leagueId, league) {
+  if (!league.playoffs) return "";
+  league.playoffs = createPlayoffs(leagueId, league);
+  applyKickoffPlan();
+  return " (play-off bracket redrawn)";
+}
+
+function isGoalCount(n) {
+  return Number.isInteger(n) && n >= 0 && n <= 99;
+}
+
+function fixtureSnapshot(fixture) {
+  return {
+    played: fixture.played,
+    homeGoals: fixture.homeGoals,
+    awayGoals: fixture.awayGoals,
+    voided: Boolean(fixture.voided),
+    walkover: fixture.walkover || null,
+  };
+}
+
+function recordAudit(entry) {
+  const record = {
+    id: AUDIT.length + 1,
+    at: new Date().toISOString(),
+    season: SEASON.seasonNumber,
+    ...entry,
+    actor: entry.actor || "admin",
+  };
+  AUDIT.push(record);
+  storage.write(AUDIT_STORAGE_KEY, AUDIT);
+  return record;
+}
+
+// Restore the last saved season on boot (after the
+// constants above are initialised)
+loadSeason();
+
 // ── PUBLIC API ─────────────────────────────────
 
 /**
  * Reset all leagues to matchday 0 and regenerate fixtures.
  * This is the SYNC function — all leagues start fresh together.
+ * Pass a seed (number or string) to make the season reproducible;
+ * without one a random seed is chosen and reported back.
  */
-export function resetAndSync() {
+export function resetAndSync(seed) {
+  if (seed !== undefined && seed !== null && typeof seed !== "number" && typeof seed !== "string") {
+    return { success: false, message: "Seed must be a number or a string" };
+  }
+
+  // The run being replaced keeps its fixtures and reports
+  if (SEASON.initialized && SEASON.currentMatchday > 0) archiveSeason();
+
+  SEASON.run++;
+  SEASON.seasonNumber = 1;
   SEASON.currentMatchday = 0;
   SEASON.startDate = new Date().toISOString();
   SEASON.initialized = true;
+  SEASON.seed = seed ?? randomSeed();
+  SEASON.outside = structuredClone(OUTSIDE_TEAMS);
+  SEASON.history = [];
+  rng = createRng(seedToState(SEASON.seed));
 
   for (const [key, teams] of Object.entries(TEAMS)) {
-    SEASON.leagues[key] = {
-      name: key === "championship" ? "Championship" : key === "league1" ? "League One" : "League Two",
-      tier: key === "championship" ? 1 : key === "league1" ? 2 : 3,
-      teams: [...teams],
-      fixtures: generateFixtures(teams),
-    };
+    SEASON.leagues[key] = createLeague(key, teams);
   }
 
+  applyKickoffPlan();
+  saveSeason();
+
   return {
     success: true,
     message: "All EFL seasons reset and synced to matchday 0",
+    run: SEASON.run,
+    season: SEASON.seasonNumber,
     currentMatchday: 0,
     totalMatchdays: SEASON.totalMatchdays,
     startDate: SEASON.startDate,
+    seed: SEASON.seed,
     leagues: Object.entries(SEASON.leagues).map(([id, l]) => ({
       id,
       name: l.name,
@@ -224,17 +983,18 @@ export function resetAndSync() {
 
 /**
  * Simulate ONE matchday across ALL leagues simultaneously.
- * This guarantees they stay in sync.
+ * This guarantees they stay in sync. The scheduler passes the
+ * slot time as `kickoff`; manual runs kick off "now".
  */
-export function simulateMatchday() {
+export function simulateMatchday({ kickoff = new Date().toISOString() } = {}) {
   if (!SEASON.initialized) {
     resetAndSync(); // auto-init if not done yet
   }
 
-  if (SEASON.currentMatchday >= SEASON.totalMatchdays) {
+  if (SEASON.currentMatchday >= lastMatchday()) {
     return {
       success: false,
-      message: "Season complete (matchday 46/46). Call reset-sync to start a new season.",
+      message: "Season complete (league and play-offs finished). Call rollover to start the next season, or reset-sync to start over.",
       currentMatchday: SEASON.currentMatchday,
       totalMatchdays: SEASON.totalMatchdays,
       seasonComplete: true,
@@ -242,32 +1002,74 @@ export function simulateMatchday() {
   }
 
   SEASON.currentMatchday++;
+  const round = PLAYOFF_ROUNDS[SEASON.currentMatchday - SEASON.totalMatchdays - 1];
   const results = {};
+  const played = [];
+  const matches = [];
 
   for (const [key, league] of Object.entries(SEASON.leagues)) {
-    const matchdayFixtures = league.fixtures.filter(
-      (f) => f.matchday === SEASON.currentMatchday
-    );
+    const matchdayFixtures = round
+      ? playPlayoffRound(key, league, round.id)
+      : league.fixtures.filter((f) => f.matchday === SEASON.currentMatchday);
+
+    if (!round) {
+      for (const fixture of matchdayFixtures) {
+        // Results set in advance by an admin (walkovers, voided games) stand
+        if (fixture.played || fixture.voided) continue;
+        simulateMatch(fixture, league.ratings);
+      }
+    }
 
     for (const fixture of matchdayFixtures) {
-      simulateMatch(fixture);
+      fixture.kickoff = kickoff;
+      // Walkovers and voided games had no match to play in
+      if (fixture.played && !fixture.voided && !fixture.walkover) {
+        matches.push({ league, fixture });
+        played.push({
+          id: fixture.id,
+          leagueId: key,
+          league: league.name,
+          tier: league.tier,
+          matchday: fixture.matchday,
+          home: fixture.home,
+          away: fixture.away,
+          homeGoals: fixture.homeGoals,
+          awayGoals: fixture.awayGoals,
+          ...(fixture.stage && { stage: fixture.stage }),
+          ...(fixture.penalties && { penalties: fixture.penalties }),
+        });
+      }
+    }
+
+    // Regular season over → draw up the play-off bracket
+    if (SEASON.currentMatchday === SEASON.totalMatchdays) {
+      league.playoffs = createPlayoffs(key, league);
     }
 
     results[key] = {
       name: league.name,
       matchday: SEASON.currentMatchday,
+      ...(round && { stage: round.label }),
       results: matchdayFixtures.map((f) => ({
+        id: f.id,
         home: f.home,
         away: f.away,
-        score: `${f.homeGoals}-${f.awayGoals}`,
+        score: f.voided ? "void" : formatScore(f),
       })),
     };
   }
 
+  applyKickoffPlan();
+  saveSeason();
+  const appearances = runHook("matchday", { run: SEASON.run, season: SEASON.seasonNumber, matchday: SEASON.currentMatchday, kickoff, fixtures: played });
+  recordReports(matches, appearances);
+
   return {
     success: true,
     currentMatchday: SEASON.currentMatchday,
     totalMatchdays: SEASON.totalMatchdays,
+    kickoff,
+    stage: round ? round.label : "Regular season",
     results,
   };
 }
@@ -288,6 +1090,7 @@ export function getLeagueTable(leagueId) {
     league: league.name,
     leagueId,
     currentMatchday: SEASON.currentMatchday,
+    tiebreakers: tiebreakersFor(league),
     table: calculateTable(league),
   };
 }
@@ -340,6 +1143,7 @@ export function getResults(leagueId, matchday) {
     leagueId,
     currentMatchday: SEASON.currentMatchday,
     results: results.map((f) => ({
+      id: f.id,
       matchday: f.matchday,
       home: f.home,
       away: f.away,
@@ -348,6 +1152,49 @@ export function getResults(leagueId, matchday) {
   };
 }
 
+/**
+ * Match report for one fixture, found by its `id` (this season's or
+ * an archived season's): lineups, a timeline of goals, cards,
+ * substitutions and injuries, and the match stats, as recorded when
+ * the matchday was played. Fixtures that weren't played (yet, voided
+ * or walkovers) have no report.
+ */
+export function getFixtureReport(leagueId, id) {
+  if (!SEASON.initialized) resetAndSync();
+
+  const league = SEASON.leagues[leagueId];
+  if (!league) {
+    return { success: false, message: `Unknown league: ${leagueId}. Use: championship, league1, league2` };
+  }
+
+  const found = fixtureById(leagueId, id);
+  if (!found) {
+    return { success: false, message: `No ${league.name} fixture with id ${id}` };
+  }
+
+  const { fixture, season, run } = found;
+  const summary = fixture.stage
+    ? describePlayoffFixture(fixture)
+    : {
+        id: fixture.id,
+        matchday: fixture.matchday,
+        home: fixture.home,
+        away: fixture.away,
+        venue: fixture.home,
+        played: fixture.played,
+        score: fixture.voided ? "void" : fixture.played ? formatScore(fixture) : null,
+      };
+  const base = { success: true, league: league.name, leagueId, season, fixture: { ...summary, kickoff: fixture.kickoff ?? null } };
+
+  if (fixture.voided) return { ...base, report: null, message: "Result voided — no report" };
+  if (fixture.walkover) return { ...base, report: null, message: `${fixture.walkover} awarded the match — it was never played` };
+  if (!fixture.played) return { ...base, report: null, message: `Not played yet (matchday ${fixture.matchday})` };
+
+  const report = storage.read(reportsKey(fixture.matchday, season, run))?.[fixture.id];
+  if (!report) return { ...base, report: null, message: "No report on record — the result was changed by an admin" };
+  return { ...base, report };
+}
+
 /**
  * Get overall season status across all leagues.
  */
@@ -369,16 +1216,20 @@ export function getSeasonStatus() {
       leader: table[0] ? { team: table[0].team, points: table[0].points, played: table[0].played } : null,
       matchesPlayed: league.fixtures.filter((f) => f.played).length,
       matchesRemaining: league.fixtures.filter((f) => !f.played).length,
+      playoffWinner: league.playoffs?.winner ?? null,
     };
   }
 
   return {
     success: true,
     initialized: true,
+    season: SEASON.seasonNumber,
     currentMatchday: SEASON.currentMatchday,
     totalMatchdays: SEASON.totalMatchdays,
-    seasonComplete: SEASON.currentMatchday >= SEASON.totalMatchdays,
+    regularSeasonComplete: SEASON.currentMatchday >= SEASON.totalMatchdays,
+    seasonComplete: SEASON.currentMatchday >= lastMatchday(),
     startDate: SEASON.startDate,
+    seed: SEASON.seed,
     leagues: leaguesSummary,
   };
 }
@@ -404,3 +1255,447 @@ export function getAllTables() {
     tables,
   };
 }
+
+/**
+ * End a completed season: promote and relegate between the three
+ * tiers (plus Premier League / National League swaps at either end)
+ * and start the next season with the new memberships.
+ */
+export function rolloverSeason() {
+  if (!SEASON.initialized) {
+    return { success: false, message: "Season not initialized. Call POST /api/seasons/reset-sync to start." };
+  }
+
+  if (SEASON.currentMatchday < lastMatchday()) {
+    return {
+      success: false,
+      message: `Season ${SEASON.seasonNumber} still in progress (matchday ${SEASON.currentMatchday}/${SEASON.totalMatchdays}, play-offs end on matchday ${lastMatchday()}).`,
+      currentMatchday: SEASON.currentMatchday,
+      totalMatchdays: SEASON.totalMatchdays,
+    };
+  }
+
+  const plan = planNextSeason();
+  const endDate = new Date().toISOString();
+
+  const summary = {
+    season: SEASON.seasonNumber,
+    startDate: SEASON.startDate,
+    endDate,
+    champions: {},
+    playoffWinners: {},
+    promoted: {},
+    relegated: {},
+    entered: plan.entered,
+  };
+  for (const [id, league] of Object.entries(SEASON.leagues)) {
+    summary.champions[id] = calculateTable(league)[0].team;
+    summary.playoffWinners[id] = league.playoffs?.winner ?? null;
+    summary.promoted[id] = plan.moves[id].promoted;
+    summary.relegated[id] = plan.moves[id].relegated;
+  }
+  SEASON.history.push(summary);
+  archiveSeason();
+
+  SEASON.seasonNumber++;
+  SEASON.currentMatchday = 0;
+  SEASON.startDate = endDate;
+  SEASON.outside = plan.outside;
+  for (const [id, teams] of Object.entries(plan.memberships)) {
+    SEASON.leagues[id] = createLeague(id, teams);
+  }
+
+  applyKickoffPlan();
+  saveSeason();
+  runHook("rollover", { run: SEASON.run, season: summary.season, summary });
+
+  return {
+    success: true,
+    message: `Season ${summary.season} complete — season ${SEASON.seasonNumber} started at matchday 0`,
+    previousSeason: summary,
+    season: SEASON.seasonNumber,
+    currentMatchday: 0,
+    totalMatchdays: SEASON.totalMatchdays,
+    startDate: SEASON.startDate,
+    leagues: Object.entries(SEASON.leagues).map(([id, l]) => ({
+      id,
+      name: l.name,
+      tier: l.tier,
+      teams: l.teams,
+    })),
+  };
+}
+
+/**
+ * Get the summaries of every finished season.
+ */
+export function getSeasonHistory() {
+  return {
+    success: true,
+    currentSeason: SEASON.seasonNumber,
+    seasons: SEASON.history,
+  };
+}
+
+/**
+ * Get the play-off bracket for a league. Before the regular season
+ * ends this shows who would qualify on the current table.
+ */
+export function getPlayoffs(leagueId) {
+  if (!SEASON.initialized) resetAndSync();
+
+  const league = SEASON.leagues[leagueId];
+  if (!league) {
+    return { success: false, message: `Unknown league: ${leagueId}. Use: championship, league1, league2` };
+  }
+
+  if (!league.playoffs) {
+    return {
+      success: true,
+      league: league.name,
+      leagueId,
+      currentMatchday: SEASON.currentMatchday,
+      status: "not_started",
+      message: `Play-offs begin after matchday ${SEASON.totalMatchdays}. Current table places shown as projected seeds.`,
+      projectedSeeds: playoffSeeds(leagueId, calculateTable(league)),
+    };
+  }
+
+  const { playoffs } = league;
+  return {
+    success: true,
+    league: league.name,
+    leagueId,
+    currentMatchday: SEASON.currentMatchday,
+    status: playoffs.winner ? "complete" : "in_progress",
+    seeds: playoffs.seeds,
+    semiFinals: playoffs.semiFinals.map(describeSemiFinal),
+    final: playoffs.final ? describePlayoffFixture(playoffs.final) : null,
+    winner: playoffs.winner,
+  };
+}
+
+/**
+ * Get every play-off match played so far for a league.
+ */
+export function getPlayoffResults(leagueId) {
+  if (!SEASON.initialized) resetAndSync();
+
+  const league = SEASON.leagues[leagueId];
+  if (!league) {
+    return { success: false, message: `Unknown league: ${leagueId}. Use: championship, league1, league2` };
+  }
+
+  const fixtures = playoffFixtures(league);
+
+  return {
+    success: true,
+    league: league.name,
+    leagueId,
+    currentMatchday: SEASON.currentMatchday,
+    results: fixtures
+      .filter((f) => f.played)
+      .sort((a, b) => a.matchday - b.matchday)
+      .map(describePlayoffFixture),
+  };
+}
+
+/**
+ * Every team currently in an EFL league, with the league it plays in.
+ */
+export function getTeams() {
+  if (!SEASON.initialized) resetAndSync();
+
+  return Object.entries(SEASON.leagues).flatMap(([leagueId, league]) =>
+    league.teams.map((team) => ({ team, leagueId, league: league.name, tier: league.tier }))
+  );
+}
+
+/**
+ * Find which league a team currently plays in (null if it isn't in the EFL).
+ */
+export function findTeam(team) {
+  return getTeams().find((t) => t.team === team) || null;
+}
+
+function tableZone(leagueId, position) {
+  const { automatic, playoffPlaces, relegated } = MOVEMENT[leagueId];
+  if (position <= automatic) return "automatic promotion";
+  if (position >= playoffPlaces[0] && position <= playoffPlaces[1]) return "play-off places";
+  if (position > LEAGUE_SIZE - relegated) return "relegation zone";
+  return null;
+}
+
+function playoffStatus(league, team) {
+  const { playoffs } = league;
+  if (!playoffs || !playoffs.seeds.some((s) => s.team === team)) return null;
+  if (playoffs.winner === team) return "won the play-offs";
+  if (playoffs.winner) return "lost the play-off final";
+
+  const semi = playoffs.semiFinals.find((sf) => sf.high.team === team || sf.low.team === team);
+  if (semi.winner && semi.winner !== team) return "knocked out in the play-off semi-finals";
+  if (semi.winner === team) return "into the play-off final";
+  return "in the play-off semi-finals";
+}
+
+/**
+ * Live context for one team: league position, last-5 form and
+ * next fixture (league or play-off). Null if it isn't in the EFL.
+ */
+export function getTeamContext(team) {
+  const found = findTeam(team);
+  if (!found) return null;
+
+  const league = SEASON.leagues[found.leagueId];
+  const row = calculateTable(league).find((r) => r.team === team);
+
+  const teamFixtures = allFixtures(league)
+    .filter((f) => f.home === team || f.away === team)
+    .sort((a, b) => a.matchday - b.matchday);
+
+  const formLast5 = teamFixtures
+    .filter((f) => f.played)
+    .slice(-5)
+    .map((f) => {
+      const scored = f.home === team ? f.homeGoals : f.awayGoals;
+      const conceded = f.home === team ? f.awayGoals : f.homeGoals;
+      if (f.penalties) {
+        const won = (f.home === team) === (f.penalties.home > f.penalties.away);
+        return won ? "W" : "L";
+      }
+      return scored > conceded ? "W" : scored < conceded ? "L" : "D";
+    });
+
+  const next = teamFixtures.find((f) => !f.played && !f.voided && f.matchday > SEASON.currentMatchday);
+
+  return {
+    team,
+    leagueId: found.leagueId,
+    league: league.name,
+    tier: league.tier,
+    currentMatchday: SEASON.currentMatchday,
+    position: row.position,
+    played: row.played,
+    points: row.points,
+    zone: tableZone(found.leagueId, row.position),
+    playoffStatus: playoffStatus(league, team),
+    formLast5,
+    nextFixture: next
+      ? {
+          opponent: next.home === team ? next.away : next.home,
+          venue: next.neutral ? "Wembley Stadium" : next.home === team ? "Home" : "Away",
+          matchday: next.matchday,
+          kickoff: next.kickoff || null,
+          competition: next.stage
+            ? PLAYOFF_ROUNDS.find((r) => r.id === next.stage).label
+            : league.name,
+        }
+      : null,
+  };
+}
+
+/**
+ * Register how unplayed fixtures get their kickoff times (used by
+ * the scheduler). `planner(n)` returns the ISO kickoff of the
+ * matchday n days from now.
+ */
+export function setKickoffPlanner(planner) {
+  kickoffPlanner = planner;
+  if (!SEASON.initialized) return;
+  applyKickoffPlan();
+  saveSeason();
+}
+
+/**
+ * A team's squad: players, the best XI (`lineup`, by shirt number)
+ * and its strength, plus the team's current rating in the match
+ * simulation.
+ */
+export function getTeamSquad(leagueId, team) {
+  if (!SEASON.initialized) resetAndSync();
+
+  const league = SEASON.leagues[leagueId];
+  if (!league) {
+    return { success: false, message: `Unknown league: ${leagueId}. Use: championship, league1, league2` };
+  }
+  if (!league.teams.includes(team)) {
+    return { success: false, message: `${team} aren't a ${league.name} club` };
+  }
+
+  const { attack, defence } = league.ratings[team];
+  return { success: true, league: league.name, leagueId, ...getSquad(team), rating: { attack, defence } };
+}
+
+/**
+ * Register season hooks: `matchday({ run, season, matchday, kickoff, fixtures })`
+ * runs after every matchday with the games actually played (and may
+ * return our players' appearances by fixture id, for the match
+ * reports), and `rollover({ run, season, summary })` after a season
+ * is closed.
+ */
+export function setSeasonHooks({ matchday, rollover } = {}) {
+  seasonHooks = { matchday, rollover };
+}
+
+// ── ADMIN API ──────────────────────────────────
+
+/**
+ * Set (or correct) the score of a league fixture.
+ */
+export function setResult(leagueId, { matchday, home, away, homeGoals, awayGoals, reason, actor }) {
+  const missingReason = requireReason(reason);
+  if (missingReason) return missingReason;
+  if (!isGoalCount(homeGoals) || !isGoalCount(awayGoals)) {
+    return { success: false, message: "homeGoals and awayGoals must be whole numbers from 0 to 99" };
+  }
+
+  const { league, error } = findLeague(leagueId);
+  if (error) return error;
+  const found = findFixture(league, { matchday, home, away });
+  if (found.error) return found.error;
+  const locked = checkPlayoffsOpen(league);
+  if (locked) return locked;
+
+  const { fixture } = found;
+  const before = fixtureSnapshot(fixture);
+  dropReport(fixture);
+  Object.assign(fixture, { homeGoals, awayGoals, played: true, voided: false, walkover: null });
+
+  const audit = recordAudit({
+    action: "set_result",
+    leagueId,
+    fixture: { matchday, home, away },
+    reason,
+    actor,
+    before,
+    after: fixtureSnapshot(fixture),
+  });
+  const redrawn = redrawPlayoffs(leagueId, league);
+  saveSeason();
+
+  return { success: true, message: `${home} ${homeGoals}-${awayGoals} ${away} recorded${redrawn}`, audit };
+}
+
+/**
+ * Void a fixture's result so it no longer counts toward the table.
+ */
+export function voidResult(leagueId, { matchday, home, away, reason, actor }) {
+  const missingReason = requireReason(reason);
+  if (missingReason) return missingReason;
+
+  const { league, error } = findLeague(leagueId);
+  if (error) return error;
+  const found = findFixture(league, { matchday, home, away });
+  if (found.error) return found.error;
+  const locked = checkPlayoffsOpen(league);
+  if (locked) return locked;
+
+  const { fixture } = found;
+  const before = fixtureSnapshot(fixture);
+  dropReport(fixture);
+  Object.assign(fixture, { homeGoals: null, awayGoals: null, played: false, voided: true, walkover: null });
+
+  const audit = recordAudit({
+    action: "void_result",
+    leagueId,
+    fixture: { matchday, home, away },
+    reason,
+    actor,
+    before,
+    after: fixtureSnapshot(fixture),
+  });
+  const redrawn = redrawPlayoffs(leagueId, league);
+  saveSeason();
+
+  return { success: true, message: `${home} v ${away} (matchday ${matchday}) voided${redrawn}`, audit };
+}
+
+/**
+ * Award a fixture 3-0 to one side.
+ */
+export function awardWalkover(leagueId, { matchday, home, away, winner, reason, actor }) {
+  const missingReason = requireReason(reason);
+  if (missingReason) return missingReason;
+  if (winner !== home && winner !== away) {
+    return { success: false, message: "winner must be the home or away team of the fixture" };
+  }
+
+  const { league, error } = findLeague(leagueId);
+  if (error) return error;
+  const found = findFixture(league, { matchday, home, away });
+  if (found.error) return found.error;
+  const locked = checkPlayoffsOpen(league);
+  if (locked) return locked;
+
+  const { fixture } = found;
+  const before = fixtureSnapshot(fixture);
+  dropReport(fixture);
+  Object.assign(fixture, {
+    homeGoals: winner === home ? 3 : 0,
+    awayGoals: winner === away ? 3 : 0,
+    played: true,
+    voided: false,
+    walkover: winner,
+  });
+
+  const audit = recordAudit({
+    action: "walkover",
+    leagueId,
+    fixture: { matchday, home, away },
+    reason,
+    actor,
+    before,
+    after: fixtureSnapshot(fixture),
+  });
+  const redrawn = redrawPlayoffs(leagueId, league);
+  saveSeason();
+
+  return { success: true, message: `Walkover awarded to ${winner}${redrawn}`, audit };
+}
+
+/**
+ * Deduct points from a team for the current season.
+ */
+export function deductPoints(leagueId, { team, points, reason, actor }) {
+  const missingReason = requireReason(reason);
+  if (missingReason) return missingReason;
+  if (!Number.isInteger(points) || points <= 0) {
+    return { success: false, message: "points must be a positive whole number" };
+  }
+
+  const { league, error } = findLeague(leagueId);
+  if (error) return error;
+  if (!league.teams.includes(team)) {
+    return { success: false, notFound: true, message: `${team} is not in the ${league.name}` };
+  }
+  const locked = checkPlayoffsOpen(league);
+  if (locked) return locked;
+
+  const before = league.deductions.filter((d) => d.team === team).reduce((sum, d) => sum + d.points, 0);
+  league.deductions.push({ team, points, reason, date: new Date().toISOString() });
+
+  const audit = recordAudit({
+    action: "deduct_points",
+    leagueId,
+    team,
+    reason,
+    actor,
+    before: { pointsDeducted: before },
+    after: { pointsDeducted: before + points },
+  });
+  const redrawn = redrawPlayoffs(leagueId, league);
+  saveSeason();
+
+  return { success: true, message: `${team} deducted ${points} point${points === 1 ? "" : "s"}${redrawn}`, audit };
+}
+
+/**
+ * Get the admin audit trail (optionally for one league), newest first.
+ */
+export function getAuditTrail(leagueId) {
+  const entries = leagueId ? AUDIT.filter((a) => a.leagueId === leagueId) : AUDIT;
+  return {
+    success: true,
+    entries: [...entries].reverse(),
+  };
+}
@@ -0,0 +1,286 @@
+// ──────────────────────────────────────────────
+// GERMAN (de)
+// Missing keys fall back to English.
+// ──────────────────────────────────────────────
+
+export default {
+  language: "Deutsch",
+
+  days: { Mon: "Montag", Tue: "Dienstag", Wed: "Mittwoch", Thu: "Donnerstag", Fri: "Freitag", Sat: "Samstag", Sun: "Sonntag" },
+  days_short: { Mon: "Mo", Tue: "Di", Wed: "Mi", Thu: "Do", Fri: "Fr", Sat: "Sa", Sun: "So" },
+
+  ordinal: { other: "{n}." },
+
+  values: {
+    intensity: { low: "niedrig", medium: "mittel", high: "hoch" },
+    likelihood: { low: "gering", medium: "mittel", high: "hoch" },
+    squad_status: { key_player: "Schlüsselspieler", first_team: "Stammspieler", rotation: "Rotation", fringe: "Ergänzungsspieler" },
+    morale: { low: "niedrig", medium: "mittel", high: "hoch" },
+    form: { excellent: "hervorragend", good: "gut", average: "durchschnittlich", poor: "schwach" },
+    zone: {
+      "automatic promotion": "direkter Aufstieg",
+      "play-off places": "Play-off-Plätze",
+      "relegation zone": "Abstiegszone",
+    },
+    playoff_status: {
+      "won the play-offs": "Play-off-Sieger",
+      "lost the play-off final": "im Play-off-Finale unterlegen",
+      "knocked out in the play-off semi-finals": "im Play-off-Halbfinale ausgeschieden",
+      "into the play-off final": "im Play-off-Finale",
+      "in the play-off semi-finals": "im Play-off-Halbfinale",
+    },
+    venue: { Home: "Heim", Away: "Auswärts", "Wembley Stadium": "Wembley-Stadion" },
+    competition: {
+      "Play-off semi-final, first leg": "Play-off-Halbfinale, Hinspiel",
+      "Play-off semi-final, second leg": "Play-off-Halbfinale, Rückspiel",
+      "Play-off final": "Play-off-Finale",
+    },
+  },
+
+  actions: {
+    start_training: "Training starten",
+    check_stats: "Meine Statistiken",
+    career_advice: "Karriereberatung",
+    next_match: "Nächstes Spiel",
+    training_plan: "Trainingsplan",
+    transfer_interest: "Transferinteresse",
+    my_stats: "Meine Statistiken",
+    whos_watching: "Wer beobachtet mich?",
+    my_form: "Meine Form",
+    training: "Training",
+    career_path: "Karriereweg",
+    change_focus: "Trainingsschwerpunkt ändern",
+    check_form: "Meine Form prüfen",
+    view_training: "Trainingsplan ansehen",
+    pick_another_focus: "Anderen Schwerpunkt wählen",
+    change_again: "Erneut ändern",
+    view_stats: "Statistiken ansehen",
+    full_training_plan: "Ganzer Trainingsplan",
+    all_interested_clubs: "Alle interessierten Vereine",
+    transfer_talk: "Transfergespräch",
+    what_did_i_miss: "Was habe ich verpasst?",
+    negotiate_with: "Mit {club} verhandeln",
+    request_renewal: "Neuen Vertrag fordern",
+    accept_terms: "{wage}/Woche annehmen",
+    push_for: "{wage}/Woche fordern",
+    walk_away: "Gespräche abbrechen",
+  },
+
+  errors: {
+    no_message: "Schick mir eine Nachricht, dann lege ich los.",
+    bad_conversation_id: "Mit dieser conversation_id kann ich nichts anfangen – schick einen Text mit höchstens 64 Zeichen oder lass sie weg, um ein neues Gespräch zu beginnen.",
+    no_player: "Ich muss wissen, wen ich vertrete – schick eine player_id mit deiner Nachricht.",
+    unknown_player: "Ich finde keinen Spieler mit der ID {id}.",
+    wrong_player: "Diese Unterhaltung gehört zu einem anderen Spieler.",
+    chat_failed: "Bei mir ist etwas schiefgelaufen – versuch es noch einmal.",
+    stream_failed: "Bei mir ist etwas schiefgelaufen – versuch es noch einmal.",
+  },
+
+  greeting: {
+    low: "Hey {name}, schön, dich zu sehen! Ich bin dein Berater – Football Brain – und helfe dir, eine richtige Karriere aufzubauen.\n\nIch sag's dir ehrlich: Je mehr Zeit du in deinen Spieler steckst, desto besser läuft es. So funktioniert's:\n\n- **Trainiere alle 3 Stunden** – jede Einheit verbessert deine Attribute und hält deine Fitness hoch\n- **Spiele finden alle 24 Stunden um 22 Uhr statt** – je besser deine Werte und deine Moral, desto mehr Einsatzzeit gibt dir der Trainer\n- **Transferrunden gibt es alle 4 Tage** – wenn du ablieferst, klopfen größere Vereine an\n\nEin einfacher Kreislauf: **hart trainieren → besser spielen → auffallen → aufsteigen.** Ich begleite dich auf dem ganzen Weg.\n\nWo willst du anfangen?",
+    medium: "{name}, willkommen zurück. Schön, dass du da bist.\n\nDu hast ordentlich gearbeitet und das sieht man – aber da ist noch mehr drin. Denk dran: Du kannst alle 3 Stunden trainieren, und jede Einheit zählt für dein nächstes Spiel.\n\nDie Transferrunde steht bevor – wenn wir weiter Schwung aufbauen, könnten wir ernsthaftes Interesse wecken. Sorgen wir dafür, dass du spielbereit bist.\n\nWas brauchst du von mir?",
+    high: "{name}! Der Mann der Stunde. Keine Zeit verlieren – du hast hart gearbeitet und die Zahlen bestätigen es.\n\nDie Scouts schauen zu, die Form stimmt, und die nächste Transferrunde könnte dein Ticket auf eine größere Bühne sein. Ich habe meine Ohren überall, und es wird gemunkelt. Halten wir den Schwung aufrecht.\n\nWie lautet der Plan?",
+    lapsed: "{name}! Da bist du ja. Schön, dass du zurück bist – keine Standpauke, versprochen.\n\nDas Spiel ist nicht stehen geblieben, während du weg warst: Jeden Abend um 22 Uhr wurde gespielt, und die Transferrunde lief weiter alle 4 Tage. Die gute Nachricht? Nichts ist verloren, was ein paar Einheiten nicht zurückholen können.\n\nDer Plan: **Mach heute eine Trainingseinheit.** Mehr nicht. Das schärft deine Fitness für das Spiel heute Abend und zeigt dem Trainer, dass du wieder da bist.\n\nWo willst du anfangen?",
+  },
+
+  training: {
+    current_focus: "Aktueller Schwerpunkt: **{focus}**",
+    plan_line: "- **{day}**: {session} ({intensity})",
+    low: {
+      opener: "Hey {name}, ab ins Training – hier passiert die Magie.\n\nKurze Erinnerung: Du kannst **alle 3 Stunden** trainieren, und jede Einheit verbessert deine Attribute. Je besser deine Werte, desto mehr Einsatzzeit gibt dir der Trainer und desto mehr Scouts werden aufmerksam.\n\nHier ist dein aktueller Plan:",
+      closer: "Auch kurze Einheiten summieren sich mit der Zeit. Versuch heute ein paar Trainingseinheiten einzulegen – dein zukünftiges Ich wird es dir danken.",
+    },
+    medium: {
+      opener: "Also, {name} – hier ist deine Trainingsübersicht. Du warst ziemlich konstant, aber legen wir noch eine Schippe drauf.",
+      closer: "Du bist auf dem richtigen Weg. Versuch jedes 3-Stunden-Trainingsfenster mitzunehmen – die nächste Transferrunde belohnt Spieler, die die Arbeit reingesteckt haben.",
+    },
+    high: {
+      opener: "{name}, Trainingsbericht. Ohne Umschweife.",
+      closer: "Du bist im Rhythmus. Zieh diese Einheiten weiter durch und die Attribute steigen weiter. Ich will dich in Topform, wenn das richtige Angebot kommt.",
+    },
+    lapsed: {
+      opener: "Willkommen zurück, {name}. Wir steigen langsam wieder ein – eine Einheit nach der anderen.\n\nDein Plan ist genau da, wo du ihn gelassen hast, und Trainingsfenster öffnen sich **alle 3 Stunden**, du kannst also sofort loslegen:",
+      closer: "Versuch nicht, die verlorene Zeit auf einmal aufzuholen. Eine Einheit heute, eine morgen, und der Schwung kommt schneller zurück, als du denkst.",
+    },
+  },
+
+  change_training: {
+    unknown_focus: "„{focus}“ ist kein Programm, das ich einrichten kann. Wähle eines davon:",
+    already: "Du trainierst schon **{focus}**, {name}. Bleib dran – Fortschritte kommen davon, Woche für Woche dieselbe Arbeit gut zu machen.",
+    low: {
+      prompt: "Gute Idee, {name} – Abwechslung hält deine Entwicklung im Gleichgewicht. Aktuell trainierst du **{current}**. An welchem Bereich willst du arbeiten?",
+      done: "Erledigt – du trainierst jetzt **{focus}**. Stark, {name}. Denk dran: Alle 3 Stunden gibt es eine neue Einheit, also je früher du anfängst, desto früher merkst du den Unterschied.\n\nHier ist deine neue Woche:",
+    },
+    medium: {
+      prompt: "Zeit für eine Veränderung? Gerade trainierst du **{current}**. Wohin soll die Arbeit gehen?",
+      done: "Erledigt. Dein Schwerpunkt ist jetzt **{focus}** (vorher {current}). Hier ist die neue Woche:",
+    },
+    high: {
+      prompt: "Gut, neuer Block. Du trainierst **{current}** – was schärfen wir als Nächstes?",
+      done: "Festgezurrt – ab heute **{focus}**. Schluss mit {current}. Hier ist das neue Programm:",
+    },
+  },
+
+  match: {
+    summary: "**Nächstes Spiel:** {next}\n\n**Vereinsform (letzte 5):** {form}\n**Tabellenplatz:** {position}\n**Saisonziel:** {goal}",
+    next: "{opponent} – {kickoff}, {venue} ({competition})",
+    matchday: "Spieltag {matchday}",
+    no_fixture: "keines angesetzt – die Saison ist vorbei",
+    no_fixture_outside: "keine EFL-Spiele – der Verein spielt nicht in der Liga",
+    no_games: "noch keine Spiele",
+    position: "{ordinal} in der {league}",
+    outside_efl: "außerhalb der EFL",
+    not_started: "die Saison in der {league} hat noch nicht begonnen",
+    scouting: "**Gegneranalyse {opponent}:** Ihre beste Elf kommt im Schnitt auf {theirs}, unsere auf {ours}. Gefährlichster Mann: **{name}** ({position}, {rating}).",
+    last_match: "**Letztes Spiel:** {result} {score} gegen {opponent} ({venue}) – {minutes} Minuten, {goals} Tore, {assists} Vorlagen, Note {rating}.",
+    last_match_unused: "**Letztes Spiel:** {result} {score} gegen {opponent} ({venue}) – ohne Einsatz auf der Bank.",
+    low: "Spiele finden **alle 24 Stunden um 22 Uhr** statt. Deine Leistung hängt von deinen Attributen, deiner Fitness und deiner Moral ab – je mehr du trainierst und dich um deinen Spieler kümmerst, desto besser läuft es am Spieltag. Eine gute Formkurve kann dich bei der nächsten Transferrunde auf den Radar größerer Vereine bringen.",
+    medium: "Du hast diese Saison {matches} Spiele mit {minutes} Minuten bestritten. Solide Präsenz. Halte deine Fitness mit regelmäßigem Training hoch, dann behältst du deinen Stammplatz. Der Trainer belohnt Beständigkeit.",
+    high: "Du hast {matches} Spiele bestritten, {minutes} Minuten gesammelt, und der Trainer weiß, was er an dir hat. Jetzt geht es darum, die Dominanz zu halten – jedes Spiel ist ein Schaufenster. Scouts aus höheren Ligen notieren sich diese Leistungen.",
+  },
+
+  form: {
+    summary: "**Form:** {label} ({rating}/10)\n**Tore:** {goals} | **Vorlagen:** {assists}\n**Minuten:** {minutes} in {matches} Einsätzen\n**Fitness:** {fitness} | **Moral:** {morale}\n**Gesamt:** {overall} | **Potenzial:** {potential}",
+    label: { excellent: "In Topform", good: "Solide", other: "Ausbaufähig" },
+    low: {
+      strong: "Du bist tatsächlich gut in Form – stell dir vor, wie gut diese Zahlen mit regelmäßigerem Training sein könnten! Jede Trainingseinheit (alle 3 Stunden verfügbar) treibt diese Werte nach oben.",
+      building: "Diese Zahlen haben Luft nach oben, und das ist spannend. Regelmäßiges Training verbessert deine Attribute, was sich direkt auf deine Spiele auswirkt. Trainiere so oft du kannst – alle 3 Stunden zählen.",
+    },
+    medium: {
+      strong: "Die Scouts werden aufmerksam. Die nächste Transferrunde ist eine echte Chance – trainiere weiter und diese Zahlen gehen nur nach oben.",
+      building: "Das Fundament steht. Ein paar konstante Leistungen und Trainingseinheiten mehr werden diese Zahlen bewegen. Die Transferrunde belohnt Aufwärtstrends.",
+    },
+    high: {
+      strong: "Das sind die Zahlen, bei denen das Telefon eines Beraters klingelt. Ich habe telefoniert – diese Form zusammen mit der kommenden Transferrunde könnte alles verändern. Nimm jetzt nicht den Fuß vom Gas.",
+      building: "Das Talent ist da, aber die Werte müssen mithalten. Ich brauche dich in jedem Trainingsfenster und mit Leistung, wenn es darauf ankommt. Vereine schauen sich diese Zahlen an, bevor sie zuschlagen.",
+    },
+  },
+
+  transfer: {
+    summary: "**Vertrag bis:** {expires}\n**Aktueller Marktwert:** {value}\n**Gehalt:** {wage}/Woche\n\n**Interessierte Vereine:**\n{clubs}",
+    club_line: "- **{club}** ({league}) – Wahrscheinlichkeit: {likelihood}, Spanne: {range}",
+    none: "- Noch niemand",
+    offers: "**Aktuelle Angebote:**\n{offers}",
+    offer_line: "- **{club}** ({league}) — {fee} Ablöse, {wage}/Woche, {years}-Jahres-Vertrag · läuft ab {expires}",
+    low: {
+      heat: "Hier gibt es echtes Interesse – aber die Vereine wollen Beständigkeit sehen. Die Transferrunde findet alle 4 Tage statt, und die Vereine achten auf deine aktuelle Form, deine Attribute und deine Moral. Wenn du regelmäßig trainierst und deinen Spieler in guter Verfassung hältst, könnten aus diesen Angeboten echte Wechsel werden.",
+      quiet: "Noch keine starken Angebote, aber das ist normal – es braucht Zeit. Der Schlüssel: Trainiere deinen Spieler regelmäßig (alle 3 Stunden), halte die Moral hoch, und wenn in ein paar Tagen die nächste Transferrunde kommt, ziehen bessere Attribute und bessere Form größere Vereine an. Das System belohnt die Spieler, die die Arbeit reinstecken.",
+    },
+    medium: {
+      heat: "Die Vereine schauen zu. Die Transferrunde steht bevor und deine Form bringt dich in eine starke Position. Bleib beim Training konstant, dann könnte ein echter Wechsel daraus werden.",
+      quiet: "Noch nichts Konkretes, aber der Markt bewegt sich schnell. Halte deine Form, dann könnte die nächste Transferrunde neues Interesse bringen. Ein paar starke Leistungen ändern alles.",
+    },
+    high: {
+      heat: "Darauf haben wir hingearbeitet. Es gibt ernsthaftes Interesse und ich bin am Telefon. Die nächste Transferrunde könnte die entscheidende sein – ich will deine Werte auf dem Höhepunkt, wenn das Fenster aufgeht. Das ist dein Moment.",
+      quiet: "Der Markt ist gerade ruhig, aber ich weiß, was du draufhast. Wir brauchen eine Serie großer Leistungen, um sie zum Handeln zu zwingen. Wenn die Transferrunde kommt, will ich, dass sich die Vereine um dich reißen. Packen wir's an.",
+    },
+  },
+
+  negotiation: {
+    renewal: "**Vertragsgespräche — {club}**",
+    transfer: "**Transfergespräche — {club}** ({league})",
+    squad_status: "**Rolle im Kader:** {status}",
+    their_terms: "**Ihr Angebot:** {wage}/Woche, {years} Jahre Laufzeit",
+    your_ask: "**Deine Forderung:** {wage}/Woche, {years} Jahre Laufzeit",
+    rounds_left: "**Verbleibende Runden:** {rounds} von {max}",
+    agreed: "**Einigung erzielt:** {wage}/Woche, Vertrag bis {expires}.",
+    broken_off: {
+      renewal: "**Die Gespräche sind geplatzt.** {club} geht nicht weiter — in 24 Stunden reden sie wieder.",
+      transfer: "**Die Gespräche sind geplatzt.** {club} hat das Angebot zurückgezogen.",
+    },
+    withdrawn: "Du hast die Gespräche mit {club} abgebrochen.",
+    errors: {
+      none: "Gerade laufen keine Gespräche. Fordere einen neuen Vertrag oder wähle ein Angebot zum Verhandeln.",
+      busy: "Wir verhandeln schon mit {club} — bringen wir das erst zu Ende.",
+      not_due: "{club} öffnet deinen Vertrag noch nicht — er läuft noch mehr als 3 Jahre.",
+      cooling_off: "{club} hat die Gespräche gerade erst abgebrochen. Ab {retry} setzen sie sich wieder an den Tisch.",
+      no_offer: "Es gibt kein offenes Angebot zum Verhandeln.",
+      offer_closed: "Dieses Angebot ist nicht mehr offen.",
+      not_in_efl: "{club} spielt nicht in der EFL — da gibt es niemanden zum Verhandeln.",
+      invalid_terms: "Ich brauche ein Wochengehalt (ganze Pfund) und eine Laufzeit von 1 bis 5 Jahren.",
+      closed: "Diese Gespräche sind schon beendet.",
+    },
+    low: {
+      opened: "So läuft das: Der Verein hat sein Angebot vorgelegt. Du kannst annehmen oder mehr fordern — aber jeder Verein hat eine Grenze, je nachdem, wie wichtig du für den Kader bist, was du wert bist und wie alt du bist. Forderst du viel zu viel oder brauchst mehr als 3 Runden, steht er auf.",
+      countered: "Sie haben sich bewegt. Gutes Zeichen — aber übertreib es nicht. Ein fairer Deal jetzt ist besser als gar keiner.",
+      agreed: "Erledigt. Jetzt weiter trainieren und gut spielen — je besser du bist, desto stärker ist deine Position beim nächsten Mal.",
+      broken_off: "Das hat nicht geklappt, und das ist okay. Arbeite weiter an deiner Form — Vereine zahlen mehr für Spieler, die liefern.",
+    },
+    medium: {
+      opened: "Sie haben eröffnet. Über der ersten Zahl ist meistens noch Luft — mal sehen, wie weit sie gehen.",
+      countered: "Sie sind hochgegangen. Einmal könnten wir noch nachlegen, aber ihre Geduld würde ich nicht überstrapazieren.",
+      agreed: "Guter Deal. Sicherheit und mehr Gehalt — jetzt verdienen wir uns den nächsten.",
+      broken_off: "Sie sind aufgestanden. Wir haben etwas zu hoch gepokert — Lektion gelernt. Deine Form bringt sie zurück.",
+    },
+    high: {
+      opened: "Erstes Angebot, {name} — und erste Angebote sind dazu da, überboten zu werden. Lass mich den besten Deal rausholen.",
+      countered: "Sie bewegen sich. Ich spüre es — noch ein Schub und wir haben sie, wo wir sie wollen.",
+      agreed: "Deal steht. Genau dafür bin ich da, {name}. Jetzt geh raus und zeig ihnen, dass sie ein Schnäppchen gemacht haben.",
+      broken_off: "Sie sind vom Tisch aufgestanden. Ihr Pech. Wir legen nach — und beim nächsten Mal zahlen sie mehr.",
+    },
+  },
+
+  career: {
+    last_season: "**Letzte Saison (Saison {season}):** {appearances} Einsätze, {goals} Tore, {assists} Vorlagen, Durchschnittsnote {rating} — Gesamtwertung {change} über den Sommer.",
+    low: "Das möchte ich dir klarmachen, {name}: Dein Potenzial liegt bei **{potential}** – das ist eine richtig hohe Obergrenze. Aber Potenzial bedeutet nichts ohne Arbeit.\n\nSo sieht der Weg aus:\n1. **Regelmäßig trainieren** – alle 3 Stunden kannst du deine Attribute verbessern\n2. **Spiele bestreiten** – jeden Abend um 22 Uhr bestimmen deine Werte deine Leistung\n3. **Form aufbauen** – konstantes Training + Leistung im Spiel = bessere Moral und Fitness\n4. **Interesse wecken** – die Transferrunde findet alle 4 Tage statt. Bessere Spieler bekommen Angebote von größeren Vereinen\n\nZwischen deinem jetzigen Stand und deinem möglichen Niveau liegen {gap} Bewertungspunkte. Diese Lücke schließt sich mit jedem Training und jedem Spiel. Ich glaube an dich – legen wir los.",
+    medium: {
+      advice: "Zwischen deinem aktuellen Niveau ({overall}) und deiner Obergrenze ({potential}) liegen {gap} Punkte. {age} – aber die Lücke schließt sich nur mit konstantem Einsatz.\n\n{form}\n\nBleib an den Trainingseinheiten dran, dann könnte die nächste Transferrunde eine echte Chance bringen. Du bist näher dran, als du denkst.",
+      young: "Das Alter ist auf deiner Seite",
+      prime: "Das Fenster ist genau jetzt offen",
+      strong: "Deine Form ist stark. Ein größerer Verein könnte deine Entwicklung beschleunigen – aber nur, wenn du dort Spielzeit bekommst.",
+      building: "Konzentrier dich zuerst darauf, der beste Spieler auf diesem Niveau zu sein. Konstante Form öffnet jede Tür.",
+    },
+    high: {
+      advice: "Also, {name}, reden wir übers Geschäft.\n\n**Aktuelles Niveau:** {overall} | **Obergrenze:** {potential} | **Lücke:** {gap} Punkte\n**Alter:** {age_years} – {age}\n\n{form}\n\n{ceiling}",
+      young: "du hast Zeit, aber ich will sie nicht verschwenden",
+      prime: "das sind deine besten Jahre, jede Entscheidung zählt",
+      strong: "Deine Form schreit nach einem Wechsel. Wenn bei der nächsten Transferrunde ein Topverein kommt, sollten wir das ernsthaft prüfen – aber nur mit garantierter Spielzeit. Ich parke dich nicht auf der Bank.",
+      building: "Die Form muss zum Talent passen. Ich brauche dich dominant in jeder Trainingseinheit und jedem Spiel. Wenn die Zahlen stimmen, besorge ich dir den Wechsel.",
+      big_gap: "Über dir ist noch enorm viel Luft. Mit dem richtigen Wechsel und dem richtigen Entwicklungsplan reden wir über Erstliga-Fußball. Darauf arbeite ich hin.",
+      small_gap: "Du bist nah an deinem Höhepunkt – jetzt geht es um Kleinigkeiten. Jede Einheit, jedes Spiel, jedes Detail. Das trennt die Guten von der Elite.",
+    },
+  },
+
+  morale: {
+    summary: "**Moral:** {morale}\n**Fitness:** {fitness}\n**Form:** {form} ({rating}/10)",
+    low: {
+      high: "Deine Moral ist hoch – super! Die Moral beeinflusst alles: deine Leistung im Spiel, deine Trainingsfortschritte und wie dich Scouts bewerten. Damit sie hoch bleibt, trainiere regelmäßig und bleib aktiv. Schon das Einloggen, um nach deinem Spieler zu sehen, hält alles am Laufen.",
+      medium: "Die Moral liegt im Mittelfeld. Die Sache ist: Die Moral steigt, wenn du trainierst, wenn du gut spielst und wenn du bei deinem Spieler am Ball bleibst. Versuch eine Trainingseinheit einzulegen (alle 3 Stunden verfügbar), dann sollte sich das bessern. Bessere Moral heißt bessere Leistungen am Spieltag.",
+      low: "Die Moral ist gerade niedrig, und das wirkt sich auf deine Spiele aus und darauf, wie attraktiv du für Scouts bist. Die gute Nachricht? Das lässt sich ändern. Absolviere ein paar Trainingseinheiten – alle 3 Stunden verfügbar – und bau dir eine Routine auf. Beständigkeit ist der Schlüssel. Dein Spieler braucht dich.",
+    },
+    medium: {
+      high: "Du bist mental gut drauf. Das Selbstvertrauen ist hoch – füttere es weiter mit Training und starken Leistungen. Genau diesen Schwung wollen wir vor der nächsten Transferrunde.",
+      medium: "Du bist stabil, aber nicht euphorisch. Ein gutes Ergebnis oder eine starke Trainingsserie könnte das drehen. Bleib an deinen Trainingsfenstern dran – diese Beständigkeit zahlt sich schnell aus.",
+      low: "Die Moral ist gesunken. Bringen wir sie wieder hoch – ein paar Trainingseinheiten, Fokus auf die Grundlagen. Eine gute Leistung heute Abend um 22 Uhr könnte das schnell wenden.",
+    },
+    high: {
+      high: "Mental hellwach, das Selbstvertrauen durch die Decke. Genau hier werden Deals gemacht. Vereine schauen nicht nur auf Statistiken – sie schauen auf die Mentalität eines Spielers. Du strahlst gerade Qualität aus. Halte das.",
+      medium: "Die Moral ist ordentlich, aber ich habe dich in Bestform gesehen, und das ist sie nicht. Ich brauche dich fokussiert. Hau die nächste Trainingseinheit raus, liefere heute Abend eine große Leistung ab und hol dir das Selbstbewusstsein zurück. Die Scouts müssen einen Spieler sehen, der an sich glaubt.",
+      low: "Die Moral hat einen Dämpfer bekommen, und ich rede das nicht schön – Vereine bemerken so etwas. Wir müssen das schnell drehen. Rein ins Training, Rhythmus finden und dem Prozess vertrauen. Ich habe Spieler schon aus schlimmeren Lagen zurückkommen sehen. Los geht's.",
+    },
+  },
+
+  reference: {
+    training: "**{day}:** {session} – Intensität {intensity}.\n\n{push}",
+    push: {
+      low: "Jede Einheit zählt – und denk dran, du kannst alle 3 Stunden trainieren.",
+      medium: "Gib Gas, dann zeigt es sich am Spieltag.",
+      high: "Hau rein – das sind die Einheiten, die dich vom Rest abheben.",
+      lapsed: "Fang mit dieser an – wieder in den Rhythmus zu kommen ist, was zählt.",
+    },
+    transfer: "**{club}** ({league})\n**Wahrscheinlichkeit:** {likelihood}\n**Erwartete Spanne:** {range}\n\n{read}",
+    read: {
+      high: "Die meinen es ernst. Wenn die Zahlen bei der nächsten Transferrunde stimmen, rechne mit einem konkreten Angebot.",
+      medium: "Echtes Interesse, aber sie wägen ihre Optionen ab. Eine starke Formkurve gibt den Ausschlag zu unseren Gunsten.",
+      low: "Noch früh – sie beobachten eher, als dass sie bieten. Bleib stark, dann kann sich das ändern.",
+    },
+  },
+
+  general: {
+    low: "Hey {name}, ich bin dein Fußballberater – Football Brain. Ich helfe dir, deine Karriere zu steuern und das Beste aus deinem Potenzial zu machen.\n\nKurzer Tipp: Je mehr du dich um deinen Spieler kümmerst, desto besser läuft es. Training ist alle 3 Stunden möglich, Spiele finden täglich um 22 Uhr statt und alle 4 Tage gibt es eine Transferrunde. Bleib aktiv, dann kommt der Lohn.\n\nDabei kann ich dir helfen:",
+    medium: "Alles klar, {name}, ich bin da. Was brauchst du?\n\nBei all dem kann ich helfen – frag einfach oder tippe auf einen Button:",
+    high: "{name}, wie lautet der Plan? Du kennst das – ich kümmere mich um alles, was du brauchst:",
+    lapsed: "{name}, willkommen zurück! Ist eine Weile her, also die Kurzfassung: Training alle 3 Stunden, Spiele täglich um 22 Uhr, eine Transferrunde alle 4 Tage. Mach weiter, wo du willst.\n\nDabei kann ich helfen:",
+    topics: "- **Training** – dein Plan, Schwerpunkte und wie du dich verbesserst\n- **Spiel** – nächster Gegner, Form und Kaderinfos\n- **Statistiken** – Tore, Vorlagen, Bewertung, Minuten\n- **Transfers** – wer interessiert ist und was du wert bist\n- **Karriere** – Entwicklungsweg und ehrlicher Rat\n\nWas liegt dir auf dem Herzen?",
+  },
+};
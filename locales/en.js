@@ -0,0 +1,289 @@
+// ──────────────────────────────────────────────
+// ENGLISH (en) — the reference catalogue
+// Every other locale falls back to these keys.
+// Placeholders look like {name}.
+// ──────────────────────────────────────────────
+
+export default {
+  language: "English",
+
+  days: { Mon: "Monday", Tue: "Tuesday", Wed: "Wednesday", Thu: "Thursday", Fri: "Friday", Sat: "Saturday", Sun: "Sunday" },
+  days_short: { Mon: "Mon", Tue: "Tue", Wed: "Wed", Thu: "Thu", Fri: "Fri", Sat: "Sat", Sun: "Sun" },
+
+  // Picked with Intl.PluralRules({ type: "ordinal" })
+  ordinal: { one: "{n}st", two: "{n}nd", few: "{n}rd", other: "{n}th" },
+
+  // Values that come from game data
+  values: {
+    intensity: { low: "low", medium: "medium", high: "high" },
+    likelihood: { low: "low", medium: "medium", high: "high" },
+    squad_status: { key_player: "key player", first_team: "first team", rotation: "rotation", fringe: "fringe" },
+    morale: { low: "low", medium: "medium", high: "high" },
+    form: { excellent: "excellent", good: "good", average: "average", poor: "poor" },
+    zone: {
+      "automatic promotion": "automatic promotion",
+      "play-off places": "play-off places",
+      "relegation zone": "relegation zone",
+    },
+    playoff_status: {
+      "won the play-offs": "won the play-offs",
+      "lost the play-off final": "lost the play-off final",
+      "knocked out in the play-off semi-finals": "knocked out in the play-off semi-finals",
+      "into the play-off final": "into the play-off final",
+      "in the play-off semi-finals": "in the play-off semi-finals",
+    },
+    venue: { Home: "Home", Away: "Away", "Wembley Stadium": "Wembley Stadium" },
+    competition: {
+      "Play-off semi-final, first leg": "Play-off semi-final, first leg",
+      "Play-off semi-final, second leg": "Play-off semi-final, second leg",
+      "Play-off final": "Play-off final",
+    },
+  },
+
+  actions: {
+    start_training: "Start Training",
+    check_stats: "Check My Stats",
+    career_advice: "Career Advice",
+    next_match: "Next Match",
+    training_plan: "Training Plan",
+    transfer_interest: "Transfer Interest",
+    my_stats: "My Stats",
+    whos_watching: "Who's Watching?",
+    my_form: "My Form",
+    training: "Training",
+    career_path: "Career Path",
+    change_focus: "Change Training Focus",
+    check_form: "Check My Form",
+    view_training: "View Training Plan",
+    pick_another_focus: "Pick Another Focus",
+    change_again: "Change Again",
+    view_stats: "View Stats",
+    full_training_plan: "Full Training Plan",
+    all_interested_clubs: "All Interested Clubs",
+    transfer_talk: "Transfer Talk",
+    what_did_i_miss: "What Did I Miss?",
+    negotiate_with: "Negotiate With {club}",
+    request_renewal: "Ask For A New Contract",
+    accept_terms: "Accept {wage}/wk",
+    push_for: "Push For {wage}/wk",
+    walk_away: "Walk Away",
+  },
+
+  errors: {
+    no_message: "Send me a message and I'll get to work.",
+    bad_conversation_id: "That conversation_id isn't one I can use — send a string of up to 64 characters, or leave it out to start a new conversation.",
+    no_player: "I need to know who I'm representing — send a player_id with your message.",
+    unknown_player: "I can't find a player with id {id}.",
+    wrong_player: "That conversation belongs to a different player.",
+    chat_failed: "Something went wrong on my end — try that again.",
+    stream_failed: "Something went wrong on my end — try that again.",
+  },
+
+  greeting: {
+    low: "Hey {name}, good to see you! I'm your agent — Football Brain — and I'm here to help you build a proper career.\n\nListen, I'll be straight with you: the more time you put into your player, the better things get. Here's how it works:\n\n- **Train every 3 hours** — each session boosts your attributes and keeps your fitness sharp\n- **Matches are played every 24 hours at 10pm** — the better your stats and morale, the more game time you'll get from the gaffer\n- **Transfer sweeps happen every 4 days** — if you're performing well, bigger clubs will come knocking\n\nIt's a simple loop: **train hard → play better → get noticed → move up.** I'm here to guide you through it all.\n\nWhere do you want to start?",
+    medium: "{name}, welcome back. Good to have you.\n\nYou've been putting in some decent work and it shows — but there's more in the tank. Remember, you can train every 3 hours and every session counts toward your next match performance.\n\nThe transfer sweep is coming up — if we keep building momentum, we could attract some serious interest. Let's make sure you're match-ready.\n\nWhat do you need from me?",
+    high: "{name}! The man of the hour. Right, let's not waste time — you've been grafting and the numbers are backing it up.\n\nScouts are watching, the form is there, and the next transfer sweep could be your ticket to a bigger stage. I've got my ear to the ground and there are whispers. Let's keep this momentum rolling.\n\nWhat's the play?",
+    lapsed: "{name}! There you are. Good to have you back — no lectures, I promise.\n\nThe game hasn't stood still while you were away: matches have been played every night at 10pm and the transfer sweep has kept rolling every 4 days. The good news? Nothing's lost that a few sessions can't win back.\n\nHere's the plan: **get one training session done today.** That's it. It sharpens your fitness for tonight's match and tells the gaffer you're back in business.\n\nWhere do you want to start?",
+  },
+
+  training: {
+    current_focus: "Current focus: **{focus}**",
+    plan_line: "- **{day}**: {session} ({intensity})",
+    low: {
+      opener: "Hey {name}, let's get you training — this is where the magic happens.\n\nA quick reminder: you can train **every 3 hours**, and each session improves your attributes. The better your stats, the more game time the gaffer gives you, and the more scouts will take notice.\n\nHere's your current plan:",
+      closer: "Even short sessions add up over time. Try to get a few training sessions in today — your future self will thank you for it.",
+    },
+    medium: {
+      opener: "Right then, {name} — here's your training breakdown. You've been fairly consistent, but let's step it up.",
+      closer: "You're on the right track. Try to hit every 3-hour training window you can — the next transfer sweep rewards players who've been putting in the work.",
+    },
+    high: {
+      opener: "{name}, training intel. No messing about.",
+      closer: "You're in a rhythm. Keep smashing these sessions and the attributes will keep climbing. I want you in peak condition for when the right offer lands.",
+    },
+    lapsed: {
+      opener: "Welcome back, {name}. Let's ease you back in — one session at a time.\n\nYour plan is exactly where you left it, and training windows open **every 3 hours**, so you can start right now:",
+      closer: "Don't try to make up for lost time in one go. One session today, another tomorrow, and the momentum comes back quicker than you'd think.",
+    },
+  },
+
+  change_training: {
+    unknown_focus: "\"{focus}\" isn't a programme I can set up. Pick one of these:",
+    already: "You're already on **{focus}**, {name}. Stick with it — gains come from doing the same work well, week after week.",
+    low: {
+      prompt: "Good thinking, {name} — switching things up keeps your development balanced. You're currently on **{current}**. Which area do you want to work on?",
+      done: "Done — you're now training **{focus}**. Nice one, {name}. Remember, sessions open up every 3 hours, so the sooner you start the sooner you'll see the difference.\n\nHere's your new week:",
+    },
+    medium: {
+      prompt: "Time for a change? You're on **{current}** right now. Where do you want the work to go?",
+      done: "Sorted. Your focus is now **{focus}** (was {current}). Here's the new week:",
+    },
+    high: {
+      prompt: "Right, new block. You're on **{current}** — what are we sharpening next?",
+      done: "Locked in — **{focus}** from today. Out with {current}. Here's the new programme:",
+    },
+  },
+
+  match: {
+    summary: "**Next match:** {next}\n\n**Club form (last 5):** {form}\n**League position:** {position}\n**Season target:** {goal}",
+    next: "{opponent} — {kickoff}, {venue} ({competition})",
+    matchday: "Matchday {matchday}",
+    no_fixture: "none scheduled — the season is over",
+    no_fixture_outside: "no EFL fixtures — the club is outside the league",
+    no_games: "no games yet",
+    position: "{ordinal} in the {league}",
+    outside_efl: "outside the EFL",
+    not_started: "the {league} season hasn't kicked off yet",
+    scouting: "**Scouting {opponent}:** their best XI averages {theirs} to our {ours}. Danger man: **{name}** ({position}, {rating}).",
+    last_match: "**Last time out:** {result} {score} v {opponent} ({venue}) — {minutes} minutes, {goals} goals, {assists} assists, rated {rating}.",
+    last_match_unused: "**Last time out:** {result} {score} v {opponent} ({venue}) — an unused sub.",
+    low: "Matches are played **every 24 hours at 10pm**. Your performance depends on your attributes, fitness, and morale — so the more you train and look after your player, the better you'll do on match day. A good run of form can put you on the radar of bigger clubs in the next transfer sweep.",
+    medium: "You've played {matches} matches this season with {minutes} minutes. Solid presence. Keep your fitness high with regular training and you'll hold down that starting spot. The gaffer rewards consistency.",
+    high: "You've played {matches} matches, racked up {minutes} minutes, and the gaffer knows what he's got in you. This is about maintaining dominance now — every match is a shop window. Scouts from higher leagues are clocking these performances.",
+  },
+
+  form: {
+    summary: "**Form:** {label} ({rating}/10)\n**Goals:** {goals} | **Assists:** {assists}\n**Minutes:** {minutes} across {matches} appearances\n**Fitness:** {fitness} | **Morale:** {morale}\n**Overall:** {overall} | **Potential:** {potential}",
+    label: { excellent: "On fire", good: "Solid", other: "Needs work" },
+    low: {
+      strong: "You're actually in decent form — imagine how good these numbers could be with more regular training! Every training session (available every 3 hours) pushes these stats higher.",
+      building: "These numbers have room to grow, and that's exciting. Regular training sessions boost your attributes, which directly improves your match performances. Try to train as often as you can — every 3 hours counts.",
+    },
+    medium: {
+      strong: "Scouts are starting to pay attention. The next transfer sweep is a real opportunity — keep training and these numbers will only go up.",
+      building: "The foundation is there. A few more consistent performances and training sessions will shift these numbers. The transfer sweep rewards upward trends.",
+    },
+    high: {
+      strong: "These are the numbers that get agents' phones ringing. I've been making calls — this form combined with the upcoming transfer sweep could change everything. Don't take your foot off the gas.",
+      building: "The raw talent is there but we need the stats to match. I need you training every window and performing when it matters. Clubs look at these numbers before they make a move.",
+    },
+  },
+
+  transfer: {
+    summary: "**Contract expires:** {expires}\n**Current value:** {value}\n**Wage:** {wage}/wk\n\n**Clubs showing interest:**\n{clubs}",
+    club_line: "- **{club}** ({league}) — likelihood: {likelihood}, range: {range}",
+    none: "- Nobody yet",
+    offers: "**Live offers:**\n{offers}",
+    offer_line: "- **{club}** ({league}) — {fee} fee, {wage}/wk, {years}-year deal · expires {expires}",
+    low: {
+      heat: "There's genuine interest here — but clubs want to see consistency. The transfer sweep runs every 4 days and clubs look at your recent form, attributes, and morale. If you train regularly and keep your player in good shape, these offers could turn into real moves.",
+      quiet: "No strong offers yet, but that's normal — it takes time. Here's the key: train your player regularly (every 3 hours), keep morale up, and when the next transfer sweep happens in a few days, better attributes and form will attract bigger clubs. The system rewards the players who put in the work.",
+    },
+    medium: {
+      heat: "Clubs are watching. The transfer sweep is coming up and your form puts you in a strong position. Stay consistent with your training and we could see a real move materialize.",
+      quiet: "Nothing concrete yet, but the market moves fast. Keep your form up and the next transfer sweep could bring new interest. A few strong performances change everything.",
+    },
+    high: {
+      heat: "Right, this is what we've been building toward. There's serious interest and I'm working the phones. The next transfer sweep could be the one — I want your stats peaking when that window opens. This is your moment.",
+      quiet: "The market's quiet for now, but I know what you're capable of. We need a run of big performances to force their hand. When the transfer sweep lands, I want clubs fighting over you. Let's make that happen.",
+    },
+  },
+
+  negotiation: {
+    renewal: "**Contract talks — {club}**",
+    transfer: "**Transfer talks — {club}** ({league})",
+    squad_status: "**Squad status:** {status}",
+    their_terms: "**Their terms:** {wage}/wk, {years}-year deal",
+    your_ask: "**Your ask:** {wage}/wk, {years}-year deal",
+    rounds_left: "**Rounds left:** {rounds} of {max}",
+    agreed: "**Deal done:** {wage}/wk, contract until {expires}.",
+    broken_off: {
+      renewal: "**Talks are off.** {club} won't go any further — they'll talk again in 24 hours.",
+      transfer: "**Talks are off.** {club} have pulled their offer.",
+    },
+    withdrawn: "You've walked away from talks with {club}.",
+    errors: {
+      none: "There are no talks on right now. Ask for a new contract, or pick an offer to negotiate.",
+      busy: "We're already in talks with {club} — let's finish those first.",
+      not_due: "{club} won't reopen your contract yet — there's more than 3 years left on it.",
+      cooling_off: "{club} broke off talks recently. They'll sit down again from {retry}.",
+      no_offer: "There's no open offer to negotiate on.",
+      offer_closed: "That offer isn't open any more.",
+      not_in_efl: "{club} aren't in the EFL, so there's no one to talk to.",
+      invalid_terms: "I need a weekly wage (a whole number of pounds) and a contract of 1-5 years.",
+      closed: "Those talks are already over.",
+    },
+    low: {
+      opened: "Here's how this works: the club has put its terms down. You can take them, or ask for more — but every club has a limit based on how important you are to the squad, your value and your age. Ask for way too much, or take more than 3 rounds, and they'll walk.",
+      countered: "They've moved. That's a good sign — but don't push too far. Taking a fair deal now beats losing it altogether.",
+      agreed: "That's done. Now keep training and playing well — the better you perform, the stronger your hand next time.",
+      broken_off: "That one didn't work out, and that's okay. Keep building your form — clubs pay more for players who perform.",
+    },
+    medium: {
+      opened: "They've opened. There's usually room above the first number — let's see how far they'll go.",
+      countered: "They've come up. We could push once more, but I'd not test their patience too far.",
+      agreed: "Good deal. That's security and a pay rise — now let's go earn the next one.",
+      broken_off: "They've walked. We overplayed it slightly — lesson learned. Your form will bring them back.",
+    },
+    high: {
+      opened: "Opening offer, {name} — and opening offers are there to be beaten. Let me push for the best deal.",
+      countered: "They're moving. I can smell it — one more push and we've got them where we want them.",
+      agreed: "Done deal. That's what I do, {name}. Now go out and prove they got a bargain.",
+      broken_off: "They've walked away from the table. Their loss. We go again — and next time they'll pay more.",
+    },
+  },
+
+  career: {
+    last_season: "**Last season (season {season}):** {appearances} appearances, {goals} goals, {assists} assists, average rating {rating} — overall {change} over the summer.",
+    low: "Here's what I want you to understand, {name}: your potential is **{potential}** — that's a seriously high ceiling. But potential means nothing without the work.\n\nHere's the path:\n1. **Train regularly** — every 3 hours you can boost your attributes\n2. **Play matches** — every night at 10pm, your stats determine your performance\n3. **Build form** — consistent training + match performance = better morale and fitness\n4. **Attract interest** — the transfer sweep runs every 4 days. Better players get offers from bigger clubs\n\nYou've got {gap} rating points between where you are and where you could be. That gap closes every time you train and play. I believe in you — let's start building.",
+    medium: {
+      advice: "You've got {gap} points between your current level ({overall}) and your ceiling ({potential}). {age} — but the gap only closes with consistent effort.\n\n{form}\n\nKeep hitting those training sessions and the next transfer sweep could bring a real opportunity. You're closer than you think.",
+      young: "Age is on your side",
+      prime: "The window is open right now",
+      strong: "Your form is strong. A bigger club could accelerate your development — but only if you'd get minutes there.",
+      building: "Focus on being the best player at this level first. Consistent form opens every door.",
+    },
+    high: {
+      advice: "Right {name}, let's talk business.\n\n**Current level:** {overall} | **Ceiling:** {potential} | **Gap:** {gap} points\n**Age:** {age_years} — {age}\n\n{form}\n\n{ceiling}",
+      young: "you've got time, but I don't want to waste it",
+      prime: "this is prime time, every decision matters",
+      strong: "Your form is screaming for a move. If a top club comes in at the next transfer sweep, we should seriously consider it — but only if they guarantee minutes. I'm not parking you on a bench.",
+      building: "The form needs to match the talent. I need you dominating every training session and every match. When the numbers are right, I'll get you the move.",
+      big_gap: "There's a massive ceiling above you. With the right move and the right development plan, we're talking top-flight football. That's what I'm working toward.",
+      small_gap: "You're close to your peak — it's about fine margins now. Every session, every match, every detail. That's what separates the good from the elite.",
+    },
+  },
+
+  morale: {
+    summary: "**Morale:** {morale}\n**Fitness:** {fitness}\n**Form:** {form} ({rating}/10)",
+    low: {
+      high: "Your morale is high — that's great! Morale affects everything: your match performance, your training gains, and how scouts rate you. To keep it high, try to train regularly and stay active. Even logging in to check on your player helps keep things ticking.",
+      medium: "Morale is sitting at medium. Here's the thing — morale goes up when you train, when you play well, and when you're consistent with your player. Try to get a training session in (they're available every 3 hours) and you should see this improve. Better morale means better performances on match day.",
+      low: "Morale's low at the moment, and that's going to affect your match performances and how attractive you look to scouts. The good news? It's fixable. Get some training sessions done — they're available every 3 hours — and start building a routine. Consistency is key. Your player needs you.",
+    },
+    medium: {
+      high: "You're in a good headspace. Confidence is high — keep feeding it with training sessions and strong performances. This momentum heading into the next transfer sweep is exactly what we want.",
+      medium: "You're steady but not buzzing. A good match result or a solid training streak could flip this. Try to stay on top of your training windows — that consistency compounds fast.",
+      low: "Morale's dipped. Let's get it back up — hit some training sessions, focus on the basics. A good performance tonight at 10pm could turn this around quickly.",
+    },
+    high: {
+      high: "Mentally sharp, confidence through the roof. This is where deals get done. Clubs don't just look at stats — they look at a player's mentality. You're radiating quality right now. Keep it there.",
+      medium: "Morale's decent but I've seen you at your best and this isn't it. I need you locked in. Smash the next training session, put in a big performance tonight, and get that swagger back. The scouts need to see a player who believes in himself.",
+      low: "Right, morale's taken a hit and I'm not going to sugarcoat it — clubs notice this. We need to turn it around fast. Get into training, get a rhythm going, and trust the process. I've seen players bounce back from worse. Let's go.",
+    },
+  },
+
+  reference: {
+    training: "**{day}:** {session} — {intensity} intensity.\n\n{push}",
+    push: {
+      low: "Every session counts — and remember, you can train every 3 hours.",
+      medium: "Put the effort in and it'll show on match day.",
+      high: "Attack it — these are the sessions that separate you from the pack.",
+      lapsed: "Start with this one — getting back into the rhythm is what counts.",
+    },
+    transfer: "**{club}** ({league})\n**Likelihood:** {likelihood}\n**Expected range:** {range}\n\n{read}",
+    read: {
+      high: "They're serious. If the numbers hold up at the next transfer sweep, expect a concrete approach.",
+      medium: "Genuine interest, but they're weighing up options. A strong run of form tips it our way.",
+      low: "Early days — they're watching rather than bidding. Keep performing and that can change.",
+    },
+  },
+
+  general: {
+    low: "Hey {name}, I'm your football agent — Football Brain. I'm here to help you navigate your career and make the most of your potential.\n\nQuick tip: the more you interact with your player, the better things get. Training is available every 3 hours, matches play out at 10pm daily, and a transfer sweep runs every 4 days. Stay active and the rewards come.\n\nHere's what I can help with:",
+    medium: "Alright {name}, I'm here. What do you need?\n\nI can help you with any of these — just ask or tap a button:",
+    high: "{name}, what's the play? You know the drill — I'm on it whatever you need:",
+    lapsed: "{name}, welcome back! It's been a while, so here's the short version: training every 3 hours, matches at 10pm daily, a transfer sweep every 4 days. Pick up wherever you like.\n\nHere's what I can help with:",
+    topics: "- **Training** — your plan, focus areas, and how to improve\n- **Match** — next fixture, form, and squad info\n- **Stats** — goals, assists, rating, minutes\n- **Transfers** — who's interested and what you're worth\n- **Career** — development path and honest advice\n\nWhat's on your mind?",
+  },
+};
@@ -0,0 +1,286 @@
+// ──────────────────────────────────────────────
+// SPANISH (es)
+// Missing keys fall back to English.
+// ──────────────────────────────────────────────
+
+export default {
+  language: "Español",
+
+  days: { Mon: "Lunes", Tue: "Martes", Wed: "Miércoles", Thu: "Jueves", Fri: "Viernes", Sat: "Sábado", Sun: "Domingo" },
+  days_short: { Mon: "Lun", Tue: "Mar", Wed: "Mié", Thu: "Jue", Fri: "Vie", Sat: "Sáb", Sun: "Dom" },
+
+  ordinal: { other: "{n}.º" },
+
+  values: {
+    intensity: { low: "baja", medium: "media", high: "alta" },
+    likelihood: { low: "baja", medium: "media", high: "alta" },
+    squad_status: { key_player: "jugador clave", first_team: "titular", rotation: "rotación", fringe: "secundario" },
+    morale: { low: "baja", medium: "media", high: "alta" },
+    form: { excellent: "excelente", good: "buena", average: "regular", poor: "mala" },
+    zone: {
+      "automatic promotion": "ascenso directo",
+      "play-off places": "puestos de play-off",
+      "relegation zone": "zona de descenso",
+    },
+    playoff_status: {
+      "won the play-offs": "campeones del play-off",
+      "lost the play-off final": "perdieron la final del play-off",
+      "knocked out in the play-off semi-finals": "eliminados en las semifinales del play-off",
+      "into the play-off final": "en la final del play-off",
+      "in the play-off semi-finals": "en las semifinales del play-off",
+    },
+    venue: { Home: "En casa", Away: "Fuera", "Wembley Stadium": "Estadio de Wembley" },
+    competition: {
+      "Play-off semi-final, first leg": "Semifinal del play-off, ida",
+      "Play-off semi-final, second leg": "Semifinal del play-off, vuelta",
+      "Play-off final": "Final del play-off",
+    },
+  },
+
+  actions: {
+    start_training: "Empezar a entrenar",
+    check_stats: "Ver mis estadísticas",
+    career_advice: "Consejos de carrera",
+    next_match: "Próximo partido",
+    training_plan: "Plan de entrenamiento",
+    transfer_interest: "Interés de fichaje",
+    my_stats: "Mis estadísticas",
+    whos_watching: "¿Quién me sigue?",
+    my_form: "Mi forma",
+    training: "Entrenamiento",
+    career_path: "Mi carrera",
+    change_focus: "Cambiar enfoque de entrenamiento",
+    check_form: "Ver mi forma",
+    view_training: "Ver plan de entrenamiento",
+    pick_another_focus: "Elegir otro enfoque",
+    change_again: "Cambiar otra vez",
+    view_stats: "Ver estadísticas",
+    full_training_plan: "Plan de entrenamiento completo",
+    all_interested_clubs: "Todos los clubes interesados",
+    transfer_talk: "Hablar de fichajes",
+    what_did_i_miss: "¿Qué me he perdido?",
+    negotiate_with: "Negociar con {club}",
+    request_renewal: "Pedir un contrato nuevo",
+    accept_terms: "Aceptar {wage}/sem",
+    push_for: "Pedir {wage}/sem",
+    walk_away: "Levantarse de la mesa",
+  },
+
+  errors: {
+    no_message: "Mándame un mensaje y me pongo manos a la obra.",
+    bad_conversation_id: "Ese conversation_id no me sirve: envía un texto de hasta 64 caracteres, u omítelo para empezar una conversación nueva.",
+    no_player: "Necesito saber a quién represento: envía un player_id con tu mensaje.",
+    unknown_player: "No encuentro ningún jugador con el id {id}.",
+    wrong_player: "Esa conversación pertenece a otro jugador.",
+    chat_failed: "Algo ha fallado por mi parte. Inténtalo de nuevo.",
+    stream_failed: "Algo ha fallado por mi parte. Inténtalo de nuevo.",
+  },
+
+  greeting: {
+    low: "¡Hola, {name}, me alegro de verte! Soy tu agente, Football Brain, y estoy aquí para ayudarte a construir una carrera de verdad.\n\nTe lo digo sin rodeos: cuanto más tiempo le dediques a tu jugador, mejor irán las cosas. Así funciona:\n\n- **Entrena cada 3 horas**: cada sesión mejora tus atributos y mantiene tu forma física a punto\n- **Los partidos se juegan cada 24 horas a las 22:00**: cuanto mejores sean tus estadísticas y tu moral, más minutos te dará el míster\n- **Las rondas de fichajes llegan cada 4 días**: si estás rindiendo, los clubes grandes llamarán a tu puerta\n\nEs un ciclo sencillo: **entrena duro → juega mejor → hazte notar → da el salto.** Yo te guío en todo el proceso.\n\n¿Por dónde quieres empezar?",
+    medium: "{name}, bienvenido de nuevo. Me alegra tenerte aquí.\n\nHas hecho un trabajo decente y se nota, pero queda más gasolina en el depósito. Recuerda que puedes entrenar cada 3 horas y que cada sesión cuenta para tu próximo partido.\n\nSe acerca la ronda de fichajes: si seguimos cogiendo ritmo, podríamos despertar un interés serio. Asegurémonos de que llegas a punto.\n\n¿Qué necesitas de mí?",
+    high: "¡{name}! El hombre del momento. Vamos al grano: has currado de lo lindo y los números lo respaldan.\n\nLos ojeadores están mirando, la forma está ahí y la próxima ronda de fichajes podría ser tu billete a un escenario más grande. Tengo el oído puesto y hay rumores. Sigamos con esta racha.\n\n¿Cuál es la jugada?",
+    lapsed: "¡{name}! Aquí estás. Me alegra que hayas vuelto, y nada de sermones, te lo prometo.\n\nEl juego no se ha parado mientras estabas fuera: se han jugado partidos cada noche a las 22:00 y la ronda de fichajes ha seguido cada 4 días. ¿La buena noticia? No hay nada perdido que unas cuantas sesiones no puedan recuperar.\n\nEste es el plan: **haz una sesión de entrenamiento hoy.** Solo eso. Afina tu forma física para el partido de esta noche y le dice al míster que has vuelto.\n\n¿Por dónde quieres empezar?",
+  },
+
+  training: {
+    current_focus: "Enfoque actual: **{focus}**",
+    plan_line: "- **{day}**: {session} ({intensity})",
+    low: {
+      opener: "Hola, {name}, vamos a ponerte a entrenar: aquí es donde ocurre la magia.\n\nUn recordatorio rápido: puedes entrenar **cada 3 horas** y cada sesión mejora tus atributos. Cuanto mejores sean tus estadísticas, más minutos te dará el míster y más se fijarán los ojeadores.\n\nEste es tu plan actual:",
+      closer: "Hasta las sesiones cortas suman con el tiempo. Intenta hacer varias sesiones hoy: tu yo del futuro te lo agradecerá.",
+    },
+    medium: {
+      opener: "Muy bien, {name}, aquí tienes tu desglose de entrenamiento. Has sido bastante constante, pero vamos a subir el nivel.",
+      closer: "Vas por buen camino. Intenta aprovechar cada ventana de entrenamiento de 3 horas: la próxima ronda de fichajes premia a quienes han trabajado.",
+    },
+    high: {
+      opener: "{name}, informe de entrenamiento. Sin rodeos.",
+      closer: "Estás en racha. Sigue exprimiendo estas sesiones y los atributos seguirán subiendo. Te quiero en plena forma cuando llegue la oferta adecuada.",
+    },
+    lapsed: {
+      opener: "Bienvenido de nuevo, {name}. Vamos a volver poco a poco, sesión a sesión.\n\nTu plan está justo donde lo dejaste y las ventanas de entrenamiento se abren **cada 3 horas**, así que puedes empezar ya mismo:",
+      closer: "No intentes recuperar el tiempo perdido de golpe. Una sesión hoy, otra mañana, y el ritmo vuelve antes de lo que crees.",
+    },
+  },
+
+  change_training: {
+    unknown_focus: "«{focus}» no es un programa que pueda preparar. Elige uno de estos:",
+    already: "Ya estás con **{focus}**, {name}. Mantente firme: las mejoras llegan de hacer bien el mismo trabajo semana tras semana.",
+    low: {
+      prompt: "Buena idea, {name}: variar mantiene tu desarrollo equilibrado. Ahora mismo estás con **{current}**. ¿En qué área quieres trabajar?",
+      done: "Hecho: ahora entrenas **{focus}**. Bien hecho, {name}. Recuerda que las sesiones se abren cada 3 horas, así que cuanto antes empieces, antes notarás la diferencia.\n\nEsta es tu nueva semana:",
+    },
+    medium: {
+      prompt: "¿Toca un cambio? Ahora estás con **{current}**. ¿Hacia dónde quieres llevar el trabajo?",
+      done: "Listo. Tu enfoque ahora es **{focus}** (antes {current}). Esta es la nueva semana:",
+    },
+    high: {
+      prompt: "Venga, bloque nuevo. Estás con **{current}**: ¿qué afilamos ahora?",
+      done: "Decidido: **{focus}** desde hoy. Adiós a {current}. Este es el nuevo programa:",
+    },
+  },
+
+  match: {
+    summary: "**Próximo partido:** {next}\n\n**Forma del club (últimos 5):** {form}\n**Posición en la liga:** {position}\n**Objetivo de la temporada:** {goal}",
+    next: "{opponent} — {kickoff}, {venue} ({competition})",
+    matchday: "Jornada {matchday}",
+    no_fixture: "ninguno programado: la temporada ha terminado",
+    no_fixture_outside: "ninguno en la EFL: el club está fuera de la liga",
+    no_games: "aún sin partidos",
+    position: "{ordinal} en la {league}",
+    outside_efl: "fuera de la EFL",
+    not_started: "la temporada de la {league} aún no ha comenzado",
+    scouting: "**Informe del {opponent}:** su once ideal tiene una media de {theirs}, frente al {ours} del nuestro. Hombre peligroso: **{name}** ({position}, {rating}).",
+    last_match: "**Último partido:** {result} {score} ante el {opponent} ({venue}): {minutes} minutos, {goals} goles, {assists} asistencias, nota {rating}.",
+    last_match_unused: "**Último partido:** {result} {score} ante el {opponent} ({venue}): suplente sin minutos.",
+    low: "Los partidos se juegan **cada 24 horas a las 22:00**. Tu rendimiento depende de tus atributos, tu forma física y tu moral, así que cuanto más entrenes y cuides de tu jugador, mejor te irá el día de partido. Una buena racha puede ponerte en el radar de clubes más grandes en la próxima ronda de fichajes.",
+    medium: "Has jugado {matches} partidos esta temporada con {minutes} minutos. Presencia sólida. Mantén alta tu forma física entrenando con regularidad y conservarás el puesto de titular. El míster premia la constancia.",
+    high: "Has jugado {matches} partidos, acumulas {minutes} minutos y el míster sabe lo que tiene contigo. Ahora se trata de mantener el dominio: cada partido es un escaparate. Los ojeadores de ligas superiores están tomando nota.",
+  },
+
+  form: {
+    summary: "**Forma:** {label} ({rating}/10)\n**Goles:** {goals} | **Asistencias:** {assists}\n**Minutos:** {minutes} en {matches} partidos\n**Forma física:** {fitness} | **Moral:** {morale}\n**Media:** {overall} | **Potencial:** {potential}",
+    label: { excellent: "Imparable", good: "Sólida", other: "Mejorable" },
+    low: {
+      strong: "La verdad es que estás en buena forma: ¡imagina lo buenos que podrían ser estos números entrenando con más regularidad! Cada sesión (disponible cada 3 horas) hace subir estas estadísticas.",
+      building: "Estos números tienen margen de mejora, y eso es emocionante. Entrenar con regularidad mejora tus atributos, lo que repercute directamente en tus partidos. Intenta entrenar tan a menudo como puedas: cada 3 horas cuentan.",
+    },
+    medium: {
+      strong: "Los ojeadores empiezan a fijarse. La próxima ronda de fichajes es una oportunidad real: sigue entrenando y estos números solo pueden subir.",
+      building: "La base está ahí. Unos cuantos partidos y entrenamientos constantes más harán que estos números cambien. La ronda de fichajes premia las tendencias al alza.",
+    },
+    high: {
+      strong: "Estos son los números que hacen sonar el teléfono de los agentes. He estado haciendo llamadas: esta forma, sumada a la próxima ronda de fichajes, podría cambiarlo todo. No levantes el pie del acelerador.",
+      building: "El talento está ahí, pero las estadísticas tienen que acompañar. Te necesito entrenando en cada ventana y rindiendo cuando importa. Los clubes miran estos números antes de moverse.",
+    },
+  },
+
+  transfer: {
+    summary: "**Fin de contrato:** {expires}\n**Valor actual:** {value}\n**Salario:** {wage}/sem.\n\n**Clubes interesados:**\n{clubs}",
+    club_line: "- **{club}** ({league}) — probabilidad: {likelihood}, horquilla: {range}",
+    none: "- Nadie por ahora",
+    offers: "**Ofertas en firme:**\n{offers}",
+    offer_line: "- **{club}** ({league}) — traspaso de {fee}, {wage}/sem., contrato de {years} años · caduca el {expires}",
+    low: {
+      heat: "Aquí hay interés real, pero los clubes quieren ver constancia. La ronda de fichajes llega cada 4 días y los clubes miran tu forma reciente, tus atributos y tu moral. Si entrenas con regularidad y mantienes a tu jugador en buen estado, estas ofertas podrían convertirse en traspasos de verdad.",
+      quiet: "Todavía no hay ofertas fuertes, pero es normal: lleva tiempo. La clave es esta: entrena a tu jugador con regularidad (cada 3 horas), mantén la moral alta y, cuando llegue la próxima ronda de fichajes dentro de unos días, unos mejores atributos y una mejor forma atraerán a clubes más grandes. El sistema premia a quienes trabajan.",
+    },
+    medium: {
+      heat: "Los clubes están mirando. Se acerca la ronda de fichajes y tu forma te deja en una posición fuerte. Sé constante con los entrenamientos y podríamos ver un traspaso de verdad.",
+      quiet: "Nada concreto aún, pero el mercado se mueve rápido. Mantén la forma y la próxima ronda de fichajes podría traer nuevo interés. Unos cuantos partidos buenos lo cambian todo.",
+    },
+    high: {
+      heat: "Esto es lo que hemos estado construyendo. Hay un interés serio y estoy moviendo el teléfono. La próxima ronda de fichajes podría ser la buena: quiero tus estadísticas en su mejor momento cuando se abra esa ventana. Es tu momento.",
+      quiet: "El mercado está tranquilo por ahora, pero sé de lo que eres capaz. Necesitamos una racha de grandes actuaciones para forzarles la mano. Cuando llegue la ronda de fichajes, quiero a los clubes peleándose por ti. Hagámoslo realidad.",
+    },
+  },
+
+  negotiation: {
+    renewal: "**Negociación de contrato — {club}**",
+    transfer: "**Negociación de traspaso — {club}** ({league})",
+    squad_status: "**Papel en el equipo:** {status}",
+    their_terms: "**Su oferta:** {wage}/sem, contrato de {years} años",
+    your_ask: "**Tu petición:** {wage}/sem, contrato de {years} años",
+    rounds_left: "**Rondas restantes:** {rounds} de {max}",
+    agreed: "**Trato cerrado:** {wage}/sem, contrato hasta el {expires}.",
+    broken_off: {
+      renewal: "**Se rompen las negociaciones.** El {club} no irá más allá; volverá a hablar dentro de 24 horas.",
+      transfer: "**Se rompen las negociaciones.** El {club} ha retirado su oferta.",
+    },
+    withdrawn: "Te has levantado de la mesa con el {club}.",
+    errors: {
+      none: "Ahora mismo no hay ninguna negociación abierta. Pide un contrato nuevo o elige una oferta para negociar.",
+      busy: "Ya estamos negociando con el {club}; terminemos eso primero.",
+      not_due: "El {club} no va a reabrir tu contrato todavía: te quedan más de 3 años.",
+      cooling_off: "El {club} rompió las negociaciones hace poco. Volverá a sentarse a partir del {retry}.",
+      no_offer: "No hay ninguna oferta abierta que negociar.",
+      offer_closed: "Esa oferta ya no está abierta.",
+      not_in_efl: "El {club} no está en la EFL, así que no hay con quién hablar.",
+      invalid_terms: "Necesito un salario semanal (en libras, sin decimales) y un contrato de 1 a 5 años.",
+      closed: "Esa negociación ya ha terminado.",
+    },
+    low: {
+      opened: "Así funciona: el club ha puesto su oferta sobre la mesa. Puedes aceptarla o pedir más, pero cada club tiene un límite según lo importante que seas en la plantilla, tu valor y tu edad. Si pides demasiado o pasas de 3 rondas, se levantarán.",
+      countered: "Se han movido, y eso es buena señal. Pero no aprietes demasiado: un trato justo ahora es mejor que perderlo.",
+      agreed: "Hecho. Ahora sigue entrenando y rindiendo: cuanto mejor juegues, más fuerza tendrás la próxima vez.",
+      broken_off: "Esta no ha salido, y no pasa nada. Sigue construyendo tu forma: los clubes pagan más a quien rinde.",
+    },
+    medium: {
+      opened: "Han abierto. Normalmente hay margen por encima de la primera cifra; veamos hasta dónde llegan.",
+      countered: "Han subido. Podríamos apretar una vez más, pero yo no pondría a prueba su paciencia.",
+      agreed: "Buen trato. Estabilidad y una subida de sueldo; ahora a ganarnos el siguiente.",
+      broken_off: "Se han levantado. Nos hemos pasado un poco; lección aprendida. Tu forma los hará volver.",
+    },
+    high: {
+      opened: "Primera oferta, {name}, y las primeras ofertas están para superarlas. Déjame apretar por el mejor trato.",
+      countered: "Se están moviendo. Lo huelo: un empujón más y los tenemos donde queremos.",
+      agreed: "Trato hecho. Para eso estoy, {name}. Ahora sal ahí y demuéstrales que se llevaron una ganga.",
+      broken_off: "Se han levantado de la mesa. Ellos se lo pierden. Volvemos a la carga, y la próxima vez pagarán más.",
+    },
+  },
+
+  career: {
+    last_season: "**La temporada pasada (temporada {season}):** {appearances} partidos, {goals} goles, {assists} asistencias, nota media {rating}; valoración general {change} en verano.",
+    low: "Esto es lo que quiero que entiendas, {name}: tu potencial es **{potential}**, un techo altísimo. Pero el potencial no significa nada sin trabajo.\n\nEste es el camino:\n1. **Entrena con regularidad**: cada 3 horas puedes mejorar tus atributos\n2. **Juega partidos**: cada noche a las 22:00, tus estadísticas deciden tu rendimiento\n3. **Coge forma**: entrenamiento constante + rendimiento en los partidos = mejor moral y forma física\n4. **Despierta interés**: la ronda de fichajes llega cada 4 días. Los mejores jugadores reciben ofertas de clubes más grandes\n\nTienes {gap} puntos de valoración entre donde estás y donde podrías estar. Esa distancia se acorta cada vez que entrenas y juegas. Creo en ti: empecemos a construir.",
+    medium: {
+      advice: "Tienes {gap} puntos entre tu nivel actual ({overall}) y tu techo ({potential}). {age}, pero la distancia solo se acorta con esfuerzo constante.\n\n{form}\n\nSigue cumpliendo con esas sesiones de entrenamiento y la próxima ronda de fichajes podría traer una oportunidad real. Estás más cerca de lo que crees.",
+      young: "La edad juega a tu favor",
+      prime: "La ventana está abierta ahora mismo",
+      strong: "Tu forma es buena. Un club más grande podría acelerar tu desarrollo, pero solo si allí tuvieras minutos.",
+      building: "Céntrate primero en ser el mejor jugador de esta categoría. La forma constante abre todas las puertas.",
+    },
+    high: {
+      advice: "Muy bien, {name}, hablemos de negocios.\n\n**Nivel actual:** {overall} | **Techo:** {potential} | **Diferencia:** {gap} puntos\n**Edad:** {age_years}: {age}\n\n{form}\n\n{ceiling}",
+      young: "tienes tiempo, pero no quiero malgastarlo",
+      prime: "estás en tu mejor momento, cada decisión cuenta",
+      strong: "Tu forma pide a gritos un traspaso. Si un club grande aparece en la próxima ronda de fichajes, deberíamos planteárnoslo en serio, pero solo si garantizan minutos. No te voy a dejar aparcado en el banquillo.",
+      building: "La forma tiene que estar a la altura del talento. Te necesito dominando cada entrenamiento y cada partido. Cuando los números cuadren, te conseguiré el traspaso.",
+      big_gap: "Tienes un techo enorme por encima. Con el traspaso adecuado y el plan de desarrollo adecuado, hablamos de fútbol de primera división. Para eso estoy trabajando.",
+      small_gap: "Estás cerca de tu techo: ahora todo va de pequeños detalles. Cada sesión, cada partido, cada detalle. Eso es lo que separa a los buenos de la élite.",
+    },
+  },
+
+  morale: {
+    summary: "**Moral:** {morale}\n**Forma física:** {fitness}\n**Forma:** {form} ({rating}/10)",
+    low: {
+      high: "Tu moral está alta, ¡genial! La moral lo afecta todo: tu rendimiento en los partidos, lo que ganas entrenando y cómo te valoran los ojeadores. Para mantenerla alta, intenta entrenar con regularidad y mantenerte activo. Hasta entrar a ver cómo está tu jugador ayuda a que todo siga en marcha.",
+      medium: "La moral está en un punto medio. La clave es esta: la moral sube cuando entrenas, cuando juegas bien y cuando eres constante con tu jugador. Intenta hacer una sesión de entrenamiento (hay una cada 3 horas) y deberías notar la mejora. Mejor moral significa mejores actuaciones el día de partido.",
+      low: "Ahora mismo la moral está baja, y eso va a afectar a tus partidos y a lo atractivo que resultas para los ojeadores. ¿La buena noticia? Tiene arreglo. Haz algunas sesiones de entrenamiento, que hay una cada 3 horas, y empieza a crear una rutina. La constancia es clave. Tu jugador te necesita.",
+    },
+    medium: {
+      high: "Estás en un buen momento mental. La confianza está alta: sigue alimentándola con entrenamientos y buenas actuaciones. Este impulso de cara a la próxima ronda de fichajes es justo lo que queremos.",
+      medium: "Estás estable, pero sin chispa. Un buen resultado o una buena racha de entrenamientos podría darle la vuelta. Intenta no perderte tus ventanas de entrenamiento: esa constancia se nota rápido.",
+      low: "La moral ha bajado. Vamos a recuperarla: haz algunas sesiones de entrenamiento y céntrate en lo básico. Una buena actuación esta noche a las 22:00 podría cambiarlo todo rápidamente.",
+    },
+    high: {
+      high: "Mentalmente afilado y con la confianza por las nubes. Aquí es donde se cierran los acuerdos. Los clubes no solo miran las estadísticas: miran la mentalidad del jugador. Ahora mismo desprendes calidad. Sigue así.",
+      medium: "La moral está bien, pero te he visto en tu mejor versión y esta no es. Te necesito concentrado. Revienta la próxima sesión, firma una gran actuación esta noche y recupera esa chulería. Los ojeadores necesitan ver a un jugador que cree en sí mismo.",
+      low: "La moral ha recibido un golpe y no te lo voy a endulzar: los clubes lo notan. Tenemos que darle la vuelta rápido. Métete en el entrenamiento, coge ritmo y confía en el proceso. He visto a jugadores recuperarse de cosas peores. Vamos.",
+    },
+  },
+
+  reference: {
+    training: "**{day}:** {session} — intensidad {intensity}.\n\n{push}",
+    push: {
+      low: "Cada sesión cuenta, y recuerda que puedes entrenar cada 3 horas.",
+      medium: "Pon el esfuerzo y se notará el día de partido.",
+      high: "A por ella: estas son las sesiones que te separan del resto.",
+      lapsed: "Empieza por esta: lo que cuenta es recuperar el ritmo.",
+    },
+    transfer: "**{club}** ({league})\n**Probabilidad:** {likelihood}\n**Horquilla prevista:** {range}\n\n{read}",
+    read: {
+      high: "Van en serio. Si los números se mantienen en la próxima ronda de fichajes, espera un acercamiento concreto.",
+      medium: "Interés real, pero están sopesando opciones. Una buena racha inclinaría la balanza a nuestro favor.",
+      low: "Es pronto: están observando más que pujando. Sigue rindiendo y eso puede cambiar.",
+    },
+  },
+
+  general: {
+    low: "Hola, {name}, soy tu agente de fútbol, Football Brain. Estoy aquí para ayudarte a gestionar tu carrera y sacar el máximo partido a tu potencial.\n\nUn consejo rápido: cuanto más interactúes con tu jugador, mejor irán las cosas. El entrenamiento está disponible cada 3 horas, los partidos se juegan a diario a las 22:00 y hay una ronda de fichajes cada 4 días. Mantente activo y llegarán las recompensas.\n\nEn esto te puedo ayudar:",
+    medium: "Muy bien, {name}, aquí estoy. ¿Qué necesitas?\n\nTe puedo ayudar con cualquiera de estas cosas; pregunta o pulsa un botón:",
+    high: "{name}, ¿cuál es la jugada? Ya sabes cómo va: me pongo con lo que necesites:",
+    lapsed: "¡{name}, bienvenido de nuevo! Ha pasado un tiempo, así que te lo resumo: entrenamiento cada 3 horas, partidos a las 22:00 cada día y una ronda de fichajes cada 4 días. Retómalo por donde quieras.\n\nEsto es en lo que te puedo ayudar:",
+    topics: "- **Entrenamiento**: tu plan, áreas de enfoque y cómo mejorar\n- **Partido**: próximo rival, forma e información de la plantilla\n- **Estadísticas**: goles, asistencias, valoración, minutos\n- **Fichajes**: quién está interesado y cuánto vales\n- **Carrera**: camino de desarrollo y consejos sinceros\n\n¿Qué tienes en mente?",
+  },
+};
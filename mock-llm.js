@@ -0,0 +1,59 @@
+// ──────────────────────────────────────────────
+// MOCK LLM SERVER
+// A stand-in for an OpenAI-compatible API so the
+// generation path can be exercised locally:
+//
+//   npm run mock-llm
+//   LLM_BACKEND=openai LLM_BASE_URL=http://localhost:4010/v1 npm start
+//
+// Config:
+//   MOCK_LLM_PORT=4010
+//   MOCK_LLM_MODE=echo|error|empty|slow|broken
+//   MOCK_LLM_DELAY_MS=10000   (used by "slow")
+// ──────────────────────────────────────────────
+
+import express from "express";
+
+const PORT = Number(process.env.MOCK_LLM_PORT) || 4010;
+const MODE = process.env.MOCK_LLM_MODE || "echo";
+const DELAY_MS = Number(process.env.MOCK_LLM_DELAY_MS) || 10000;
+
+const app = express();
+app.use(express.json({ limit: "1mb" }));
+
+app.post("/v1/chat/completions", async (req, res) => {
+  const { model, messages = [], stream } = req.body || {};
+  const system = messages.find((m) => m.role === "system")?.content || "";
+  const last = messages[messages.length - 1]?.content || "";
+
+  if (MODE === "error") return res.status(500).json({ error: { message: "mock failure" } });
+  if (MODE === "slow") await new Promise((resolve) => setTimeout(resolve, DELAY_MS));
+
+  // Echo back what the prompt told us, so callers can check it arrived
+  const topics = system.match(/asking about: (.*)\./)?.[1] || "unknown";
+  const content = MODE === "empty" ? "" : `[mock] You asked "${last}" (topics: ${topics}).`;
+
+  if (stream) {
+    res.setHeader("Content-Type", "text/event-stream");
+    const words = content.match(/\S+\s*/g) || [];
+    // "broken" cuts the stream off half-way through
+    const sent = MODE === "broken" ? words.slice(0, Math.ceil(words.length / 2)) : words;
+    for (const word of sent) {
+      res.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta: { content: word } }] })}\n\n`);
+    }
+    if (MODE === "broken") return setTimeout(() => res.destroy(), 100);
+    res.write("data: [DONE]\n\n");
+    return res.end();
+  }
+
+  res.json({
+    id: `mock-${Date.now()}`,
+    object: "chat.completion",
+    model: model || "mock",
+    choices: [{ index: 0, message: { role: "assistant", content }, finish_reason: "stop" }],
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock LLM (${MODE}) listening on port ${PORT}`);
+});
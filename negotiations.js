@@ -0,0 +1,326 @@
+// ──────────────────────────────────────────────
+// CONTRACT NEGOTIATIONS
+// The agent haggles over wages and contract length: a
+// renewal with the player's current club, or better terms
+// on a transfer offer from another. The player names a
+// weekly wage and a length; the club accepts, counters or
+// breaks off talks.
+//
+// Every club has a ceiling it won't go past, set by the
+// player's squad status there (overall and form against
+// the club's level), their market value and their age.
+// Young players get offered longer deals, over-30s shorter
+// ones and less money. Ask for more than a fifth over the
+// ceiling, or fail to agree in 3 rounds, and talks end —
+// a buying club pulls its offer, the current club won't
+// talk again for 24 hours.
+//
+// One negotiation per player at a time. Talks left alone
+// for 48 hours lapse, as do transfer talks once the offer
+// is gone.
+// ──────────────────────────────────────────────
+
+import { createCollection } from "./storage.js";
+import { getPlayer, updatePlayer, estimateWage, estimateValue } from "./players.js";
+import { getClubStanding, getOffer, acceptOffer, withdrawOffer, contractEnd } from "./transfers.js";
+
+const HOUR_MS = 3600 * 1000;
+const MAX_ROUNDS = 3;
+const IDLE_HOURS = 48;
+const COOLING_OFF_HOURS = 24;
+const WALKOUT_MARGIN = 1.2; // asks this far over the ceiling end talks
+const RENEWAL_WINDOW_YEARS = 3; // clubs won't reopen a longer contract
+const MAX_CONTRACT_YEARS = 5;
+
+// How much a club will stretch for a player, by their place in the squad
+const SQUAD_PAY = { key_player: 1.3, first_team: 1.1, rotation: 0.95, fringe: 0.8 };
+
+// player id → { count, active, history (newest first) }
+const negotiations = createCollection("negotiations");
+
+const roundTo = (n, step) => Math.round(n / step) * step;
+const clamp = (n, [min, max]) => Math.min(max, Math.max(min, n));
+
+// ── CLUB AI ───────────────────────────────────
+
+function squadStatus(player, standing) {
+  const form = player.form_rating >= 7.5 ? 1 : player.form_rating < 6 ? -1 : 0;
+  const gap = player.overall - standing.level + form;
+  if (gap >= 5) return "key_player";
+  if (gap >= 0) return "first_team";
+  if (gap >= -5) return "rotation";
+  return "fringe";
+}
+
+// Young players with headroom are worth tying down; over-30s get
+// short deals on less money
+function ageTerms(player) {
+  const prospect = player.potential - player.overall >= 5;
+  if (player.age <= 23) return { pay: prospect ? 1.1 : 1, years: [2, 5], prefer: "long" };
+  if (player.age <= 29) return { pay: 1, years: [2, 4], prefer: "mid" };
+  if (player.age <= 32) return { pay: 0.85, years: [1, 2], prefer: "short" };
+  return { pay: 0.7, years: [1, 1], prefer: "short" };
+}
+
+// What the club is prepared to pay and for how long
+function clubLimits(player, standing, floor = 0) {
+  const status = squadStatus(player, standing);
+  const age = ageTerms(player);
+  // Players the market rates above their level are harder to replace
+  const market = Math.min(1.15, Math.max(0.9, player.value / estimateValue(player)));
+  const fair = estimateWage(player.overall) * standing.wageFactor;
+  const keen = status === "key_player" || (status === "first_team" && player.age <= 23);
+
+  const [min, max] = age.years;
+  const years = age.prefer === "long" || keen ? max : age.prefer === "short" ? min : Math.round((min + max) / 2);
+
+  return {
+    squad_status: status,
+    max_wage: roundTo(Math.max(floor, fair * SQUAD_PAY[status] * age.pay * market), 100),
+    years: age.years,
+    preferred_years: years,
+  };
+}
+
+// The club's answer to an ask: accept it, meet it part way, or walk
+function respond(talks, ask) {
+  const { max_wage, years } = talks.limits;
+  const contractYears = clamp(ask.contract_years, years);
+
+  if (ask.wage <= max_wage && contractYears === ask.contract_years) return { outcome: "agreed", terms: ask };
+  if (ask.wage > max_wage * WALKOUT_MARGIN || talks.round >= MAX_ROUNDS) return { outcome: "broken_off" };
+
+  // Over the ceiling: come 60% of the way, up to the ceiling
+  const wage = ask.wage <= max_wage
+    ? ask.wage
+    : Math.min(max_wage, Math.max(talks.terms.wage, roundTo(talks.terms.wage + (ask.wage - talks.terms.wage) * 0.6, 100)));
+  return { outcome: "countered", terms: { wage, contract_years: contractYears } };
+}
+
+// ── STATE ─────────────────────────────────────
+
+function load(playerId) {
+  return negotiations.get(playerId) || { count: 0, active: null, history: [] };
+}
+
+function close(record, talks, status, now) {
+  const ended = { ...talks, status, ended_at: now.toISOString(), updated_at: now.toISOString() };
+  return { ...record, active: null, history: [ended, ...record.history].slice(0, 20) };
+}
+
+// Talks end on their own when left too long or the offer goes
+function expire(playerId, now) {
+  const record = load(playerId);
+  const talks = record.active;
+  if (!talks) return record;
+
+  const idle = now - new Date(talks.updated_at) >= IDLE_HOURS * HOUR_MS;
+  const offerGone = talks.type === "transfer" && getOffer(playerId, talks.offer_id, now)?.status !== "open";
+  if (!idle && !offerGone) return record;
+
+  const updated = close(record, talks, "lapsed", now);
+  negotiations.set(playerId, updated);
+  return updated;
+}
+
+// The club's ceiling stays private
+function publicView(talks) {
+  if (!talks) return null;
+  const { limits, ...view } = talks;
+  return { ...view, rounds_left: talks.status === "open" ? MAX_ROUNDS - talks.round : 0 };
+}
+
+function validateAsk({ wage, contract_years } = {}) {
+  if (!Number.isInteger(wage) || wage <= 0) {
+    return { success: false, code: "invalid_terms", message: "wage must be a whole number of pounds a week" };
+  }
+  if (!Number.isInteger(contract_years) || contract_years < 1 || contract_years > MAX_CONTRACT_YEARS) {
+    return { success: false, code: "invalid_terms", message: `contract_years must be 1-${MAX_CONTRACT_YEARS}` };
+  }
+  return null;
+}
+
+function findOpenTalks(playerId, negotiationId, now) {
+  if (!getPlayer(playerId)) return { error: { success: false, notFound: true, message: `Unknown player: ${playerId}` } };
+
+  const record = expire(playerId, now);
+  const talks = record.active?.id === negotiationId ? record.active : null;
+  if (talks) return { record, talks };
+
+  const ended = record.history.find((n) => n.id === negotiationId);
+  if (ended) return { error: { success: false, conflict: true, code: "closed", message: `Negotiation ${negotiationId} is ${ended.status}` } };
+  return { error: { success: false, notFound: true, message: `Unknown negotiation: ${negotiationId}` } };
+}
+
+// ── AGREEMENT ─────────────────────────────────
+
+function complete(playerId, record, talks, terms, now) {
+  const contractExpires = contractEnd(now, terms.contract_years);
+
+  const result = talks.type === "renewal"
+    ? updatePlayer(playerId, { wage: terms.wage, contract_expires: contractExpires })
+    : acceptOffer(playerId, talks.offer_id, now, terms);
+  if (!result.success) return result;
+
+  const agreed = { ...talks, terms, agreed: { ...terms, contract_expires: contractExpires } };
+  negotiations.set(playerId, close(record, agreed, "agreed", now));
+  return { success: true, outcome: "agreed", negotiation: publicView({ ...agreed, status: "agreed" }), player: result.player };
+}
+
+function breakOff(playerId, record, talks, now) {
+  if (talks.type === "transfer") withdrawOffer(playerId, talks.offer_id, now);
+  negotiations.set(playerId, close(record, talks, "broken_off", now));
+  return { success: true, outcome: "broken_off", negotiation: publicView({ ...talks, status: "broken_off" }) };
+}
+
+// One round: the player's ask, then the club's answer
+function playRound(playerId, record, talks, ask, now) {
+  const at = now.toISOString();
+  const asked = { ...talks, round: talks.round + 1, rounds: [...talks.rounds, { by: "player", ...ask, at }], updated_at: at };
+  const answer = respond(asked, ask);
+
+  if (answer.outcome === "agreed") return complete(playerId, record, asked, answer.terms, now);
+  if (answer.outcome === "broken_off") return breakOff(playerId, record, asked, now);
+
+  const countered = { ...asked, terms: answer.terms, rounds: [...asked.rounds, { by: "club", ...answer.terms, at }] };
+  negotiations.set(playerId, { ...record, active: countered });
+  return { success: true, outcome: "countered", negotiation: publicView(countered) };
+}
+
+// ── PUBLIC API ─────────────────────────────────
+
+/**
+ * The player's open negotiation (or null) and past ones, newest
+ * first. Null for unknown players.
+ */
+export function getNegotiations(playerId, now = new Date()) {
+  if (!getPlayer(playerId)) return null;
+  const record = expire(playerId, now);
+  return { active: publicView(record.active), history: record.history.map(publicView) };
+}
+
+/**
+ * Open talks: { type: "renewal" } with the player's club, or
+ * { type: "transfer", offer_id } with a club that's made an offer.
+ * The club opens with its terms; an optional { wage, contract_years }
+ * ask is put to it straight away as the first round.
+ */
+export function openNegotiation(playerId, { type, offer_id, wage, contract_years } = {}, now = new Date()) {
+  const player = getPlayer(playerId);
+  if (!player) return { success: false, notFound: true, message: `Unknown player: ${playerId}` };
+  if (type !== "renewal" && type !== "transfer") return { success: false, message: 'type must be "renewal" or "transfer"' };
+
+  const hasAsk = wage !== undefined || contract_years !== undefined;
+  const invalid = hasAsk && validateAsk({ wage, contract_years });
+  if (invalid) return invalid;
+
+  const record = expire(playerId, now);
+  if (record.active) {
+    return { success: false, conflict: true, code: "busy", club: record.active.club, message: `Already negotiating with ${record.active.club} (${record.active.id})` };
+  }
+
+  let talks;
+  if (type === "renewal") {
+    const standing = getClubStanding(player.club);
+    if (!standing) return { success: false, conflict: true, code: "not_in_efl", message: `${player.club} aren't in the EFL` };
+
+    const yearsLeft = (new Date(player.contract_expires) - now) / (365.25 * 24 * HOUR_MS);
+    if (yearsLeft > RENEWAL_WINDOW_YEARS) {
+      return { success: false, conflict: true, code: "not_due", club: player.club, message: `${player.club} won't reopen a contract with more than ${RENEWAL_WINDOW_YEARS} years left` };
+    }
+
+    const lastTalks = record.history.find((n) => n.type === "renewal" && n.club === player.club);
+    if (lastTalks?.status === "broken_off" && now - new Date(lastTalks.ended_at) < COOLING_OFF_HOURS * HOUR_MS) {
+      const retryAt = new Date(new Date(lastTalks.ended_at).getTime() + COOLING_OFF_HOURS * HOUR_MS).toISOString();
+      return { success: false, conflict: true, code: "cooling_off", club: player.club, retry_at: retryAt, message: `${player.club} won't talk again until ${retryAt}` };
+    }
+
+    const limits = clubLimits(player, standing);
+    talks = {
+      type,
+      club: player.club,
+      league: standing.league,
+      offer_id: null,
+      current: { wage: player.wage, contract_expires: player.contract_expires },
+      limits,
+      // Clubs open at 85% of their ceiling, never below what the player's on unless they're cutting back
+      terms: {
+        wage: limits.max_wage >= player.wage ? Math.max(player.wage, roundTo(limits.max_wage * 0.85, 100)) : limits.max_wage,
+        contract_years: limits.preferred_years,
+      },
+    };
+  } else {
+    const offer = offer_id ? getOffer(playerId, offer_id, now) : null;
+    if (!offer) return { success: false, notFound: true, code: "no_offer", message: `Unknown offer: ${offer_id}` };
+    if (offer.status !== "open") return { success: false, conflict: true, code: "offer_closed", message: `Offer ${offer_id} is ${offer.status}` };
+
+    const standing = getClubStanding(offer.club);
+    if (!standing) return { success: false, conflict: true, code: "not_in_efl", message: `${offer.club} aren't in the EFL` };
+
+    // A buying club has already put a number down and has a little room above it
+    const limits = clubLimits(player, standing, offer.wage * 1.1);
+    limits.years = [Math.min(limits.years[0], offer.contract_years), Math.max(limits.years[1], offer.contract_years)];
+    talks = {
+      type,
+      club: offer.club,
+      league: offer.league,
+      offer_id: offer.id,
+      current: { wage: offer.wage, contract_years: offer.contract_years, fee: offer.fee },
+      limits,
+      terms: { wage: offer.wage, contract_years: offer.contract_years },
+    };
+  }
+
+  const at = now.toISOString();
+  const count = record.count + 1;
+  const opened = {
+    id: `${playerId}-n${count}`,
+    ...talks,
+    squad_status: talks.limits.squad_status,
+    status: "open",
+    round: 0,
+    max_rounds: MAX_ROUNDS,
+    rounds: [{ by: "club", ...talks.terms, at }],
+    started_at: at,
+    updated_at: at,
+  };
+  const updated = { ...record, count, active: opened };
+  negotiations.set(playerId, updated);
+
+  if (hasAsk) return playRound(playerId, updated, opened, { wage, contract_years }, now);
+  return { success: true, outcome: "opened", negotiation: publicView(opened) };
+}
+
+/**
+ * Put an ask ({ wage, contract_years }) to the club. It accepts (the
+ * deal is done), counters, or breaks off talks.
+ */
+export function proposeTerms(playerId, negotiationId, ask = {}, now = new Date()) {
+  const invalid = validateAsk(ask);
+  if (invalid) return invalid;
+
+  const { error, record, talks } = findOpenTalks(playerId, negotiationId, now);
+  if (error) return error;
+  return playRound(playerId, record, talks, { wage: ask.wage, contract_years: ask.contract_years }, now);
+}
+
+/**
+ * Take the club's current terms.
+ */
+export function acceptTerms(playerId, negotiationId, now = new Date()) {
+  const { error, record, talks } = findOpenTalks(playerId, negotiationId, now);
+  if (error) return error;
+  return complete(playerId, record, talks, talks.terms, now);
+}
+
+/**
+ * Walk away from talks. A transfer offer stays open to accept or
+ * reject as it was.
+ */
+export function withdrawNegotiation(playerId, negotiationId, now = new Date()) {
+  const { error, record, talks } = findOpenTalks(playerId, negotiationId, now);
+  if (error) return error;
+
+  negotiations.set(playerId, close(record, talks, "withdrawn", now));
+  return { success: true, outcome: "withdrawn", negotiation: publicView({ ...talks, status: "withdrawn" }) };
+}
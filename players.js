@@ -0,0 +1,648 @@
+// ──────────────────────────────────────────────
+// PLAYER & CLUB REPOSITORY
+// Player records, club records, training plans and
+// transfer interest — persisted through storage.js.
+//
+// A player's `club` is the name of a real team in the
+// EFL leagues (see leagues.js). Club records are keyed
+// by a slug of that name, e.g. "coventry-city".
+// ──────────────────────────────────────────────
+
+import { createCollection } from "./storage.js";
+import { findTeam, getTeams, getTeamContext } from "./leagues.js";
+
+// ── SEED DATA ─────────────────────────────────
+// Written to storage on first save; edit via the API after that.
+
+/** The seeded player chat falls back to when a client names none. */
+export const DEFAULT_PLAYER_ID = "p001";
+
+const SEED_PLAYERS = {
+  p001: {
+    id: "p001",
+    name: "Marcus Reid",
+    age: 22,
+    position: "CAM",
+    club: "Coventry City",
+    overall: 74,
+    potential: 86,
+    form: "excellent",
+    form_rating: 8.1,
+    goals: 7,
+    assists: 11,
+    minutes_played: 1620,
+    matches_played: 21,
+    fitness: 92,
+    morale: "high",
+    contract_expires: "2027-06-30",
+    wage: 18000,
+    value: 4200000,
+    attributes: { pace: 77, shooting: 76, passing: 81, dribbling: 80, defending: 52, physical: 66 },
+  },
+};
+
+const SEED_CLUBS = {
+  "coventry-city": {
+    id: "coventry-city",
+    name: "Coventry City",
+    manager: "Steve Hargreaves",
+    season_goal: "Promotion playoff",
+  },
+};
+
+const SEED_TRANSFER_INTEREST = {
+  p001: [
+    { club: "Brighton & Hove Albion", likelihood: "high", offer_range: "6M-8M", league: "Premier League" },
+    { club: "Freiburg", likelihood: "medium", offer_range: "5M-6.5M", league: "Bundesliga" },
+    { club: "Real Sociedad", likelihood: "low", offer_range: "4.5M-5.5M", league: "La Liga" },
+  ],
+};
+
+// Weekly programmes a player can switch between. `attributes` is how
+// a session's gains are shared out
+const TRAINING_PROGRAMMES = {
+  "Passing & Vision": {
+    attributes: { passing: 0.7, dribbling: 0.3 },
+    weekly_plan: [
+      { day: "Mon", session: "Ball retention drills", intensity: "medium" },
+      { day: "Tue", session: "Crossing & final third delivery", intensity: "high" },
+      { day: "Wed", session: "Rest / recovery", intensity: "low" },
+      { day: "Thu", session: "Set piece routines", intensity: "medium" },
+      { day: "Fri", session: "Match prep — tactical walkthrough", intensity: "low" },
+    ],
+    recommendation: "Switching play and threading passes between the lines is what makes a creator. Stick with this block for a few weeks before rotating.",
+  },
+  "Shooting & Finishing": {
+    attributes: { shooting: 0.8, physical: 0.2 },
+    weekly_plan: [
+      { day: "Mon", session: "First-time finishing in the box", intensity: "high" },
+      { day: "Tue", session: "Long-range shooting technique", intensity: "medium" },
+      { day: "Wed", session: "Rest / recovery", intensity: "low" },
+      { day: "Thu", session: "One-v-one with the keeper", intensity: "high" },
+      { day: "Fri", session: "Match prep — penalties & set pieces", intensity: "low" },
+    ],
+    recommendation: "Goals change valuations faster than anything else. Focus on getting shots away quickly — composure comes with repetition.",
+  },
+  "Pace & Dribbling": {
+    attributes: { pace: 0.5, dribbling: 0.5 },
+    weekly_plan: [
+      { day: "Mon", session: "Acceleration sprints", intensity: "high" },
+      { day: "Tue", session: "Close control through cones", intensity: "medium" },
+      { day: "Wed", session: "Rest / recovery", intensity: "low" },
+      { day: "Thu", session: "1v1 take-ons", intensity: "high" },
+      { day: "Fri", session: "Match prep — transition drills", intensity: "low" },
+    ],
+    recommendation: "Beating a man opens everything up. Keep the sprint work sharp and don't skip recovery — tired legs lose that half-yard.",
+  },
+  "Strength & Stamina": {
+    attributes: { physical: 0.8, pace: 0.2 },
+    weekly_plan: [
+      { day: "Mon", session: "Gym — lower body power", intensity: "high" },
+      { day: "Tue", session: "Interval running", intensity: "high" },
+      { day: "Wed", session: "Rest / recovery", intensity: "low" },
+      { day: "Thu", session: "Gym — upper body & core", intensity: "medium" },
+      { day: "Fri", session: "Match prep — light conditioning", intensity: "low" },
+    ],
+    recommendation: "The engine lets everything else last 90 minutes. Expect fitness dips early in this block — they pay back on match day.",
+  },
+  "Defensive Awareness": {
+    attributes: { defending: 0.8, physical: 0.2 },
+    weekly_plan: [
+      { day: "Mon", session: "Pressing triggers & shape", intensity: "medium" },
+      { day: "Tue", session: "Tackling & interceptions", intensity: "high" },
+      { day: "Wed", session: "Rest / recovery", intensity: "low" },
+      { day: "Thu", session: "Defending crosses & set pieces", intensity: "medium" },
+      { day: "Fri", session: "Match prep — opposition analysis", intensity: "low" },
+    ],
+    recommendation: "Managers pick players they can trust without the ball. Working on your defensive side makes you harder to leave out.",
+  },
+};
+
+/**
+ * Names of every training programme a player can choose.
+ */
+export const TRAINING_FOCUSES = Object.keys(TRAINING_PROGRAMMES);
+
+// Every new player starts on this plan
+const DEFAULT_TRAINING = {
+  current_focus: "Passing & Vision",
+  attributes: { passing: 0.7, dribbling: 0.3 },
+  weekly_plan: [
+    { day: "Mon", session: "Ball retention drills", intensity: "medium" },
+    { day: "Tue", session: "Crossing & final third delivery", intensity: "high" },
+    { day: "Wed", session: "Rest / recovery", intensity: "low" },
+    { day: "Thu", session: "Set piece routines", intensity: "medium" },
+    { day: "Fri", session: "Match prep — tactical walkthrough", intensity: "low" },
+  ],
+  recommendation: "Your passing accuracy has jumped from 78% to 84% this month. Keep this focus for 2 more weeks, then rotate to shooting drills to convert those chances.",
+};
+
+const players = createCollection("players", SEED_PLAYERS);
+const clubs = createCollection("clubs", SEED_CLUBS);
+const training = createCollection("training", { p001: DEFAULT_TRAINING });
+const transferInterest = createCollection("transfer_interest", SEED_TRANSFER_INTEREST);
+// player id → { sessions, last_session_at, development, recent }
+const trainingLog = createCollection("training_log");
+
+// ── VALIDATION ────────────────────────────────
+
+const POSITIONS = ["GK", "RB", "CB", "LB", "RWB", "LWB", "CDM", "CM", "CAM", "RM", "LM", "RW", "LW", "CF", "ST"];
+const FORMS = ["excellent", "good", "average", "poor"];
+const MORALES = ["high", "medium", "low"];
+const ATTRIBUTES = ["pace", "shooting", "passing", "dribbling", "defending", "physical"];
+
+const isInt = (min, max) => (v) => Number.isInteger(v) && v >= min && v <= max;
+
+// Field → check. Anything not listed here can't be set through the API.
+const PLAYER_FIELDS = {
+  name: (v) => typeof v === "string" && v.trim().length > 0,
+  age: isInt(15, 45),
+  position: (v) => POSITIONS.includes(v),
+  club: (v) => typeof v === "string" && findTeam(v) !== null,
+  overall: isInt(1, 99),
+  potential: isInt(1, 99),
+  form: (v) => FORMS.includes(v),
+  form_rating: (v) => typeof v === "number" && v >= 0 && v <= 10,
+  goals: isInt(0, 10000),
+  assists: isInt(0, 10000),
+  minutes_played: isInt(0, 1000000),
+  matches_played: isInt(0, 10000),
+  fitness: isInt(0, 100),
+  morale: (v) => MORALES.includes(v),
+  contract_expires: (v) => typeof v === "string" && /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(Date.parse(v)),
+  wage: isInt(0, 10000000),
+  value: isInt(0, 1000000000),
+  attributes: (v) =>
+    typeof v === "object" && v !== null &&
+    Object.entries(v).every(([k, n]) => ATTRIBUTES.includes(k) && typeof n === "number" && n >= 1 && n <= 99),
+};
+
+// What a client may change on an existing player. Everything else is
+// the game's: training, matchdays, negotiations and rollover own it
+const PROFILE_FIELDS = ["name", "position"];
+
+const FIELD_HINTS = {
+  position: `one of ${POSITIONS.join(", ")}`,
+  club: "the name of a team in the Championship, League One or League Two",
+  form: `one of ${FORMS.join(", ")}`,
+  morale: `one of ${MORALES.join(", ")}`,
+  contract_expires: "a YYYY-MM-DD date",
+  attributes: `an object of ${ATTRIBUTES.join(", ")} (1-99)`,
+};
+
+function validateFields(fields, rules) {
+  for (const [field, value] of Object.entries(fields)) {
+    const check = rules[field];
+    if (!check) return `Unknown field: ${field}`;
+    if (!check(value)) return `Invalid ${field}${FIELD_HINTS[field] ? ` — must be ${FIELD_HINTS[field]}` : ""}`;
+  }
+  return null;
+}
+
+// ── HELPERS ───────────────────────────────────
+
+/**
+ * URL-safe id for a team name: "Brighton & Hove Albion" → "brighton-and-hove-albion".
+ */
+export function clubIdFor(teamName) {
+  return teamName
+    .toLowerCase()
+    .replace(/&/g, "and")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+/**
+ * Rough weekly wage for a player of this level.
+ */
+export function estimateWage(overall) {
+  return Math.round((1000 * 1.13 ** (overall - 50)) / 100) * 100;
+}
+
+/**
+ * Rough market value: young players with headroom are worth more.
+ */
+export function estimateValue({ overall, potential, age }) {
+  const ageFactor = age <= 23 ? 1.3 : age <= 28 ? 1 : age <= 31 ? 0.6 : 0.3;
+  const headroom = 1 + Math.max(0, potential - overall) / 50;
+  return Math.round((estimateWage(overall) * 52 * 4 * ageFactor * headroom) / 50000) * 50000;
+}
+
+function nextPlayerId() {
+  const highest = players.ids()
+    .map((id) => parseInt(id.replace(/^p/, ""), 10))
+    .filter(Number.isInteger)
+    .reduce((max, n) => Math.max(max, n), 0);
+  return `p${String(highest + 1).padStart(3, "0")}`;
+}
+
+function defaultContractExpiry() {
+  return `${new Date().getFullYear() + 2}-06-30`;
+}
+
+// ── ATTRIBUTES ────────────────────────────────
+// Six attributes per player. How far each sits from overall,
+// and how much each counts towards it, depends on position.
+
+const POSITION_GROUPS = {
+  GK: "goalkeeper",
+  RB: "defender", CB: "defender", LB: "defender", RWB: "defender", LWB: "defender",
+  CDM: "midfielder", CM: "midfielder", RM: "midfielder", LM: "midfielder",
+  CAM: "attacking_midfielder", RW: "attacking_midfielder", LW: "attacking_midfielder",
+  CF: "forward", ST: "forward",
+};
+
+const ATTRIBUTE_PROFILES = {
+  goalkeeper: {
+    offsets: { pace: -15, shooting: -35, passing: -5, dribbling: -20, defending: 5, physical: 5 },
+    weights: { pace: 0.1, shooting: 0, passing: 0.3, dribbling: 0, defending: 0.3, physical: 0.3 },
+  },
+  defender: {
+    offsets: { pace: 0, shooting: -15, passing: -5, dribbling: -8, defending: 8, physical: 6 },
+    weights: { pace: 0.15, shooting: 0, passing: 0.15, dribbling: 0.05, defending: 0.4, physical: 0.25 },
+  },
+  midfielder: {
+    offsets: { pace: -2, shooting: -4, passing: 6, dribbling: 2, defending: 0, physical: 2 },
+    weights: { pace: 0.1, shooting: 0.1, passing: 0.3, dribbling: 0.2, defending: 0.15, physical: 0.15 },
+  },
+  attacking_midfielder: {
+    offsets: { pace: 3, shooting: 2, passing: 6, dribbling: 7, defending: -18, physical: -6 },
+    weights: { pace: 0.15, shooting: 0.2, passing: 0.3, dribbling: 0.3, defending: 0, physical: 0.05 },
+  },
+  forward: {
+    offsets: { pace: 4, shooting: 8, passing: -4, dribbling: 3, defending: -25, physical: 3 },
+    weights: { pace: 0.15, shooting: 0.4, passing: 0.1, dribbling: 0.2, defending: 0, physical: 0.15 },
+  },
+};
+
+function profileFor(position) {
+  return ATTRIBUTE_PROFILES[POSITION_GROUPS[position]] || ATTRIBUTE_PROFILES.midfielder;
+}
+
+/**
+ * "goalkeeper", "defender", "midfielder", "attacking_midfielder" or
+ * "forward" for a position.
+ */
+export function positionGroup(position) {
+  return POSITION_GROUPS[position] || "midfielder";
+}
+
+/**
+ * Starting attributes for a player of this overall and position.
+ */
+export function defaultAttributes({ overall, position }) {
+  const { offsets } = profileFor(position);
+  return Object.fromEntries(ATTRIBUTES.map((a) => [a, Math.min(99, Math.max(1, overall + offsets[a]))]));
+}
+
+// ── PLAYERS ───────────────────────────────────
+
+/**
+ * Look up a player by id (null if unknown).
+ */
+export function getPlayer(playerId) {
+  return players.get(playerId);
+}
+
+/**
+ * Every player.
+ */
+export function getPlayers() {
+  return players.all();
+}
+
+/**
+ * Create a player. name, age, position, club, overall and potential
+ * are required; everything else gets a sensible default.
+ */
+export function createPlayer(fields = {}) {
+  const missing = ["name", "age", "position", "club", "overall", "potential"].filter((f) => fields[f] === undefined);
+  if (missing.length) return { success: false, message: `Missing required fields: ${missing.join(", ")}` };
+
+  const invalid = validateFields(fields, PLAYER_FIELDS);
+  if (invalid) return { success: false, message: invalid };
+  if (fields.potential < fields.overall) return { success: false, message: "potential can't be lower than overall" };
+
+  const id = nextPlayerId();
+  const player = {
+    id,
+    goals: 0,
+    assists: 0,
+    minutes_played: 0,
+    matches_played: 0,
+    form: "good",
+    form_rating: 6.5,
+    fitness: 100,
+    morale: "medium",
+    contract_expires: defaultContractExpiry(),
+    wage: estimateWage(fields.overall),
+    value: estimateValue(fields),
+    ...fields,
+  };
+  player.attributes = { ...defaultAttributes(player), ...fields.attributes };
+
+  players.set(id, player);
+  training.set(id, structuredClone(DEFAULT_TRAINING));
+  return { success: true, player };
+}
+
+/**
+ * Update some of a player's fields.
+ */
+export function updatePlayer(playerId, changes = {}) {
+  const player = players.get(playerId);
+  if (!player) return { success: false, notFound: true, message: `Unknown player: ${playerId}` };
+
+  const invalid = validateFields(changes, PLAYER_FIELDS);
+  if (invalid) return { success: false, message: invalid };
+
+  const updated = { ...player, ...changes };
+  if (changes.attributes) updated.attributes = { ...(player.attributes ?? defaultAttributes(player)), ...changes.attributes };
+  if (updated.potential < updated.overall) return { success: false, message: "potential can't be lower than overall" };
+
+  players.set(playerId, updated);
+  return { success: true, player: updated };
+}
+
+/**
+ * Update a player's profile on a client's behalf: only the
+ * PROFILE_FIELDS can change, the simulation's stats can't.
+ */
+export function updateProfile(playerId, changes = {}) {
+  if (!players.has(playerId)) return { success: false, notFound: true, message: `Unknown player: ${playerId}` };
+
+  const locked = Object.keys(changes).filter((field) => PLAYER_FIELDS[field] && !PROFILE_FIELDS.includes(field));
+  if (locked.length) {
+    return { success: false, message: `${locked.join(", ")} can't be edited — only ${PROFILE_FIELDS.join(", ")} can` };
+  }
+  return updatePlayer(playerId, changes);
+}
+
+/**
+ * Get a player's training plan (null for unknown players).
+ */
+export function getTraining(playerId) {
+  if (!players.has(playerId)) return null;
+  return training.get(playerId) || DEFAULT_TRAINING;
+}
+
+/**
+ * Switch a player to another training programme.
+ */
+export function setTrainingFocus(playerId, focus) {
+  if (!players.has(playerId)) return { success: false, notFound: true, message: `Unknown player: ${playerId}` };
+
+  const programme = TRAINING_PROGRAMMES[focus];
+  if (!programme) return { success: false, message: `Unknown training focus: ${focus}. Use: ${TRAINING_FOCUSES.join(", ")}` };
+
+  const plan = { current_focus: focus, ...structuredClone(programme) };
+  training.set(playerId, plan);
+  return { success: true, training: plan };
+}
+
+// ── TRAINING SESSIONS ─────────────────────────
+// A session can be done every 3 hours. Gains go to the
+// attributes the current focus works on, scaled by the
+// session's intensity, the player's age, how far they are
+// from their potential and how fresh they are. Overall
+// moves by the position-weighted share of those gains.
+
+const SESSION_COOLDOWN_MS = 3 * 3600 * 1000;
+const BASE_GAIN = 0.3; // attribute points for a medium session, before scaling
+const INTENSITIES = {
+  low: { gain: 0.5, fitness: 4 },
+  medium: { gain: 1, fitness: 8 },
+  high: { gain: 1.5, fitness: 12 },
+};
+const FITNESS_RECOVERY_PER_HOUR = 2;
+const SESSIONS_PER_MORALE_LIFT = 3;
+const TIRED_FITNESS = 40;
+
+function ageFactor(age) {
+  if (age <= 21) return 1.3;
+  if (age <= 24) return 1.15;
+  if (age <= 28) return 1;
+  if (age <= 31) return 0.7;
+  return 0.4;
+}
+
+// Plenty of headroom → quick gains; at the ceiling, barely any
+function headroomFactor(player) {
+  return Math.min(1.5, 0.2 + Math.max(0, player.potential - player.overall) / 12);
+}
+
+// Today's session from the weekly plan ("Mon"…); weekends are a light session
+function todaysSession(plan, now) {
+  const day = new Intl.DateTimeFormat("en-GB", {
+    weekday: "short",
+    timeZone: process.env.SIM_SCHEDULE_TZ || "Europe/London",
+  }).format(now);
+  return plan.weekly_plan.find((d) => d.day === day) || { day, session: "Light session", intensity: "low" };
+}
+
+function shiftMorale(morale, steps) {
+  const scale = ["low", "medium", "high"];
+  return scale[Math.min(2, Math.max(0, scale.indexOf(morale) + steps))];
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * When a player can next train, and how many sessions they've done.
+ */
+export function getTrainingStatus(playerId, now = new Date()) {
+  if (!players.has(playerId)) return null;
+  const log = trainingLog.get(playerId);
+  const nextAt = log?.last_session_at ? new Date(new Date(log.last_session_at).getTime() + SESSION_COOLDOWN_MS) : now;
+
+  return {
+    sessions: log?.sessions ?? 0,
+    last_session_at: log?.last_session_at ?? null,
+    next_session_at: (nextAt > now ? nextAt : now).toISOString(),
+    can_train: nextAt <= now,
+    recent: log?.recent ?? [],
+  };
+}
+
+/**
+ * Run a training session. `intensity` overrides today's planned
+ * intensity. Fails with `cooldown: true` inside the 3-hour window.
+ */
+export function trainPlayer(playerId, { intensity } = {}, now = new Date()) {
+  const player = players.get(playerId);
+  if (!player) return { success: false, notFound: true, message: `Unknown player: ${playerId}` };
+  if (intensity !== undefined && !INTENSITIES[intensity]) {
+    return { success: false, message: `Invalid intensity — must be one of ${Object.keys(INTENSITIES).join(", ")}` };
+  }
+
+  const log = trainingLog.get(playerId) || { sessions: 0, last_session_at: null, development: 0, recent: [] };
+  const sinceLast = log.last_session_at ? now - new Date(log.last_session_at) : Infinity;
+  if (sinceLast < SESSION_COOLDOWN_MS) {
+    const nextAt = new Date(new Date(log.last_session_at).getTime() + SESSION_COOLDOWN_MS);
+    const minutes = Math.ceil((nextAt - now) / 60000);
+    return {
+      success: false,
+      cooldown: true,
+      message: `Still recovering from the last session — next one available in ${minutes} minute${minutes === 1 ? "" : "s"}`,
+      next_session_at: nextAt.toISOString(),
+    };
+  }
+
+  const plan = getTraining(playerId);
+  const planned = todaysSession(plan, now);
+  const level = intensity || planned.intensity;
+
+  // Rest since the last session comes back before this one costs any
+  const recovered = Number.isFinite(sinceLast) ? (sinceLast / 3600000) * FITNESS_RECOVERY_PER_HOUR : 0;
+  const freshFitness = Math.min(100, Math.round(player.fitness + recovered));
+
+  const scale = BASE_GAIN * INTENSITIES[level].gain * ageFactor(player.age) * headroomFactor(player) * (freshFitness / 100);
+  const attributes = { ...(player.attributes ?? defaultAttributes(player)) };
+  const { weights } = profileFor(player.position);
+  const gains = {};
+  let development = log.development;
+
+  for (const [attribute, share] of Object.entries(TRAINING_PROGRAMMES[plan.current_focus]?.attributes ?? DEFAULT_TRAINING.attributes)) {
+    const before = attributes[attribute];
+    attributes[attribute] = round2(Math.min(99, before + scale * share));
+    gains[attribute] = round2(attributes[attribute] - before);
+    development += gains[attribute] * weights[attribute];
+  }
+
+  // Whole points of development lift overall, up to potential
+  const overallGain = Math.min(Math.floor(development), player.potential - player.overall);
+  development = overallGain > 0 ? development - overallGain : Math.min(development, 1);
+  const fitness = Math.max(0, freshFitness - INTENSITIES[level].fitness);
+
+  // A steady routine lifts morale; grinding on empty drags it down
+  const sessions = log.sessions + 1;
+  const moraleSteps = fitness < TIRED_FITNESS ? -1 : sessions % SESSIONS_PER_MORALE_LIFT === 0 ? 1 : 0;
+  const morale = shiftMorale(player.morale, moraleSteps);
+
+  const updated = { ...player, attributes, overall: player.overall + Math.max(0, overallGain), fitness, morale };
+  players.set(playerId, updated);
+
+  const session = {
+    at: now.toISOString(),
+    focus: plan.current_focus,
+    planned: planned.session,
+    intensity: level,
+    gains,
+    overall_change: updated.overall - player.overall,
+    fitness_change: fitness - player.fitness,
+    morale_change: morale === player.morale ? null : { from: player.morale, to: morale },
+  };
+
+  trainingLog.set(playerId, {
+    sessions,
+    last_session_at: session.at,
+    development: round2(development),
+    recent: [session, ...log.recent].slice(0, 10),
+  });
+
+  return {
+    success: true,
+    player: updated,
+    session,
+    next_session_at: new Date(now.getTime() + SESSION_COOLDOWN_MS).toISOString(),
+  };
+}
+
+/**
+ * Get the clubs interested in a player (null for unknown players).
+ */
+export function getTransferInterest(playerId) {
+  if (!players.has(playerId)) return null;
+  return transferInterest.get(playerId) || [];
+}
+
+/**
+ * Replace the clubs interested in a player (the transfer sweep's view).
+ */
+export function setTransferInterest(playerId, interest) {
+  if (!players.has(playerId)) return { success: false, notFound: true, message: `Unknown player: ${playerId}` };
+  transferInterest.set(playerId, interest);
+  return { success: true, interest };
+}
+
+// ── CLUBS ─────────────────────────────────────
+
+const CLUB_FIELDS = {
+  name: (v) => typeof v === "string" && findTeam(v) !== null,
+  manager: (v) => typeof v === "string" && v.trim().length > 0,
+  season_goal: (v) => typeof v === "string" && v.trim().length > 0,
+};
+
+function teamForClubId(clubId) {
+  return getTeams().find((t) => clubIdFor(t.team) === clubId) || null;
+}
+
+/**
+ * Look up a club by id. Every EFL team has a club: the saved record
+ * (manager, season goal) plus live position, form and next fixture
+ * from the league simulation. A club one of our players belongs to
+ * is always found, even outside the EFL (no league, no fixtures).
+ */
+export function getClub(clubId) {
+  const saved = clubs.get(clubId);
+  const team = saved ? findTeam(saved.name) : teamForClubId(clubId);
+  const member = saved || team ? null : players.all().find((p) => clubIdFor(p.club) === clubId);
+  if (!saved && !team && !member) return null;
+
+  const live = team ? getTeamContext(team.team) : null;
+
+  return {
+    id: clubId,
+    manager: null,
+    season_goal: "Top-half finish",
+    ...saved,
+    name: team?.team ?? saved?.name ?? member.club,
+    league: live?.league ?? null,
+    league_id: live?.leagueId ?? null,
+    position: live?.position ?? null,
+    played: live?.played ?? 0,
+    points: live?.points ?? null,
+    zone: live?.zone ?? null,
+    playoff_status: live?.playoffStatus ?? null,
+    form_last_5: live?.formLast5 ?? [],
+    next_fixture: live?.nextFixture ?? null,
+  };
+}
+
+/**
+ * The club record for a player's current team.
+ */
+export function getPlayerClub(player) {
+  return getClub(clubIdFor(player.club));
+}
+
+/**
+ * Create the club record for an EFL team.
+ */
+export function createClub(fields = {}) {
+  if (fields.name === undefined) return { success: false, message: "Missing required fields: name" };
+
+  const invalid = validateFields(fields, CLUB_FIELDS);
+  if (invalid) return { success: false, message: invalid };
+
+  const id = clubIdFor(fields.name);
+  if (clubs.has(id)) return { success: false, conflict: true, message: `Club already exists: ${id}` };
+
+  clubs.set(id, { id, ...fields });
+  return { success: true, club: getClub(id) };
+}
+
+/**
+ * Update a club's manager or season goal.
+ */
+export function updateClub(clubId, changes = {}) {
+  const club = getClub(clubId);
+  if (!club) return { success: false, notFound: true, message: `Unknown club: ${clubId}` };
+  if (changes.name !== undefined) return { success: false, message: "A club's name can't be changed" };
+
+  const invalid = validateFields(changes, CLUB_FIELDS);
+  if (invalid) return { success: false, message: invalid };
+
+  clubs.set(clubId, { ...(clubs.get(clubId) || { id: clubId, name: club.name }), ...changes });
+  return { success: true, club: getClub(clubId) };
+}
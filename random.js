@@ -0,0 +1,48 @@
+// ──────────────────────────────────────────────
+// SEEDED RANDOM NUMBERS
+// mulberry32 — tiny, fast and good enough for game
+// simulation. The whole generator state is a single
+// 32-bit integer, so it can be saved and resumed.
+// ──────────────────────────────────────────────
+
+/**
+ * Create a generator from a 32-bit state. `next()` returns a float in [0, 1).
+ */
+export function createRng(state) {
+  let a = state >>> 0;
+
+  return {
+    next() {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+    get state() {
+      return a;
+    },
+  };
+}
+
+/**
+ * Turn a seed (number or string) into a 32-bit generator state.
+ * Strings are hashed with FNV-1a so "qa-bug-123" is a valid seed.
+ */
+export function seedToState(seed) {
+  if (typeof seed === "number" && Number.isFinite(seed)) return seed >>> 0;
+
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Pick a fresh seed when the caller doesn't supply one.
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
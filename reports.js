@@ -0,0 +1,333 @@
+// ──────────────────────────────────────────────
+// MATCH REPORTS
+// The story of a played fixture: both lineups, a timeline of
+// goals, cards, substitutions and injuries, and the match
+// stats (possession, shots, xG, corners, fouls).
+//
+// The league simulation settles the score, then has the report
+// drawn (from its own seed, off the clubs' squads as they are
+// on the day) and keeps it (leagues.js). Our players take their
+// place in their club's side with the minutes, goals and
+// assists their career was credited with (careers.js).
+// ──────────────────────────────────────────────
+
+import { createRng, seedToState } from "./random.js";
+import { getSquad } from "./squads.js";
+
+const SUBSTITUTIONS = 3;
+const INJURY_CHANCE = 0.08;   // per side per match
+const RED_CARD_CHANCE = 0.04; // per side per match
+const PENALTY_SHARE = 0.1;
+const UNASSISTED_SHARE = 0.2;
+const SHOT_VALUE = 0.11;      // xG of an average shot
+
+// How often each position scores and sets up goals, relative to each other
+const SCORING = { GK: 0, RB: 0.5, LB: 0.5, RWB: 0.8, LWB: 0.8, CB: 0.7, CDM: 0.7, CM: 1.5, RM: 2, LM: 2, CAM: 3, RW: 3, LW: 3, CF: 4.5, ST: 5 };
+const CREATING = { GK: 0.1, RB: 1.5, LB: 1.5, RWB: 2, LWB: 2, CB: 0.4, CDM: 1, CM: 2.5, RM: 2.5, LM: 2.5, CAM: 4, RW: 3, LW: 3, CF: 2.5, ST: 2 };
+
+const clamp = (n, min, max) => Math.min(max, Math.max(min, n));
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function pick(rng, items) {
+  return items[Math.floor(rng.next() * items.length)];
+}
+
+function pickWeighted(rng, items, weight) {
+  const total = items.reduce((sum, item) => sum + weight(item), 0);
+  if (total <= 0) return pick(rng, items);
+
+  let roll = rng.next() * total;
+  for (const item of items) {
+    roll -= weight(item);
+    if (roll < 0) return item;
+  }
+  return items[items.length - 1];
+}
+
+// A minute in [from, to], inclusive
+function minuteBetween(rng, from, to) {
+  return from + Math.floor(rng.next() * (to - from + 1));
+}
+
+// ── TEAM SHEETS ───────────────────────────────
+// Each side is a list of spells on the pitch ({ player, on, off },
+// `off` is Infinity for whoever finishes the match); our players
+// are marked with their `player_id`.
+
+function teamSheet(team, venue, length) {
+  const squad = getSquad(team);
+  const byNumber = new Map(squad.players.map((p) => [p.number, p]));
+
+  return {
+    team,
+    venue,
+    length,
+    spells: squad.lineup.map((number) => ({ player: byNumber.get(number), on: 0, off: Infinity })),
+    bench: squad.players.filter((p) => !squad.lineup.includes(p.number)),
+    substitutes: [],
+    subs: 0,
+    events: [],
+  };
+}
+
+const isOurs = (spell) => Boolean(spell.player.player_id);
+
+function onPitch(side, minute) {
+  return side.spells.filter((s) => s.on <= minute && s.off > minute);
+}
+
+// Squad players still due to play to the end, so taking them off
+// can't clash with anything already planned
+function available(side, minute) {
+  return onPitch(side, minute).filter((s) => !isOurs(s) && s.off === Infinity && s.on < minute);
+}
+
+// Like for like from the bench, or any outfielder
+function replacementFor(side, position, rng) {
+  const like = side.bench.filter((p) => p.position === position);
+  const outfield = side.bench.filter((p) => p.position !== "GK");
+  if (like.length) return pick(rng, like);
+  return outfield.length && position !== "GK" ? pick(rng, outfield) : null;
+}
+
+function substitute(side, spell, minute, incoming) {
+  spell.off = minute;
+  side.bench = side.bench.filter((p) => p !== incoming);
+  side.spells.push({ player: incoming, on: minute, off: Infinity });
+  side.subs++;
+  side.events.push({ minute, type: "substitution", team: side.venue, player: incoming.name, replaced: spell.player.name });
+}
+
+// Our player takes the place of the squad player nearest their
+// position: from kick-off if they started, off the bench if not
+function placeOurPlayer(side, appearance, rng) {
+  const player = { player_id: appearance.player_id, name: appearance.name, position: appearance.position };
+  const keeper = player.position === "GK";
+  const open = side.spells.filter((s) => !isOurs(s) && s.off === Infinity && (s.player.position === "GK") === keeper);
+  const spell = open.find((s) => s.player.position === player.position)
+    ?? open.sort((a, b) => a.player.overall - b.player.overall)[0];
+  if (!spell) return;
+
+  if (!appearance.started) {
+    side.substitutes.push(player);
+    substitute(side, spell, 90 - appearance.minutes, player);
+    return;
+  }
+
+  side.bench.push(spell.player);
+  side.substitutes.push(spell.player);
+  spell.player = player;
+  if (appearance.minutes < 90) {
+    const incoming = replacementFor(side, player.position, rng);
+    if (incoming) substitute(side, spell, appearance.minutes, incoming);
+  }
+}
+
+function injuries(side, rng) {
+  if (rng.next() >= INJURY_CHANCE) return;
+
+  const minute = minuteBetween(rng, 5, 85);
+  const candidates = available(side, minute);
+  if (!candidates.length) return;
+
+  const spell = pick(rng, candidates);
+  side.events.push({ minute, type: "injury", team: side.venue, player: spell.player.name });
+  const incoming = side.subs < SUBSTITUTIONS && replacementFor(side, spell.player.position, rng);
+  if (incoming) substitute(side, spell, minute, incoming);
+  else spell.off = minute; // no changes left: they finish a man down
+}
+
+function tacticalSubs(side, rng) {
+  const minutes = [];
+  for (let i = side.subs; i < SUBSTITUTIONS; i++) minutes.push(minuteBetween(rng, 55, 85));
+
+  for (const minute of minutes.sort((a, b) => a - b)) {
+    const candidates = available(side, minute).filter((s) => s.on === 0 && s.player.position !== "GK");
+    if (!candidates.length) continue;
+
+    const spell = pick(rng, candidates);
+    const incoming = replacementFor(side, spell.player.position, rng);
+    if (incoming) substitute(side, spell, minute, incoming);
+  }
+}
+
+function cards(side, rng) {
+  if (rng.next() < RED_CARD_CHANCE) {
+    const minute = minuteBetween(rng, 20, 89);
+    const candidates = available(side, minute);
+    if (candidates.length) {
+      const spell = pick(rng, candidates);
+      spell.off = minute;
+      side.events.push({ minute, type: "red_card", team: side.venue, player: spell.player.name });
+    }
+  }
+
+  const booked = new Set();
+  const yellows = Math.floor(rng.next() * 4);
+  for (let i = 0; i < yellows; i++) {
+    const minute = minuteBetween(rng, 10, 90);
+    const candidates = onPitch(side, minute).filter((s) => !booked.has(s.player));
+    if (!candidates.length) continue;
+
+    const { player } = pick(rng, candidates);
+    booked.add(player);
+    side.events.push({ minute, type: "yellow_card", team: side.venue, player: player.name });
+  }
+}
+
+// ── GOALS ─────────────────────────────────────
+
+// Make sure `count` goals fall while `spell` was on the pitch,
+// moving goals into that window if needed. Returns those goals.
+function goalsDuring(goals, spell, count, rng, free) {
+  const inWindow = goals.filter((g) => free(g) && g.minute >= spell.on && g.minute < spell.off);
+  const outside = goals.filter((g) => free(g) && !inWindow.includes(g));
+  while (inWindow.length < count && outside.length) {
+    const goal = outside.shift();
+    goal.minute = minuteBetween(rng, Math.max(1, spell.on), Math.min(90, spell.off - 1));
+    inWindow.push(goal);
+  }
+  return inWindow.slice(0, count);
+}
+
+function scoreGoals(side, count, extraTime, rng, appearances) {
+  const fromExtraTime = Math.min(count, extraTime);
+  const goals = [];
+  for (let i = 0; i < count; i++) {
+    const extra = i >= count - fromExtraTime;
+    goals.push({ minute: extra ? minuteBetween(rng, 91, 120) : minuteBetween(rng, 1, 90), scorer: null, assist: null });
+  }
+
+  // Our players' goals and assists come first, as their career recorded them
+  for (const appearance of appearances) {
+    const spell = side.spells.find((s) => s.player.player_id === appearance.player_id);
+    if (!spell) continue;
+    for (const goal of goalsDuring(goals, spell, appearance.goals, rng, (g) => !g.scorer)) goal.scorer = spell.player;
+    for (const goal of goalsDuring(goals, spell, appearance.assists, rng, (g) => !g.assist && g.scorer !== spell.player)) {
+      goal.assist = spell.player;
+    }
+  }
+
+  for (const goal of goals.sort((a, b) => a.minute - b.minute)) {
+    const squad = onPitch(side, goal.minute).filter((s) => !isOurs(s)).map((s) => s.player);
+    if (!goal.scorer) {
+      goal.scorer = squad.length ? pickWeighted(rng, squad, (p) => SCORING[p.position] ?? 1) : side.spells[0].player;
+      if (!goal.assist && rng.next() < PENALTY_SHARE) goal.penalty = true;
+    }
+    if (!goal.assist && !goal.penalty && rng.next() >= UNASSISTED_SHARE) {
+      const creators = squad.filter((p) => p !== goal.scorer);
+      if (creators.length) goal.assist = pickWeighted(rng, creators, (p) => CREATING[p.position] ?? 1);
+    }
+
+    side.events.push({
+      minute: goal.minute,
+      type: "goal",
+      team: side.venue,
+      player: goal.scorer.name,
+      ...(goal.assist && { assist: goal.assist.name }),
+      ...(goal.penalty && { penalty: true }),
+    });
+  }
+}
+
+// ── STATS ─────────────────────────────────────
+
+function sideStats(side, goals, xg, rng) {
+  const expected = round2((xg * side.length) / 90);
+  const shots = Math.max(goals, Math.round((expected / SHOT_VALUE) * (0.8 + rng.next() * 0.4)));
+  const count = (type) => side.events.filter((e) => e.type === type).length;
+
+  return {
+    shots,
+    shots_on_target: Math.min(shots, goals + Math.round((shots - goals) * (0.2 + rng.next() * 0.15))),
+    xg: expected,
+    corners: Math.round(shots * (0.3 + rng.next() * 0.2)),
+    fouls: 8 + Math.floor(rng.next() * 7),
+    yellow_cards: count("yellow_card"),
+    red_cards: count("red_card"),
+  };
+}
+
+function matchStats(home, away, fixture, xg, rng) {
+  // The side creating more chances sees more of the ball
+  const edge = xg.home + xg.away > 0 ? (xg.home - xg.away) / (xg.home + xg.away) : 0;
+  const possession = Math.round(clamp(50 + edge * 12 + (rng.next() - 0.5) * 8, 30, 70));
+  const homeStats = sideStats(home, fixture.homeGoals, xg.home, rng);
+  const awayStats = sideStats(away, fixture.awayGoals, xg.away, rng);
+
+  return {
+    possession: { home: possession, away: 100 - possession },
+    ...Object.fromEntries(Object.keys(homeStats).map((key) => [key, { home: homeStats[key], away: awayStats[key] }])),
+  };
+}
+
+// ── PUBLIC API ─────────────────────────────────
+
+function sheetEntry(player) {
+  return player.player_id
+    ? { player_id: player.player_id, name: player.name, position: player.position }
+    : { number: player.number, name: player.name, position: player.position };
+}
+
+/**
+ * Lineups, timeline and stats for a played fixture. `xg` is each
+ * side's expected goals over 90 minutes; `appearances` are our
+ * players' records of the match ({ player_id, name, position,
+ * club, started, minutes, goals, assists, rating }).
+ */
+export function buildMatchReport(fixture, { seed, xg, appearances = [] }) {
+  const rng = createRng(seedToState(seed));
+  const length = fixture.extraTime ? 120 : 90;
+  const extraTime = fixture.extraTimeGoals ?? { home: 0, away: 0 };
+  const sides = {
+    home: teamSheet(fixture.home, "home", length),
+    away: teamSheet(fixture.away, "away", length),
+  };
+  const ours = (side) => appearances.filter((a) => a.club === side.team);
+
+  for (const side of Object.values(sides)) {
+    const mine = ours(side);
+    for (const appearance of mine.filter((a) => a.started)) placeOurPlayer(side, appearance, rng);
+    side.substitutes.push(...side.bench.filter((p) => !side.substitutes.includes(p)));
+    for (const appearance of mine.filter((a) => !a.started)) placeOurPlayer(side, appearance, rng);
+
+    injuries(side, rng);
+    tacticalSubs(side, rng);
+    cards(side, rng);
+  }
+  scoreGoals(sides.home, fixture.homeGoals, extraTime.home, rng, ours(sides.home));
+  scoreGoals(sides.away, fixture.awayGoals, extraTime.away, rng, ours(sides.away));
+
+  // Goals carry the score they made
+  const score = { home: 0, away: 0 };
+  const events = [...sides.home.events, ...sides.away.events]
+    .sort((a, b) => a.minute - b.minute)
+    .map((event) => {
+      if (event.type !== "goal") return event;
+      score[event.team]++;
+      return { ...event, score: `${score.home}-${score.away}` };
+    });
+
+  return {
+    lineups: Object.fromEntries(Object.entries(sides).map(([venue, side]) => [venue, {
+      team: side.team,
+      starting: side.spells.filter((s) => s.on === 0).map((s) => sheetEntry(s.player)),
+      substitutes: side.substitutes.map(sheetEntry),
+    }])),
+    events,
+    stats: matchStats(sides.home, sides.away, fixture, xg, rng),
+    represented: appearances
+      .filter((a) => a.club === fixture.home || a.club === fixture.away)
+      .map(({ player_id, name, position, club, started, minutes, goals, assists, rating }) => ({
+        player_id,
+        name,
+        position,
+        team: club,
+        started,
+        minutes,
+        goals,
+        assists,
+        rating,
+      })),
+  };
+}
@@ -0,0 +1,218 @@
+// ──────────────────────────────────────────────
+// MATCHDAY SCHEDULER
+// Simulates one matchday per day at a fixed local time
+// (default 22:00 Europe/London — the time the agent
+// advertises). Missed slots are caught up on boot, so a
+// server that was down overnight plays the days it missed.
+//
+// Config:
+//   SIM_SCHEDULE_ENABLED=true
+//   SIM_SCHEDULE_TIME=22:00          (24h, local to the timezone)
+//   SIM_SCHEDULE_TZ=Europe/London    (any IANA timezone)
+// ──────────────────────────────────────────────
+
+import { storage } from "./storage.js";
+import { simulateMatchday, setKickoffPlanner } from "./leagues.js";
+
+const STORAGE_KEY = "scheduler";
+
+const SCHEDULE = {
+  enabled: false,
+  time: "22:00",
+  timeZone: "Europe/London",
+  lastSlot: null, // ISO time of the last slot we handled
+  lastRun: null,
+  timer: null,
+};
+
+// ── TIMEZONE MATHS ────────────────────────────
+// No date library: Intl tells us a zone's wall-clock
+// time for any instant, which is enough to find the UTC
+// instant of "22:00 on this local date" across DST.
+
+const formatters = new Map();
+
+function zonedParts(date, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat("en-GB", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    }));
+  }
+
+  const parts = formatters.get(timeZone).formatToParts(date);
+
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return {
+    year: get("year"),
+    month: get("month"),
+    day: get("day"),
+    hour: get("hour"),
+    minute: get("minute"),
+    second: get("second"),
+  };
+}
+
+function zoneOffsetMs(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const wallAsUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wallAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// UTC instant of the configured time on a local calendar date
+function slotOnDate({ year, month, day }) {
+  const [hour, minute] = SCHEDULE.time.split(":").map(Number);
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+
+  let instant = guess - zoneOffsetMs(new Date(guess), SCHEDULE.timeZone);
+  // Re-check in case the guess landed on the other side of a DST change
+  instant = guess - zoneOffsetMs(new Date(instant), SCHEDULE.timeZone);
+  return new Date(instant);
+}
+
+function nextSlotAfter(instant) {
+  const local = zonedParts(instant, SCHEDULE.timeZone);
+
+  for (let offset = 0; offset < 3; offset++) {
+    const day = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+    const slot = slotOnDate({
+      year: day.getUTCFullYear(),
+      month: day.getUTCMonth() + 1,
+      day: day.getUTCDate(),
+    });
+    if (slot > instant) return slot;
+  }
+
+  throw new Error("Could not find the next schedule slot");
+}
+
+function lastSlotAtOrBefore(instant) {
+  const dayAgo = new Date(instant.getTime() - 26 * 3600 * 1000);
+  let slot = nextSlotAfter(dayAgo);
+  let next = nextSlotAfter(slot);
+  while (next <= instant) {
+    slot = next;
+    next = nextSlotAfter(slot);
+  }
+  return slot;
+}
+
+// ── CONFIG ────────────────────────────────────
+
+function validateConfig({ time, timeZone }) {
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) {
+    return `Invalid schedule time "${time}". Use 24-hour HH:MM, e.g. 22:00`;
+  }
+  try {
+    new Intl.DateTimeFormat("en-GB", { timeZone });
+  } catch {
+    return `Invalid schedule timezone "${timeZone}". Use an IANA name, e.g. Europe/London`;
+  }
+  return null;
+}
+
+// ── RUNNING ───────────────────────────────────
+
+function saveState() {
+  storage.write(STORAGE_KEY, { lastSlot: SCHEDULE.lastSlot, lastRun: SCHEDULE.lastRun });
+}
+
+// Play every slot that has come due since the last one we handled
+function runDueSlots() {
+  const now = new Date();
+  let slot = nextSlotAfter(new Date(SCHEDULE.lastSlot));
+  let played = 0;
+
+  while (slot <= now) {
+    // Mark the slot handled first so the kickoff planner counts from it
+    SCHEDULE.lastSlot = slot.toISOString();
+    const result = simulateMatchday({ kickoff: SCHEDULE.lastSlot });
+
+    if (result.success) {
+      played++;
+      SCHEDULE.lastRun = { slot: SCHEDULE.lastSlot, matchday: result.currentMatchday, at: now.toISOString() };
+    }
+    // The matchday is already saved; save the slot with it so a crash
+    // mid catch-up never replays one
+    saveState();
+
+    slot = nextSlotAfter(slot);
+  }
+
+  return played;
+}
+
+function armTimer() {
+  clearTimeout(SCHEDULE.timer);
+  const wait = nextSlotAfter(new Date()).getTime() - Date.now();
+
+  SCHEDULE.timer = setTimeout(() => {
+    try {
+      runDueSlots();
+    } catch (err) {
+      console.error(`Scheduler: matchday run failed — ${err.message}`);
+    }
+    armTimer();
+  }, wait);
+}
+
+// ── PUBLIC API ─────────────────────────────────
+
+/**
+ * Start the daily matchday scheduler, catching up on any slots
+ * missed while the server was down.
+ */
+export function startScheduler({
+  time = process.env.SIM_SCHEDULE_TIME || "22:00",
+  timeZone = process.env.SIM_SCHEDULE_TZ || "Europe/London",
+} = {}) {
+  const invalid = validateConfig({ time, timeZone });
+  if (invalid) return { success: false, message: invalid };
+
+  Object.assign(SCHEDULE, { enabled: true, time, timeZone });
+
+  const saved = storage.read(STORAGE_KEY);
+  SCHEDULE.lastRun = saved?.lastRun ?? null;
+  // First start: begin from the most recent slot rather than replaying history
+  SCHEDULE.lastSlot = saved?.lastSlot ?? lastSlotAtOrBefore(new Date()).toISOString();
+  if (!saved) saveState();
+
+  // Upcoming fixtures get real dates: the Nth unplayed matchday kicks
+  // off at the Nth slot from now
+  setKickoffPlanner((offset) => {
+    let slot = new Date(SCHEDULE.lastSlot);
+    for (let i = 0; i < offset; i++) slot = nextSlotAfter(slot);
+    return slot.toISOString();
+  });
+
+  const caughtUp = runDueSlots();
+  armTimer();
+
+  return { success: true, caughtUp, ...getScheduleStatus() };
+}
+
+/**
+ * Get the scheduler's configuration and next/last run.
+ */
+export function getScheduleStatus() {
+  if (!SCHEDULE.enabled) {
+    return {
+      enabled: false,
+      message: "Scheduler disabled. Set SIM_SCHEDULE_ENABLED=true to simulate matchdays automatically.",
+    };
+  }
+
+  return {
+    enabled: true,
+    time: SCHEDULE.time,
+    timeZone: SCHEDULE.timeZone,
+    nextRun: nextSlotAfter(new Date(Math.max(Date.now(), new Date(SCHEDULE.lastSlot).getTime()))).toISOString(),
+    lastRun: SCHEDULE.lastRun,
+  };
+}
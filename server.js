@@ -7,7 +7,87 @@ import {
   getResults,
   getSeasonStatus,
   getAllTables,
+  rolloverSeason,
+  getSeasonHistory,
+  getPlayoffs,
+  getPlayoffResults,
+  setResult,
+  voidResult,
+  awardWalkover,
+  deductPoints,
+  getAuditTrail,
+  getTeams,
+  getTeamSquad,
+  getFixtureReport,
 } from "./leagues.js";
+import { getSquad } from "./squads.js";
+import { storage } from "./storage.js";
+import { startScheduler, getScheduleStatus } from "./scheduler.js";
+import {
+  getPlayer,
+  getPlayers,
+  createPlayer,
+  updateProfile,
+  DEFAULT_PLAYER_ID,
+  getTraining,
+  setTrainingFocus,
+  TRAINING_FOCUSES,
+  trainPlayer,
+  getTrainingStatus,
+  getTransferInterest,
+  getClub,
+  getPlayerClub,
+  createClub,
+  updateClub,
+  clubIdFor,
+} from "./players.js";
+import {
+  getOrCreateConversation,
+  recordExchange,
+  getConversation,
+  resolveReference,
+  isFollowUp,
+  isValidConversationId,
+} from "./conversations.js";
+import {
+  runTransferSweep,
+  startTransferSweeps,
+  getTransferSweepStatus,
+  getOffers,
+  getTransferHistory,
+  acceptOffer,
+  rejectOffer,
+} from "./transfers.js";
+import {
+  getNegotiations,
+  openNegotiation,
+  proposeTerms,
+  acceptTerms,
+  withdrawNegotiation,
+} from "./negotiations.js";
+import { trackCareers, getCareer } from "./careers.js";
+import { detectIntent } from "./intents.js";
+import { generateReply, getGeneratorName } from "./generation.js";
+import { createTranslator, resolveLocale } from "./i18n.js";
+import {
+  recordEvent,
+  assessEngagement,
+  getEngagementHistory,
+  getEngagementConfig,
+  reloadEngagementConfig,
+  saveEngagementConfig,
+  watchEngagementConfig,
+  getTier,
+  getCopyChain,
+} from "./engagement.js";
+import {
+  assignVariants,
+  copyTierFor,
+  orderActions,
+  recordExposure,
+  recordOutcome,
+  getExperimentReport,
+} from "./experiments.js";
 
 const app = express();
 app.use(express.json());
@@ -15,208 +95,13 @@ app.use(express.json());
 // CORS for Base44
 app.use((req, res, next) => {
   res.setHeader("Access-Control-Allow-Origin", req.headers.origin || "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,PUT,PATCH,OPTIONS");
   res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
   res.setHeader("Access-Control-Allow-Credentials", "true");
   if (req.method === "OPTIONS") return res.sendStatus(204);
   next();
 });
 
-// ──────────────────────────────────────────────
-// MOCK GAME DATA
-// Replace this with real DB/API calls later
-// ──────────────────────────────────────────────
-
-const PLAYERS = {
-  default: {
-    name: "Marcus Reid",
-    age: 22,
-    position: "CAM",
-    club: "Northfield United",
-    overall: 74,
-    potential: 86,
-    form: "excellent",
-    form_rating: 8.1,
-    goals: 7,
-    assists: 11,
-    minutes_played: 1620,
-    matches_played: 21,
-    fitness: 92,
-    morale: "high",
-    contract_expires: "2027-06-30",
-    wage: 18000,
-    value: 4200000,
-  },
-  p001: {
-    name: "Marcus Reid",
-    age: 22,
-    position: "CAM",
-    club: "Northfield United",
-    overall: 74,
-    potential: 86,
-    form: "excellent",
-    form_rating: 8.1,
-    goals: 7,
-    assists: 11,
-    minutes_played: 1620,
-    matches_played: 21,
-    fitness: 92,
-    morale: "high",
-    contract_expires: "2027-06-30",
-    wage: 18000,
-    value: 4200000,
-  },
-};
-
-const CLUBS = {
-  default: {
-    name: "Northfield United",
-    league: "Championship",
-    position: 6,
-    form_last_5: ["W", "W", "D", "W", "L"],
-    manager: "Steve Hargreaves",
-    next_fixture: {
-      opponent: "Riverside City",
-      date: "Saturday 3pm",
-      venue: "Home",
-      competition: "Championship",
-    },
-    season_goal: "Promotion playoff",
-  },
-};
-
-const TRANSFER_INTEREST = {
-  default: [
-    { club: "Brighton & Hove Albion", likelihood: "high", offer_range: "6M-8M", league: "Premier League" },
-    { club: "Freiburg", likelihood: "medium", offer_range: "5M-6.5M", league: "Bundesliga" },
-    { club: "Real Sociedad", likelihood: "low", offer_range: "4.5M-5.5M", league: "La Liga" },
-  ],
-};
-
-const TRAINING_FOCUS = {
-  default: {
-    current_focus: "Passing & Vision",
-    weekly_plan: [
-      { day: "Mon", session: "Ball retention drills", intensity: "medium" },
-      { day: "Tue", session: "Crossing & final third delivery", intensity: "high" },
-      { day: "Wed", session: "Rest / recovery", intensity: "low" },
-      { day: "Thu", session: "Set piece routines", intensity: "medium" },
-      { day: "Fri", session: "Match prep — tactical walkthrough", intensity: "low" },
-    ],
-    recommendation: "Your passing accuracy has jumped from 78% to 84% this month. Keep this focus for 2 more weeks, then rotate to shooting drills to convert those chances.",
-  },
-};
-
-// ──────────────────────────────────────────────
-// ENGAGEMENT ASSESSMENT
-// ──────────────────────────────────────────────
-
-function assessEngagement(player, engagementData) {
-  // If the frontend sends engagement metrics, use those
-  if (engagementData) {
-    const {
-      training_sessions_completed = 0,
-      hours_since_last_training = 999,
-      hours_since_last_login = 999,
-      total_logins = 0,
-      days_active = 0,
-    } = engagementData;
-
-    let score = 0;
-
-    // Training frequency (every 3 hours is the cycle)
-    if (hours_since_last_training <= 6) score += 3;       // trained recently
-    else if (hours_since_last_training <= 12) score += 2;
-    else if (hours_since_last_training <= 24) score += 1;
-
-    // Login recency
-    if (hours_since_last_login <= 4) score += 3;
-    else if (hours_since_last_login <= 12) score += 2;
-    else if (hours_since_last_login <= 24) score += 1;
-
-    // Training volume
-    if (training_sessions_completed >= 20) score += 3;
-    else if (training_sessions_completed >= 10) score += 2;
-    else if (training_sessions_completed >= 3) score += 1;
-
-    // Consistency
-    if (total_logins >= 14) score += 2;
-    else if (total_logins >= 7) score += 1;
-
-    if (score >= 8) return "high";
-    if (score >= 4) return "medium";
-    return "low";
-  }
-
-  // Fallback: infer engagement from player stats
-  let score = 0;
-  if (player.fitness >= 90) score += 2;
-  else if (player.fitness >= 75) score += 1;
-
-  if (player.morale === "high") score += 2;
-  else if (player.morale === "medium") score += 1;
-
-  if (player.matches_played >= 20) score += 2;
-  else if (player.matches_played >= 10) score += 1;
-
-  if (player.form_rating >= 7.5) score += 2;
-  else if (player.form_rating >= 6.0) score += 1;
-
-  if (score >= 6) return "high";
-  if (score >= 3) return "medium";
-  return "low";
-}
-
-// ──────────────────────────────────────────────
-// INTENT DETECTION
-// ──────────────────────────────────────────────
-
-const INTENT_PATTERNS = [
-  { intent: "greeting",  keywords: ["hello", "hi", "hey", "yo", "sup", "what's up", "whats up", "good morning", "good evening", "alright"] },
-  { intent: "training",  keywords: ["training", "train", "practice", "drills", "session", "gym", "fitness", "workout"] },
-  { intent: "match",     keywords: ["match", "fixture", "game", "next game", "opponent", "lineup", "squad", "play"] },
-  { intent: "form",      keywords: ["form", "stats", "performance", "rating", "how am i", "how's my", "minutes", "goals", "assists"] },
-  { intent: "transfer",  keywords: ["transfer", "scout", "interest", "offer", "move", "bid", "sign", "contract", "wage", "buy", "sell"] },
-  { intent: "career",    keywords: ["career", "plan", "future", "potential", "advice", "path", "develop", "progress", "grow"] },
-  { intent: "morale",    keywords: ["morale", "happy", "mood", "feeling", "confidence", "mental", "motivation"] },
-];
-
-function detectIntent(text) {
-  const lower = text.toLowerCase();
-  let bestMatch = null;
-  let bestScore = 0;
-
-  for (const pattern of INTENT_PATTERNS) {
-    const score = pattern.keywords.filter(kw => lower.includes(kw)).length;
-    if (score > bestScore) {
-      bestScore = score;
-      bestMatch = pattern.intent;
-    }
-  }
-
-  return bestMatch || "general";
-}
-
-// ──────────────────────────────────────────────
-// GAME DATA LOOKUPS
-// ──────────────────────────────────────────────
-
-function getPlayer(playerId) {
-  return PLAYERS[playerId] || PLAYERS.default;
-}
-
-function getClub(clubId) {
-  return CLUBS[clubId] || CLUBS.default;
-}
-
-function getTransferInterest(playerId) {
-  return TRANSFER_INTEREST[playerId] || TRANSFER_INTEREST.default;
-}
-
-function getTraining(playerId) {
-  return TRAINING_FOCUS[playerId] || TRAINING_FOCUS.default;
-}
-
 // ──────────────────────────────────────────────
 // RESPONSE BUILDERS (Dynamic personality)
 //
@@ -228,339 +113,1065 @@ function getTraining(playerId) {
 //   high   → Ambitious super-agent. Hungry, driven,
 //            talks like a top-tier football agent pushing
 //            for the best deals and performances.
+//   lapsed → Win-back. Away a week or more; welcome them
+//            back and give them one easy first step.
+//
+// Tiers and their thresholds come from engagement.config.json.
 // ──────────────────────────────────────────────
 
+// Copy lives in the message catalogues (locales/*.js); every builder
+// gets the request's translator as `i18n`
+
+// Which tier's copy a section uses: the tier's own where the catalogue
+// has it, else the tier it borrows from (`copy_from` in the config)
+function copyTier(engagement, section, i18n) {
+  const chain = getCopyChain(engagement);
+  return chain.find((tier) => i18n.has(`${section}.${tier}`)) ?? chain[chain.length - 1];
+}
+
 // ── GREETING / WELCOME ────────────────────────
 
-function buildGreetingResponse(player, engagement) {
-  if (engagement === "low") {
+function buildGreetingResponse(player, engagement, i18n) {
+  const tier = copyTier(engagement, "greeting", i18n);
+  const reply = i18n.t(`greeting.${tier}`, { name: player.name });
+
+  if (tier === "lapsed") {
+    return {
+      reply,
+      suggested_actions: [
+        { id: "training", label: i18n.t("actions.start_training"), intent: "query:training", icon: "clipboard" },
+        { id: "match", label: i18n.t("actions.what_did_i_miss"), intent: "query:match", icon: "calendar" },
+        { id: "form", label: i18n.t("actions.my_form"), intent: "query:form", icon: "chart" },
+        { id: "transfer", label: i18n.t("actions.transfer_interest"), intent: "query:transfer", icon: "eye" },
+      ],
+    };
+  }
+
+  if (tier === "low") {
     return {
-      reply: `Hey ${player.name}, good to see you! I'm your agent — Football Brain — and I'm here to help you build a proper career.\n\nListen, I'll be straight with you: the more time you put into your player, the better things get. Here's how it works:\n\n- **Train every 3 hours** — each session boosts your attributes and keeps your fitness sharp\n- **Matches are played every 24 hours at 10pm** — the better your stats and morale, the more game time you'll get from the gaffer\n- **Transfer sweeps happen every 4 days** — if you're performing well, bigger clubs will come knocking\n\nIt's a simple loop: **train hard → play better → get noticed → move up.** I'm here to guide you through it all.\n\nWhere do you want to start?`,
+      reply,
       suggested_actions: [
-        { id: "training", label: "Start Training", intent: "query:training", icon: "clipboard" },
-        { id: "form", label: "Check My Stats", intent: "query:form", icon: "chart" },
-        { id: "career", label: "Career Advice", intent: "query:career", icon: "star" },
-        { id: "match", label: "Next Match", intent: "query:match", icon: "calendar" },
+        { id: "training", label: i18n.t("actions.start_training"), intent: "query:training", icon: "clipboard" },
+        { id: "form", label: i18n.t("actions.check_stats"), intent: "query:form", icon: "chart" },
+        { id: "career", label: i18n.t("actions.career_advice"), intent: "query:career", icon: "star" },
+        { id: "match", label: i18n.t("actions.next_match"), intent: "query:match", icon: "calendar" },
       ],
     };
   }
 
-  if (engagement === "medium") {
+  if (tier === "medium") {
     return {
-      reply: `${player.name}, welcome back. Good to have you.\n\nYou've been putting in some decent work and it shows — but there's more in the tank. Remember, you can train every 3 hours and every session counts toward your next match performance.\n\nThe transfer sweep is coming up — if we keep building momentum, we could attract some serious interest. Let's make sure you're match-ready.\n\nWhat do you need from me?`,
+      reply,
       suggested_actions: [
-        { id: "training", label: "Training Plan", intent: "query:training", icon: "clipboard" },
-        { id: "transfer", label: "Transfer Interest", intent: "query:transfer", icon: "eye" },
-        { id: "form", label: "My Stats", intent: "query:form", icon: "chart" },
-        { id: "match", label: "Next Match", intent: "query:match", icon: "calendar" },
+        { id: "training", label: i18n.t("actions.training_plan"), intent: "query:training", icon: "clipboard" },
+        { id: "transfer", label: i18n.t("actions.transfer_interest"), intent: "query:transfer", icon: "eye" },
+        { id: "form", label: i18n.t("actions.my_stats"), intent: "query:form", icon: "chart" },
+        { id: "match", label: i18n.t("actions.next_match"), intent: "query:match", icon: "calendar" },
       ],
     };
   }
 
   // high engagement
   return {
-    reply: `${player.name}! The man of the hour. Right, let's not waste time — you've been grafting and the numbers are backing it up.\n\nScouts are watching, the form is there, and the next transfer sweep could be your ticket to a bigger stage. I've got my ear to the ground and there are whispers. Let's keep this momentum rolling.\n\nWhat's the play?`,
+    reply,
     suggested_actions: [
-      { id: "transfer", label: "Who's Watching?", intent: "query:transfer", icon: "eye" },
-      { id: "form", label: "My Form", intent: "query:form", icon: "chart" },
-      { id: "training", label: "Training", intent: "query:training", icon: "clipboard" },
-      { id: "career", label: "Career Path", intent: "query:career", icon: "star" },
+      { id: "transfer", label: i18n.t("actions.whos_watching"), intent: "query:transfer", icon: "eye" },
+      { id: "form", label: i18n.t("actions.my_form"), intent: "query:form", icon: "chart" },
+      { id: "training", label: i18n.t("actions.training"), intent: "query:training", icon: "clipboard" },
+      { id: "career", label: i18n.t("actions.career_path"), intent: "query:career", icon: "star" },
     ],
   };
 }
 
 // ── TRAINING ──────────────────────────────────
 
-function buildTrainingResponse(player, training, engagement) {
-  let opener, closer;
+function formatPlan(training, i18n) {
+  return training.weekly_plan.map(d => i18n.t("training.plan_line", {
+    day: i18n.t(`days_short.${d.day}`),
+    session: d.session,
+    intensity: i18n.value("intensity", d.intensity),
+  })).join("\n");
+}
 
-  if (engagement === "low") {
-    opener = `Hey ${player.name}, let's get you training — this is where the magic happens.\n\nA quick reminder: you can train **every 3 hours**, and each session improves your attributes. The better your stats, the more game time the gaffer gives you, and the more scouts will take notice.\n\nHere's your current plan:`;
-    closer = `\n\nEven short sessions add up over time. Try to get a few training sessions in today — your future self will thank you for it.`;
-  } else if (engagement === "medium") {
-    opener = `Right then, ${player.name} — here's your training breakdown. You've been fairly consistent, but let's step it up.\n\nCurrent focus: **${training.current_focus}**`;
-    closer = `\n\nYou're on the right track. Try to hit every 3-hour training window you can — the next transfer sweep rewards players who've been putting in the work.`;
-  } else {
-    opener = `${player.name}, training intel. No messing about.\n\nCurrent focus: **${training.current_focus}**`;
-    closer = `\n\nYou're in a rhythm. Keep smashing these sessions and the attributes will keep climbing. I want you in peak condition for when the right offer lands.`;
+// Days are labelled in the reader's language so "what about Monday?"
+// (or "¿y el lunes?") resolves
+function planReferences(training, i18n) {
+  return {
+    intent: "training",
+    items: training.weekly_plan.map(d => ({ label: i18n.t(`days.${d.day}`), ...d })),
+  };
+}
+
+function buildTrainingResponse(player, training, engagement, i18n) {
+  const tier = copyTier(engagement, "training", i18n);
+  const opener = i18n.t(`training.${tier}.opener`, { name: player.name });
+  const closer = i18n.t(`training.${tier}.closer`);
+  const focus = i18n.t("training.current_focus", { focus: training.current_focus });
+
+  return {
+    reply: `${opener}\n\n${focus}\n\n${formatPlan(training, i18n)}\n\n${training.recommendation}\n\n${closer}`,
+    suggested_actions: [
+      { id: "change_focus", label: i18n.t("actions.change_focus"), intent: "action:change_training", icon: "settings" },
+      { id: "view_form", label: i18n.t("actions.check_form"), intent: "query:form", icon: "chart" },
+      { id: "next_match", label: i18n.t("actions.next_match"), intent: "query:match", icon: "calendar" },
+    ],
+    references: planReferences(training, i18n),
+  };
+}
+
+// Without a valid focus, offer the choices; with one, switch the plan
+function buildChangeTrainingResponse(player, params, engagement, i18n) {
+  const current = getTraining(player.id).current_focus;
+  const tier = copyTier(engagement, "change_training", i18n);
+  const requested = (params.focus || "").toString().trim().toLowerCase();
+  const focus = TRAINING_FOCUSES.find(f => f.toLowerCase() === requested);
+
+  if (!focus) {
+    const prompt = requested
+      ? i18n.t("change_training.unknown_focus", { focus: params.focus })
+      : i18n.t(`change_training.${tier}.prompt`, { name: player.name, current });
+
+    return {
+      reply: prompt,
+      suggested_actions: TRAINING_FOCUSES.filter(f => f !== current).map(f => ({
+        id: `focus_${f.toLowerCase().replace(/[^a-z]+/g, "_")}`,
+        label: f,
+        intent: "action:change_training",
+        params: { focus: f },
+        icon: "settings",
+      })),
+    };
   }
 
-  const plan = training.weekly_plan.map(d => `- **${d.day}**: ${d.session} (${d.intensity})`).join("\n");
+  if (focus === current) {
+    return {
+      reply: i18n.t("change_training.already", { focus, name: player.name }),
+      suggested_actions: [
+        { id: "training", label: i18n.t("actions.view_training"), intent: "query:training", icon: "clipboard" },
+        { id: "change_focus", label: i18n.t("actions.pick_another_focus"), intent: "action:change_training", icon: "settings" },
+      ],
+    };
+  }
+
+  const { training } = setTrainingFocus(player.id, focus);
+  const opener = i18n.t(`change_training.${tier}.done`, { focus, current, name: player.name });
 
   return {
-    reply: `${opener}\n\n${engagement === "low" ? `Current focus: **${training.current_focus}**\n\n` : ""}${plan}\n\n${training.recommendation}${closer}`,
+    reply: `${opener}\n\n${formatPlan(training, i18n)}\n\n${training.recommendation}`,
     suggested_actions: [
-      { id: "change_focus", label: "Change Training Focus", intent: "action:change_training", icon: "settings" },
-      { id: "view_form", label: "Check My Form", intent: "query:form", icon: "chart" },
-      { id: "next_match", label: "Next Match", intent: "query:match", icon: "calendar" },
+      { id: "training", label: i18n.t("actions.view_training"), intent: "query:training", icon: "clipboard" },
+      { id: "change_focus", label: i18n.t("actions.change_again"), intent: "action:change_training", icon: "settings" },
+      { id: "next_match", label: i18n.t("actions.next_match"), intent: "query:match", icon: "calendar" },
     ],
+    references: planReferences(training, i18n),
   };
 }
 
 // ── MATCH ─────────────────────────────────────
 
-function buildMatchResponse(player, club, engagement) {
-  const fixture = club.next_fixture;
-  const formStr = club.form_last_5.join(" ");
+// Kickoffs are real dates once the scheduler is running;
+// before that a fixture is only known by its matchday
+function formatKickoff(fixture, i18n) {
+  if (!fixture.kickoff) return i18n.t("match.matchday", { matchday: fixture.matchday });
+  return i18n.dateTime(fixture.kickoff, process.env.SIM_SCHEDULE_TZ || "Europe/London");
+}
 
-  let insight;
-  if (engagement === "low") {
-    insight = `\n\nMatches are played **every 24 hours at 10pm**. Your performance depends on your attributes, fitness, and morale — so the more you train and look after your player, the better you'll do on match day. A good run of form can put you on the radar of bigger clubs in the next transfer sweep.`;
-  } else if (engagement === "medium") {
-    insight = `\n\nYou've played ${player.matches_played} matches this season with ${player.minutes_played} minutes. Solid presence. Keep your fitness high with regular training and you'll hold down that starting spot. The gaffer rewards consistency.`;
+function buildMatchResponse(player, club, engagement, i18n) {
+  const fixture = club?.next_fixture ?? null;
+  const form = club?.form_last_5 ?? [];
+  const formStr = form.length ? form.join(" ") : i18n.t("match.no_games");
+  const nextLine = fixture
+    ? i18n.t("match.next", {
+        opponent: fixture.opponent,
+        kickoff: formatKickoff(fixture, i18n),
+        venue: i18n.value("venue", fixture.venue),
+        competition: i18n.value("competition", fixture.competition),
+      })
+    : i18n.t(club?.league ? "match.no_fixture" : "match.no_fixture_outside");
+
+  // No table to speak of until the club has played
+  let positionLine;
+  if (!club?.league) {
+    positionLine = i18n.t("match.outside_efl");
+  } else if (!club.played) {
+    positionLine = i18n.t("match.not_started", { league: club.league });
   } else {
-    insight = `\n\nYou've played ${player.matches_played} matches, racked up ${player.minutes_played} minutes, and the gaffer knows what he's got in you. This is about maintaining dominance now — every match is a shop window. Scouts from higher leagues are clocking these performances.`;
+    positionLine = i18n.t("match.position", { ordinal: i18n.ordinal(club.position), league: club.league });
+    if (club.zone) positionLine += ` (${i18n.value("zone", club.zone)})`;
+    if (club.playoff_status) positionLine += ` — ${i18n.value("playoff_status", club.playoff_status)}`;
+  }
+
+  const insight = i18n.t(`match.${copyTier(engagement, "match", i18n)}`, {
+    matches: i18n.number(player.matches_played),
+    minutes: i18n.number(player.minutes_played),
+  });
+
+  // Scout the opposition: their XI against ours, and who to watch
+  const theirs = fixture && getSquad(fixture.opponent);
+  const ours = getSquad(player.club);
+  let scouting = "";
+  if (theirs && ours) {
+    const danger = theirs.players
+      .filter((p) => theirs.lineup.includes(p.number) && p.position !== "GK")
+      .sort((a, b) => b.overall - a.overall)[0];
+    scouting = `\n\n${i18n.t("match.scouting", {
+      opponent: fixture.opponent,
+      theirs: i18n.number(theirs.strength.overall),
+      ours: i18n.number(ours.strength.overall),
+      name: danger.name,
+      position: danger.position,
+      rating: danger.overall,
+    })}`;
+  }
+
+  // How they got on last time out
+  const last = getCareer(player.id)?.recent_matches[0];
+  let lastMatch = "";
+  if (last) {
+    lastMatch = `\n\n${i18n.t(last.appeared ? "match.last_match" : "match.last_match_unused", {
+      result: last.result,
+      score: last.score,
+      opponent: last.opponent,
+      venue: i18n.value("venue", last.venue),
+      minutes: i18n.number(last.minutes ?? 0),
+      goals: i18n.number(last.goals ?? 0),
+      assists: i18n.number(last.assists ?? 0),
+      rating: last.rating === undefined ? "—" : i18n.number(last.rating),
+    })}`;
   }
 
   return {
-    reply: `**Next match:** ${fixture.opponent} — ${fixture.date}, ${fixture.venue} (${fixture.competition})\n\n**Club form (last 5):** ${formStr}\n**League position:** ${club.position}th in the ${club.league}\n**Season target:** ${club.season_goal}${insight}`,
+    reply: `${i18n.t("match.summary", { next: nextLine, form: formStr, position: positionLine, goal: club?.season_goal ?? "—" })}${lastMatch}${scouting}\n\n${insight}`,
     suggested_actions: [
-      { id: "training", label: "View Training Plan", intent: "query:training", icon: "clipboard" },
-      { id: "form", label: "Check My Stats", intent: "query:form", icon: "chart" },
-      { id: "career", label: "Career Advice", intent: "query:career", icon: "star" },
+      { id: "training", label: i18n.t("actions.view_training"), intent: "query:training", icon: "clipboard" },
+      { id: "form", label: i18n.t("actions.check_stats"), intent: "query:form", icon: "chart" },
+      { id: "career", label: i18n.t("actions.career_advice"), intent: "query:career", icon: "star" },
     ],
   };
 }
 
 // ── FORM / STATS ──────────────────────────────
 
-function buildFormResponse(player, engagement) {
-  const formLabel = player.form === "excellent" ? "On fire" : player.form === "good" ? "Solid" : "Needs work";
-
-  let commentary;
-  if (engagement === "low") {
-    commentary = player.form_rating >= 7.5
-      ? "You're actually in decent form — imagine how good these numbers could be with more regular training! Every training session (available every 3 hours) pushes these stats higher."
-      : "These numbers have room to grow, and that's exciting. Regular training sessions boost your attributes, which directly improves your match performances. Try to train as often as you can — every 3 hours counts.";
-  } else if (engagement === "medium") {
-    commentary = player.form_rating >= 7.5
-      ? "Scouts are starting to pay attention. The next transfer sweep is a real opportunity — keep training and these numbers will only go up."
-      : "The foundation is there. A few more consistent performances and training sessions will shift these numbers. The transfer sweep rewards upward trends.";
-  } else {
-    commentary = player.form_rating >= 7.5
-      ? "These are the numbers that get agents' phones ringing. I've been making calls — this form combined with the upcoming transfer sweep could change everything. Don't take your foot off the gas."
-      : "The raw talent is there but we need the stats to match. I need you training every window and performing when it matters. Clubs look at these numbers before they make a move.";
-  }
+function buildFormResponse(player, engagement, i18n) {
+  const formLabel = i18n.t(`form.label.${player.form === "excellent" || player.form === "good" ? player.form : "other"}`);
+  const commentary = i18n.t(`form.${copyTier(engagement, "form", i18n)}.${player.form_rating >= 7.5 ? "strong" : "building"}`);
+
+  const summary = i18n.t("form.summary", {
+    label: formLabel,
+    rating: i18n.number(player.form_rating),
+    goals: i18n.number(player.goals),
+    assists: i18n.number(player.assists),
+    minutes: i18n.number(player.minutes_played),
+    matches: i18n.number(player.matches_played),
+    fitness: i18n.percent(player.fitness),
+    morale: i18n.value("morale", player.morale),
+    overall: player.overall,
+    potential: player.potential,
+  });
 
   return {
-    reply: `**Form:** ${formLabel} (${player.form_rating}/10)\n**Goals:** ${player.goals} | **Assists:** ${player.assists}\n**Minutes:** ${player.minutes_played} across ${player.matches_played} appearances\n**Fitness:** ${player.fitness}% | **Morale:** ${player.morale}\n**Overall:** ${player.overall} | **Potential:** ${player.potential}\n\n${commentary}`,
+    reply: `${summary}\n\n${commentary}`,
     suggested_actions: [
-      { id: "transfer", label: "Who's Watching?", intent: "query:transfer", icon: "eye" },
-      { id: "training", label: "Training Plan", intent: "query:training", icon: "clipboard" },
-      { id: "career", label: "Career Path", intent: "query:career", icon: "star" },
+      { id: "transfer", label: i18n.t("actions.whos_watching"), intent: "query:transfer", icon: "eye" },
+      { id: "training", label: i18n.t("actions.training_plan"), intent: "query:training", icon: "clipboard" },
+      { id: "career", label: i18n.t("actions.career_path"), intent: "query:career", icon: "star" },
     ],
   };
 }
 
 // ── TRANSFERS ─────────────────────────────────
 
-function buildTransferResponse(player, interest, engagement) {
-  const lines = interest.map(t => `- **${t.club}** (${t.league}) — likelihood: ${t.likelihood}, range: ${t.offer_range}`);
-  const hasHeat = interest.some(t => t.likelihood === "high");
-
-  let commentary;
-  if (engagement === "low") {
-    commentary = hasHeat
-      ? "There's genuine interest here — but clubs want to see consistency. The transfer sweep runs every 4 days and clubs look at your recent form, attributes, and morale. If you train regularly and keep your player in good shape, these offers could turn into real moves."
-      : "No strong offers yet, but that's normal — it takes time. Here's the key: train your player regularly (every 3 hours), keep morale up, and when the next transfer sweep happens in a few days, better attributes and form will attract bigger clubs. The system rewards the players who put in the work.";
-  } else if (engagement === "medium") {
-    commentary = hasHeat
-      ? "Clubs are watching. The transfer sweep is coming up and your form puts you in a strong position. Stay consistent with your training and we could see a real move materialize."
-      : "Nothing concrete yet, but the market moves fast. Keep your form up and the next transfer sweep could bring new interest. A few strong performances change everything.";
-  } else {
-    commentary = hasHeat
-      ? "Right, this is what we've been building toward. There's serious interest and I'm working the phones. The next transfer sweep could be the one — I want your stats peaking when that window opens. This is your moment."
-      : "The market's quiet for now, but I know what you're capable of. We need a run of big performances to force their hand. When the transfer sweep lands, I want clubs fighting over you. Let's make that happen.";
+// Offer ranges are stored as "6M-8M"; show them in local currency
+function formatOfferRange(range, i18n) {
+  const match = /^([\d.]+)M\s*-\s*([\d.]+)M$/.exec(range || "");
+  if (!match) return range;
+  return `${i18n.compactMoney(match[1] * 1_000_000)}–${i18n.compactMoney(match[2] * 1_000_000)}`;
+}
+
+function buildTransferResponse(player, interest, offers, engagement, i18n) {
+  const lines = interest.map(t => i18n.t("transfer.club_line", {
+    club: t.club,
+    league: t.league,
+    likelihood: i18n.value("likelihood", t.likelihood),
+    range: formatOfferRange(t.offer_range, i18n),
+  }));
+  const open = offers.filter(o => o.status === "open");
+  const hasHeat = open.length > 0 || interest.some(t => t.likelihood === "high");
+
+  let summary = i18n.t("transfer.summary", {
+    expires: i18n.date(player.contract_expires),
+    value: i18n.compactMoney(player.value),
+    wage: i18n.money(player.wage),
+    clubs: lines.length ? lines.join("\n") : i18n.t("transfer.none"),
+  });
+  if (open.length) {
+    summary += `\n\n${i18n.t("transfer.offers", {
+      offers: open.map(o => i18n.t("transfer.offer_line", {
+        club: o.club,
+        league: o.league,
+        fee: i18n.compactMoney(o.fee),
+        wage: i18n.money(o.wage),
+        years: o.contract_years,
+        expires: i18n.dateTime(o.expires_at, process.env.SIM_SCHEDULE_TZ || "Europe/London"),
+      })).join("\n"),
+    })}`;
   }
 
+  // Haggling over the newest offer comes first, then a new deal at the current club
+  const negotiate = open.length
+    ? [{ id: "negotiate", label: i18n.t("actions.negotiate_with", { club: open[0].club }), intent: "action:counter_offer", params: { offer_id: open[0].id }, icon: "star" }]
+    : [];
+
   return {
-    reply: `**Contract expires:** ${player.contract_expires}\n**Current value:** ${(player.value / 1_000_000).toFixed(1)}M\n**Wage:** ${(player.wage).toLocaleString()}/wk\n\n**Clubs showing interest:**\n${lines.join("\n")}\n\n${commentary}`,
+    reply: `${summary}\n\n${i18n.t(`transfer.${copyTier(engagement, "transfer", i18n)}.${hasHeat ? "heat" : "quiet"}`)}`,
     suggested_actions: [
-      { id: "form", label: "Check My Form", intent: "query:form", icon: "chart" },
-      { id: "career", label: "Career Advice", intent: "query:career", icon: "star" },
-      { id: "match", label: "Next Match", intent: "query:match", icon: "calendar" },
-    ],
+      ...negotiate,
+      { id: "renewal", label: i18n.t("actions.request_renewal"), intent: "action:request_renewal", icon: "clipboard" },
+      { id: "form", label: i18n.t("actions.check_form"), intent: "query:form", icon: "chart" },
+      { id: "career", label: i18n.t("actions.career_advice"), intent: "query:career", icon: "star" },
+      { id: "match", label: i18n.t("actions.next_match"), intent: "query:match", icon: "calendar" },
+    ].slice(0, 4),
+    references: {
+      intent: "transfer",
+      items: interest.map(t => ({ label: t.club, ...t })),
+    },
   };
 }
 
+// ── NEGOTIATIONS ──────────────────────────────
+// Chat actions work on the player's open talks, so the UI never
+// needs a negotiation id. A `wage` param is an ask; without one
+// the club's current terms are shown.
+
+// Suggested pushes go a tenth over the club's terms
+const PUSH_STEP = 1.1;
+
+function negotiationActions(talks, i18n) {
+  if (talks?.status !== "open") {
+    return [
+      { id: "transfer", label: i18n.t("actions.transfer_interest"), intent: "query:transfer", icon: "eye" },
+      { id: "career", label: i18n.t("actions.career_advice"), intent: "query:career", icon: "star" },
+    ];
+  }
+
+  const push = Math.round((talks.terms.wage * PUSH_STEP) / 100) * 100;
+  return [
+    { id: "accept_terms", label: i18n.t("actions.accept_terms", { wage: i18n.money(talks.terms.wage) }), intent: "action:accept_terms", icon: "star" },
+    {
+      id: "push_terms",
+      label: i18n.t("actions.push_for", { wage: i18n.money(push) }),
+      intent: talks.type === "renewal" ? "action:request_renewal" : "action:counter_offer",
+      params: { wage: push, contract_years: talks.terms.contract_years },
+      icon: "chart",
+    },
+    { id: "walk_away", label: i18n.t("actions.walk_away"), intent: "action:walk_away", icon: "settings" },
+  ];
+}
+
+function buildNegotiationResponse(player, result, engagement, i18n) {
+  const talks = result.negotiation;
+  if (!result.success) {
+    return {
+      reply: result.code
+        ? i18n.t(`negotiation.errors.${result.code}`, { club: result.club, retry: result.retry_at && i18n.dateTime(result.retry_at, process.env.SIM_SCHEDULE_TZ || "Europe/London") })
+        : result.message,
+      suggested_actions: negotiationActions(null, i18n),
+    };
+  }
+
+  const lines = [i18n.t(`negotiation.${talks.type}`, { club: talks.club, league: talks.league })];
+  if (result.outcome === "agreed") {
+    lines.push(i18n.t("negotiation.agreed", { wage: i18n.money(talks.agreed.wage), expires: i18n.date(talks.agreed.contract_expires) }));
+  } else if (result.outcome === "broken_off") {
+    lines.push(i18n.t(`negotiation.broken_off.${talks.type}`, { club: talks.club }));
+  } else if (result.outcome === "withdrawn") {
+    lines.push(i18n.t("negotiation.withdrawn", { club: talks.club }));
+  } else {
+    const ask = talks.rounds.findLast((r) => r.by === "player");
+    lines.push([
+      i18n.t("negotiation.squad_status", { status: i18n.value("squad_status", talks.squad_status) }),
+      i18n.t("negotiation.their_terms", { wage: i18n.money(talks.terms.wage), years: talks.terms.contract_years }),
+      ...(ask ? [i18n.t("negotiation.your_ask", { wage: i18n.money(ask.wage), years: ask.contract_years })] : []),
+      i18n.t("negotiation.rounds_left", { rounds: talks.rounds_left, max: talks.max_rounds }),
+    ].join("\n"));
+  }
+
+  const tierKey = `negotiation.${copyTier(engagement, "negotiation", i18n)}.${result.outcome}`;
+  if (i18n.has(tierKey)) lines.push(i18n.t(tierKey, { name: player.name, club: talks.club }));
+
+  return {
+    reply: lines.join("\n\n"),
+    suggested_actions: negotiationActions(talks, i18n),
+  };
+}
+
+// Show open talks, or put an ask (opening talks first if need be)
+function haggle(playerId, talks, open, params) {
+  if (!talks) {
+    const opened = open();
+    if (!opened.success || params.wage === undefined) return opened;
+    talks = opened.negotiation;
+  }
+  if (params.wage === undefined) return { success: true, outcome: "open", negotiation: talks };
+
+  return proposeTerms(playerId, talks.id, {
+    wage: Number(params.wage),
+    contract_years: params.contract_years === undefined ? talks.terms.contract_years : Number(params.contract_years),
+  });
+}
+
+function buildRenewalResponse(player, params, engagement, i18n) {
+  const { active } = getNegotiations(player.id);
+  const talks = active?.type === "renewal" ? active : null;
+  const result = haggle(player.id, talks, () => openNegotiation(player.id, { type: "renewal" }), params);
+  return buildNegotiationResponse(player, result, engagement, i18n);
+}
+
+// Without an offer_id, talks go on the open negotiation or the newest offer
+function buildCounterOfferResponse(player, params, engagement, i18n) {
+  const { active } = getNegotiations(player.id);
+  const talks = active?.type === "transfer" && (!params.offer_id || params.offer_id === active.offer_id) ? active : null;
+  const offerId = params.offer_id || getOffers(player.id).find((o) => o.status === "open")?.id;
+  const result = haggle(player.id, talks, () => openNegotiation(player.id, { type: "transfer", offer_id: offerId }), params);
+  return buildNegotiationResponse(player, result, engagement, i18n);
+}
+
+function buildSettleResponse(player, settle, engagement, i18n) {
+  const { active } = getNegotiations(player.id);
+  const result = active ? settle(player.id, active.id) : { success: false, code: "none" };
+  return buildNegotiationResponse(player, result, engagement, i18n);
+}
+
 // ── CAREER ────────────────────────────────────
 
-function buildCareerResponse(player, engagement) {
+function buildCareerResponse(player, engagement, i18n) {
   const gapToFulfil = player.potential - player.overall;
+  const vars = { name: player.name, potential: player.potential, overall: player.overall, gap: gapToFulfil };
+  const stage = player.age <= 23 ? "young" : "prime";
+  const form = player.form_rating >= 7.5 ? "strong" : "building";
+  const tier = copyTier(engagement, "career", i18n);
 
   let advice;
-  if (engagement === "low") {
-    advice = `Here's what I want you to understand, ${player.name}: your potential is **${player.potential}** — that's a seriously high ceiling. But potential means nothing without the work.\n\nHere's the path:\n1. **Train regularly** — every 3 hours you can boost your attributes\n2. **Play matches** — every night at 10pm, your stats determine your performance\n3. **Build form** — consistent training + match performance = better morale and fitness\n4. **Attract interest** — the transfer sweep runs every 4 days. Better players get offers from bigger clubs\n\nYou've got ${gapToFulfil} rating points between where you are and where you could be. That gap closes every time you train and play. I believe in you — let's start building.`;
-  } else if (engagement === "medium") {
-    advice = `You've got ${gapToFulfil} points between your current level (${player.overall}) and your ceiling (${player.potential}). ${player.age <= 23 ? "Age is on your side" : "The window is open right now"} — but the gap only closes with consistent effort.\n\n${player.form_rating >= 7.5 ? "Your form is strong. A bigger club could accelerate your development — but only if you'd get minutes there." : "Focus on being the best player at this level first. Consistent form opens every door."}\n\nKeep hitting those training sessions and the next transfer sweep could bring a real opportunity. You're closer than you think.`;
+  if (tier === "low") {
+    advice = i18n.t("career.low", vars);
+  } else if (tier === "medium") {
+    advice = i18n.t("career.medium.advice", {
+      ...vars,
+      age: i18n.t(`career.medium.${stage}`),
+      form: i18n.t(`career.medium.${form}`),
+    });
   } else {
-    advice = `Right ${player.name}, let's talk business.\n\n**Current level:** ${player.overall} | **Ceiling:** ${player.potential} | **Gap:** ${gapToFulfil} points\n**Age:** ${player.age} — ${player.age <= 23 ? "you've got time, but I don't want to waste it" : "this is prime time, every decision matters"}\n\n${player.form_rating >= 7.5 ? "Your form is screaming for a move. If a top club comes in at the next transfer sweep, we should seriously consider it — but only if they guarantee minutes. I'm not parking you on a bench." : "The form needs to match the talent. I need you dominating every training session and every match. When the numbers are right, I'll get you the move."}\n\n${gapToFulfil >= 10 ? "There's a massive ceiling above you. With the right move and the right development plan, we're talking top-flight football. That's what I'm working toward." : "You're close to your peak — it's about fine margins now. Every session, every match, every detail. That's what separates the good from the elite."}`;
+    advice = i18n.t("career.high.advice", {
+      ...vars,
+      age_years: player.age,
+      age: i18n.t(`career.high.${stage}`),
+      form: i18n.t(`career.high.${form}`),
+      ceiling: i18n.t(`career.high.${gapToFulfil >= 10 ? "big_gap" : "small_gap"}`),
+    });
+  }
+
+  // The last finished season puts numbers behind the advice
+  const last = getCareer(player.id)?.seasons[0];
+  if (last) {
+    const change = last.progression.overall;
+    advice += `\n\n${i18n.t("career.last_season", {
+      season: last.season,
+      appearances: i18n.number(last.appearances),
+      goals: i18n.number(last.goals),
+      assists: i18n.number(last.assists),
+      rating: last.average_rating === null ? "—" : i18n.number(last.average_rating),
+      change: `${change > 0 ? "+" : ""}${change}`,
+    })}`;
   }
 
   return {
     reply: advice,
     suggested_actions: [
-      { id: "transfer", label: "Transfer Interest", intent: "query:transfer", icon: "eye" },
-      { id: "training", label: "Training Plan", intent: "query:training", icon: "clipboard" },
-      { id: "form", label: "View Stats", intent: "query:form", icon: "chart" },
+      { id: "transfer", label: i18n.t("actions.transfer_interest"), intent: "query:transfer", icon: "eye" },
+      { id: "training", label: i18n.t("actions.training_plan"), intent: "query:training", icon: "clipboard" },
+      { id: "form", label: i18n.t("actions.view_stats"), intent: "query:form", icon: "chart" },
     ],
   };
 }
 
 // ── MORALE ────────────────────────────────────
 
-function buildMoraleResponse(player, engagement) {
-  let commentary;
+function buildMoraleResponse(player, engagement, i18n) {
+  const commentary = i18n.t(`morale.${copyTier(engagement, "morale", i18n)}.${player.morale}`);
 
-  if (engagement === "low") {
-    if (player.morale === "high") {
-      commentary = "Your morale is high — that's great! Morale affects everything: your match performance, your training gains, and how scouts rate you. To keep it high, try to train regularly and stay active. Even logging in to check on your player helps keep things ticking.";
-    } else if (player.morale === "medium") {
-      commentary = "Morale is sitting at medium. Here's the thing — morale goes up when you train, when you play well, and when you're consistent with your player. Try to get a training session in (they're available every 3 hours) and you should see this improve. Better morale means better performances on match day.";
-    } else {
-      commentary = "Morale's low at the moment, and that's going to affect your match performances and how attractive you look to scouts. The good news? It's fixable. Get some training sessions done — they're available every 3 hours — and start building a routine. Consistency is key. Your player needs you.";
-    }
-  } else if (engagement === "medium") {
-    if (player.morale === "high") {
-      commentary = "You're in a good headspace. Confidence is high — keep feeding it with training sessions and strong performances. This momentum heading into the next transfer sweep is exactly what we want.";
-    } else if (player.morale === "medium") {
-      commentary = "You're steady but not buzzing. A good match result or a solid training streak could flip this. Try to stay on top of your training windows — that consistency compounds fast.";
-    } else {
-      commentary = "Morale's dipped. Let's get it back up — hit some training sessions, focus on the basics. A good performance tonight at 10pm could turn this around quickly.";
-    }
-  } else {
-    if (player.morale === "high") {
-      commentary = "Mentally sharp, confidence through the roof. This is where deals get done. Clubs don't just look at stats — they look at a player's mentality. You're radiating quality right now. Keep it there.";
-    } else if (player.morale === "medium") {
-      commentary = "Morale's decent but I've seen you at your best and this isn't it. I need you locked in. Smash the next training session, put in a big performance tonight, and get that swagger back. The scouts need to see a player who believes in himself.";
-    } else {
-      commentary = "Right, morale's taken a hit and I'm not going to sugarcoat it — clubs notice this. We need to turn it around fast. Get into training, get a rhythm going, and trust the process. I've seen players bounce back from worse. Let's go.";
-    }
-  }
+  const summary = i18n.t("morale.summary", {
+    morale: i18n.value("morale", player.morale),
+    fitness: i18n.percent(player.fitness),
+    form: i18n.value("form", player.form),
+    rating: i18n.number(player.form_rating),
+  });
 
   return {
-    reply: `**Morale:** ${player.morale}\n**Fitness:** ${player.fitness}%\n**Form:** ${player.form} (${player.form_rating}/10)\n\n${commentary}`,
+    reply: `${summary}\n\n${commentary}`,
     suggested_actions: [
-      { id: "training", label: "Training Plan", intent: "query:training", icon: "clipboard" },
-      { id: "career", label: "Career Advice", intent: "query:career", icon: "star" },
-      { id: "match", label: "Next Match", intent: "query:match", icon: "calendar" },
+      { id: "training", label: i18n.t("actions.training_plan"), intent: "query:training", icon: "clipboard" },
+      { id: "career", label: i18n.t("actions.career_advice"), intent: "query:career", icon: "star" },
+      { id: "match", label: i18n.t("actions.next_match"), intent: "query:match", icon: "calendar" },
     ],
   };
 }
 
-// ── GENERAL / FALLBACK ────────────────────────
+// ── FOLLOW-UPS ────────────────────────────────
+// Answers about one item from the list the agent showed
+// last ("what about the second one?")
 
-function buildGeneralResponse(player, text, engagement) {
-  let intro;
+function buildReferenceResponse(player, reference, engagement, i18n) {
+  const { intent, item } = reference;
 
-  if (engagement === "low") {
-    intro = `Hey ${player.name}, I'm your football agent — Football Brain. I'm here to help you navigate your career and make the most of your potential.\n\nQuick tip: the more you interact with your player, the better things get. Training is available every 3 hours, matches play out at 10pm daily, and a transfer sweep runs every 4 days. Stay active and the rewards come.\n\nHere's what I can help with:`;
-  } else if (engagement === "medium") {
-    intro = `Alright ${player.name}, I'm here. What do you need?\n\nI can help you with any of these — just ask or tap a button:`;
-  } else {
-    intro = `${player.name}, what's the play? You know the drill — I'm on it whatever you need:`;
+  if (intent === "training") {
+    return {
+      reply: i18n.t("reference.training", {
+        day: item.label,
+        session: item.session,
+        intensity: i18n.value("intensity", item.intensity),
+        push: i18n.t(`reference.push.${copyTier(engagement, "reference.push", i18n)}`),
+      }),
+      suggested_actions: [
+        { id: "training", label: i18n.t("actions.full_training_plan"), intent: "query:training", icon: "clipboard" },
+        { id: "change_focus", label: i18n.t("actions.change_focus"), intent: "action:change_training", icon: "settings" },
+      ],
+    };
   }
 
+  // transfer
   return {
-    reply: `${intro}\n\n- **Training** — your plan, focus areas, and how to improve\n- **Match** — next fixture, form, and squad info\n- **Stats** — goals, assists, rating, minutes\n- **Transfers** — who's interested and what you're worth\n- **Career** — development path and honest advice\n\nWhat's on your mind?`,
+    reply: i18n.t("reference.transfer", {
+      club: item.club,
+      league: item.league,
+      likelihood: i18n.value("likelihood", item.likelihood),
+      range: formatOfferRange(item.offer_range, i18n),
+      read: i18n.t(`reference.read.${item.likelihood}`),
+    }),
     suggested_actions: [
-      { id: "form", label: "My Stats", intent: "query:form", icon: "chart" },
-      { id: "training", label: "Training", intent: "query:training", icon: "clipboard" },
-      { id: "match", label: "Next Match", intent: "query:match", icon: "calendar" },
-      { id: "transfer", label: "Transfer Talk", intent: "query:transfer", icon: "eye" },
+      { id: "transfer", label: i18n.t("actions.all_interested_clubs"), intent: "query:transfer", icon: "eye" },
+      { id: "form", label: i18n.t("actions.check_form"), intent: "query:form", icon: "chart" },
+      { id: "career", label: i18n.t("actions.career_advice"), intent: "query:career", icon: "star" },
     ],
   };
 }
 
-// ──────────────────────────────────────────────
-// ROUTES
-// ──────────────────────────────────────────────
-
-// Health check
-app.get("/health", (req, res) => {
-  res.json({ ok: true, service: "brain", version: "3.0.0" });
-});
-
-// MAIN AGENT ENDPOINT
-app.post("/api/agent/chat", async (req, res) => {
-  const { message, conversation_id, player_id, club_id, engagement: engagementData } = req.body || {};
-  const text = (message || "").toString().trim();
-
-  if (!text) {
-    return res.status(400).json({
-      reply: "Send me a message and I'll get to work.",
-      suggested_actions: [],
-      metadata: { agent_name: "Football Brain" },
-    });
-  }
+// ── GENERAL / FALLBACK ────────────────────────
 
-  // Detect intent from the user's message
-  const intent = detectIntent(text);
+function buildGeneralResponse(player, text, engagement, i18n) {
+  return {
+    reply: `${i18n.t(`general.${copyTier(engagement, "general", i18n)}`, { name: player.name })}\n\n${i18n.t("general.topics")}`,
+    suggested_actions: [
+      { id: "form", label: i18n.t("actions.my_stats"), intent: "query:form", icon: "chart" },
+      { id: "training", label: i18n.t("actions.training"), intent: "query:training", icon: "clipboard" },
+      { id: "match", label: i18n.t("actions.next_match"), intent: "query:match", icon: "calendar" },
+      { id: "transfer", label: i18n.t("actions.transfer_talk"), intent: "query:transfer", icon: "eye" },
+    ],
+  };
+}
 
-  // Load game context
-  const player = getPlayer(player_id);
-  const club = getClub(club_id);
+// ── DISPATCH ──────────────────────────────────
 
-  // Assess user engagement level (drives personality tone)
-  const engagement = assessEngagement(player, engagementData);
+const QUERY_INTENTS = ["greeting", "training", "match", "form", "transfer", "career", "morale", "general"];
 
-  // Build intent-specific response with engagement-aware personality
-  let response;
+function buildIntentResponse(intent, { player, club, text, engagement, i18n }) {
   switch (intent) {
     case "greeting":
-      response = buildGreetingResponse(player, engagement);
-      break;
+      return buildGreetingResponse(player, engagement, i18n);
     case "training":
-      response = buildTrainingResponse(player, getTraining(player_id), engagement);
-      break;
+      return buildTrainingResponse(player, getTraining(player.id), engagement, i18n);
     case "match":
-      response = buildMatchResponse(player, club, engagement);
-      break;
+      return buildMatchResponse(player, club, engagement, i18n);
     case "form":
-      response = buildFormResponse(player, engagement);
-      break;
+      return buildFormResponse(player, engagement, i18n);
     case "transfer":
-      response = buildTransferResponse(player, getTransferInterest(player_id), engagement);
-      break;
+      return buildTransferResponse(player, getTransferInterest(player.id), getOffers(player.id), engagement, i18n);
     case "career":
-      response = buildCareerResponse(player, engagement);
-      break;
+      return buildCareerResponse(player, engagement, i18n);
     case "morale":
-      response = buildMoraleResponse(player, engagement);
-      break;
+      return buildMoraleResponse(player, engagement, i18n);
     default:
-      response = buildGeneralResponse(player, text, engagement);
+      return buildGeneralResponse(player, text, engagement, i18n);
   }
+}
+
+// Several topics in one message get one reply: the answers in
+// order, then the suggestions for anything not already covered
+function combineResponses(intents, responses) {
+  const seen = new Set();
+  const suggested_actions = responses
+    .flatMap((r) => r.suggested_actions)
+    .filter((a) => !intents.includes(a.intent.replace(/^query:/, "")))
+    .filter((a) => !seen.has(a.id) && seen.add(a.id))
+    .slice(0, 4);
+
+  return {
+    reply: responses.map((r) => r.reply).join("\n\n---\n\n"),
+    suggested_actions,
+    references: responses.find((r) => r.references)?.references,
+  };
+}
+
+// ── STRUCTURED ACTIONS ────────────────────────
+// suggested_actions carry intents like "query:training" and
+// "action:change_training". The UI sends one back as `action`
+// (the string, or { intent, params }) or as the message itself,
+// and it's routed directly instead of being keyword-matched.
 
-  return res.json({
-    ...response,
-    conversation_id: conversation_id || "conv",
+const ACTION_PATTERN = /^(query|action):([a-z_]+)$/;
+
+// Each action resolves to an intent and a response
+const ACTION_HANDLERS = {
+  change_training: {
+    intent: "training",
+    build: ({ player, params, engagement, i18n }) => buildChangeTrainingResponse(player, params, engagement, i18n),
+  },
+  request_renewal: {
+    intent: "transfer",
+    build: ({ player, params, engagement, i18n }) => buildRenewalResponse(player, params, engagement, i18n),
+  },
+  counter_offer: {
+    intent: "transfer",
+    build: ({ player, params, engagement, i18n }) => buildCounterOfferResponse(player, params, engagement, i18n),
+  },
+  accept_terms: {
+    intent: "transfer",
+    build: ({ player, engagement, i18n }) => buildSettleResponse(player, acceptTerms, engagement, i18n),
+  },
+  walk_away: {
+    intent: "transfer",
+    build: ({ player, engagement, i18n }) => buildSettleResponse(player, withdrawNegotiation, engagement, i18n),
+  },
+};
+
+// Null when the request carries no structured action
+function parseAction(action, text) {
+  const raw = action ? (typeof action === "string" ? action : action.intent) : text;
+  const match = ACTION_PATTERN.exec((raw || "").toString().trim());
+  if (!match) return action ? { error: `Invalid action "${raw}". Use "query:<intent>" or "action:<name>".` } : null;
+
+  const [intent, kind, name] = match;
+  if (kind === "query" && !QUERY_INTENTS.includes(name)) {
+    return { error: `Unknown query: ${name}. Use: ${QUERY_INTENTS.join(", ")}` };
+  }
+  if (kind === "action" && !ACTION_HANDLERS[name]) {
+    return { error: `Unknown action: ${name}. Use: ${Object.keys(ACTION_HANDLERS).join(", ")}` };
+  }
+
+  const params = typeof action === "object" && action.params && typeof action.params === "object" ? action.params : {};
+  return { intent, kind, name, params };
+}
+
+// ── CHAT PIPELINE ─────────────────────────────
+// Shared by the JSON and streaming chat endpoints: prepareChat
+// validates the request and builds the template response,
+// completeChat generates the final reply and records it.
+
+function chatError(status, reply) {
+  return {
+    error: {
+      status,
+      body: { reply, suggested_actions: [], metadata: { agent_name: "Football Brain" } },
+    },
+  };
+}
+
+// Anything that throws while answering is logged and becomes a 500:
+// under Express 4 a rejected async handler takes the process down
+function chatFailure(req, err) {
+  console.error(`Chat failed — ${err.stack || err.message}`);
+  const i18n = createTranslator(resolveLocale(req.body?.locale, req.get("Accept-Language")));
+  return chatError(500, i18n.t("errors.chat_failed")).error;
+}
+
+// `acceptLanguage` is the request's Accept-Language header; a
+// `locale` field in the body overrides it
+function prepareChat(input, acceptLanguage) {
+  const { message, action: actionData, conversation_id, player_id, locale } = input || {};
+  const i18n = createTranslator(resolveLocale(locale, acceptLanguage));
+  const action = parseAction(actionData, (message || "").toString().trim());
+  const text = (message || "").toString().trim() || action?.intent || "";
+
+  if (action?.error) return chatError(400, action.error);
+  if (!text) return chatError(400, i18n.t("errors.no_message"));
+  if (conversation_id !== undefined && conversation_id !== null && !isValidConversationId(conversation_id)) {
+    return chatError(400, i18n.t("errors.bad_conversation_id"));
+  }
+
+  // Load game context (the club is always the player's current team).
+  // Clients from before player records send no player_id and get the
+  // seeded default player, as they always have
+  const player = getPlayer(player_id || DEFAULT_PLAYER_ID);
+  if (!player) {
+    return player_id
+      ? chatError(404, i18n.t("errors.unknown_player", { id: player_id }))
+      : chatError(400, i18n.t("errors.no_player"));
+  }
+  const club = getPlayerClub(player);
+
+  const conversation = getOrCreateConversation(conversation_id, player.id);
+  if (conversation.player_id !== player.id) return chatError(409, i18n.t("errors.wrong_player"));
+
+  // Did the player take one of the actions we suggested last time?
+  recordOutcome(player.id, action ? action.intent : null);
+
+  // Structured actions skip detection. Otherwise detect intent from the
+  // user's message, then check it against the conversation so far:
+  // "what about the second one?" points at the last list shown,
+  // "what else?" carries on the last topic
+  let intent, intents, confidence, reference = null;
+  if (action) {
+    intent = action.kind === "query" ? action.name : ACTION_HANDLERS[action.name].intent;
+    intents = [intent];
+    confidence = 1;
+  } else {
+    const detected = detectIntent(text);
+    ({ intent, confidence } = detected);
+    intents = detected.intents.map((i) => i.intent);
+
+    reference = intent === "general" || (intents.length === 1 && intent === conversation.last_references?.intent)
+      ? resolveReference(text, conversation)
+      : null;
+    // Context settles it: a named or numbered item is near-certain,
+    // a bare "what else?" is a reasonable guess
+    if (reference) {
+      intent = reference.intent;
+      intents = [intent];
+      confidence = Math.max(confidence, 0.9);
+    } else if (intent === "general" && conversation.last_intent && isFollowUp(text)) {
+      intent = conversation.last_intent;
+      intents = [intent];
+      confidence = 0.6;
+    }
+  }
+
+  // Engagement level (drives personality tone) comes from the server's
+  // own record of the player's activity, this message included
+  recordEvent(player.id, "chat");
+  const { tier: engagement } = assessEngagement(player.id);
+
+  // A/B variants can fix the voice (whatever the tier) and reorder
+  // the suggested actions
+  const experiments = assignVariants(player.id);
+  const voice = copyTierFor(engagement, experiments);
+
+  // Build intent-specific response with engagement-aware personality
+  let response;
+  if (action?.kind === "action") {
+    response = ACTION_HANDLERS[action.name].build({ player, club, params: action.params, engagement: voice, i18n });
+  } else if (reference) {
+    response = buildReferenceResponse(player, reference, voice, i18n);
+  } else if (intents.length > 1) {
+    response = combineResponses(intents, intents.map((i) => buildIntentResponse(i, { player, club, text, engagement: voice, i18n })));
+  } else {
+    response = buildIntentResponse(intent, { player, club, text, engagement: voice, i18n });
+  }
+  response.suggested_actions = orderActions(response.suggested_actions, experiments);
+
+  return { text, action, player, club, conversation, intent, intents, confidence, reference, engagement, voice, experiments, i18n, response };
+}
+
+// `stream` ({ onChunk, onReset, signal }) receives the reply as it's
+// produced; aborting `signal` stops it before anything is recorded
+async function completeChat(chat, stream) {
+  const { text, action, player, club, conversation, intent, intents, confidence, reference, engagement, voice, experiments, i18n, response } = chat;
+
+  // The template reply is the draft; a generation backend may reword it
+  const { references, ...body } = response;
+  const generated = await generateReply({
+    intent,
+    intents,
+    engagement: voice,
+    tone: getTier(voice)?.tone,
+    language: i18n.languageName,
+    player,
+    club,
+    text,
+    draft: body.reply,
+    history: conversation.messages.slice(-6),
+  }, stream);
+  body.reply = generated.reply;
+
+  recordExchange(conversation, { text, intent, reply: body.reply, references });
+  recordExposure(player.id, experiments, body.suggested_actions);
+
+  return {
+    ...body,
+    conversation_id: conversation.id,
     intent,
     metadata: {
       agent_name: "Football Brain",
       agent_role: "Career Advisor",
       engagement_level: engagement,
+      locale: i18n.locale,
       player_context: {
         name: player.name,
         club: player.club,
         position: player.position,
         overall: player.overall,
       },
-      thinking: false,
+      confidence,
+      intents,
+      follow_up: Boolean(reference),
+      action: action ? { intent: action.intent, params: action.params } : null,
+      experiments,
+      generator: generated.generator,
+      ...(generated.fallback ? { generation_fallback: generated.fallback } : {}),
+      thinking: generated.thinking,
     },
+  };
+}
+
+// ──────────────────────────────────────────────
+// ROUTES
+// ──────────────────────────────────────────────
+
+// Health check
+app.get("/health", (req, res) => {
+  res.json({ ok: true, service: "brain", version: "3.0.0" });
+});
+
+// MAIN AGENT ENDPOINT
+app.post("/api/agent/chat", async (req, res) => {
+  try {
+    const chat = prepareChat(req.body, req.get("Accept-Language"));
+    if (chat.error) return res.status(chat.error.status).json(chat.error.body);
+
+    res.set("Content-Language", chat.i18n.locale);
+    res.json(await completeChat(chat));
+  } catch (err) {
+    const { status, body } = chatFailure(req, err);
+    res.status(status).json(body);
+  }
+});
+
+// Streaming variant (Server-Sent Events). Events, in order:
+//   start             → { conversation_id, intent }
+//   chunk             → { text } — append to the reply so far
+//   reset             → {} — generation failed part-way; clear the reply, chunks restart
+//   suggested_actions → the same array the JSON endpoint returns
+//   metadata          → the same object the JSON endpoint returns
+//   done              → the complete JSON response
+// Validation errors are plain JSON with the usual status codes; a
+// failure before the stream opens is a JSON 500, after it an `error` event.
+// If the client goes away mid-reply, generation stops and the
+// exchange isn't recorded.
+app.post("/api/agent/chat/stream", async (req, res) => {
+  let chat;
+  try {
+    chat = prepareChat(req.body, req.get("Accept-Language"));
+  } catch (err) {
+    const { status, body } = chatFailure(req, err);
+    return res.status(status).json(body);
+  }
+  if (chat.error) return res.status(chat.error.status).json(chat.error.body);
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Content-Language": chat.i18n.locale,
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // stop proxies holding chunks back
+  });
+
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const abort = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) abort.abort();
   });
+
+  send("start", { conversation_id: chat.conversation.id, intent: chat.intent });
+
+  try {
+    const payload = await completeChat(chat, {
+      onChunk: (text) => send("chunk", { text }),
+      onReset: () => send("reset", {}),
+      signal: abort.signal,
+    });
+    send("suggested_actions", payload.suggested_actions);
+    send("metadata", payload.metadata);
+    send("done", payload);
+  } catch (err) {
+    if (abort.signal.aborted) return;
+    console.error(`Chat stream failed — ${err.message}`);
+    send("error", { reply: chat.i18n.t("errors.stream_failed") });
+  }
+
+  res.end();
+});
+
+// Conversation history and what the agent last showed
+app.get("/api/agent/conversations/:id", (req, res) => {
+  const conversation = getConversation(req.params.id);
+  if (!conversation) return res.status(404).json({ ok: false, message: `Unknown conversation: ${req.params.id}` });
+  res.json({ ok: true, conversation });
+});
+
+// Create a player (name, age, position, club, overall, potential required)
+app.post("/api/player", (req, res) => {
+  const result = createPlayer(req.body);
+  if (!result.success) return res.status(400).json({ ok: false, message: result.message });
+  res.status(201).json({ ok: true, player: result.player });
 });
 
 // Player context endpoint — lets the UI fetch player data directly
 app.get("/api/player/:id", (req, res) => {
   const player = getPlayer(req.params.id);
+  if (!player) return res.status(404).json({ ok: false, message: `Unknown player: ${req.params.id}` });
   res.json({ ok: true, player });
 });
 
-// Player transfer interest endpoint
+// Update a player's profile (name, position); stats belong to the game
+app.patch("/api/player/:id", (req, res) => {
+  const result = updateProfile(req.params.id, req.body);
+  if (!result.success) return res.status(result.notFound ? 404 : 400).json({ ok: false, message: result.message });
+  res.json({ ok: true, player: result.player });
+});
+
+// Player transfer interest endpoint: interested clubs, offers (open ones
+// with their expiry, plus past decisions) and completed moves
 app.get("/api/player/:id/transfers", (req, res) => {
   const interest = getTransferInterest(req.params.id);
-  res.json({ ok: true, interest });
+  if (!interest) return res.status(404).json({ ok: false, message: `Unknown player: ${req.params.id}` });
+  res.json({
+    ok: true,
+    interest,
+    offers: getOffers(req.params.id),
+    history: getTransferHistory(req.params.id),
+    next_sweep: getTransferSweepStatus().nextSweep,
+  });
+});
+
+// Accept an offer — the player joins the club on the offered terms
+app.post("/api/player/:id/transfers/offers/:offerId/accept", (req, res) => {
+  const result = acceptOffer(req.params.id, req.params.offerId);
+  if (!result.success) {
+    return res.status(result.notFound ? 404 : result.conflict ? 409 : 400).json({ ok: false, message: result.message });
+  }
+  res.json({ ok: true, player: result.player, offer: result.offer, move: result.move });
+});
+
+// Reject an offer
+app.post("/api/player/:id/transfers/offers/:offerId/reject", (req, res) => {
+  const result = rejectOffer(req.params.id, req.params.offerId);
+  if (!result.success) {
+    return res.status(result.notFound ? 404 : result.conflict ? 409 : 400).json({ ok: false, message: result.message });
+  }
+  res.json({ ok: true, offer: result.offer });
+});
+
+// Negotiation results: the outcome and the talks (plus the player
+// when a deal is done), or why it failed
+function sendNegotiation(res, result, status = 200) {
+  if (!result.success) {
+    return res.status(result.notFound ? 404 : result.conflict ? 409 : 400).json({
+      ok: false,
+      message: result.message,
+      ...(result.retry_at ? { retry_at: result.retry_at } : {}),
+    });
+  }
+  res.status(status).json({ ok: true, outcome: result.outcome, negotiation: result.negotiation, ...(result.player ? { player: result.player } : {}) });
+}
+
+// Open talks and past negotiations
+app.get("/api/player/:id/negotiations", (req, res) => {
+  const negotiations = getNegotiations(req.params.id);
+  if (!negotiations) return res.status(404).json({ ok: false, message: `Unknown player: ${req.params.id}` });
+  res.json({ ok: true, ...negotiations });
+});
+
+// Open talks: { type: "renewal" } or { type: "transfer", offer_id },
+// optionally with a first ask { wage, contract_years }
+app.post("/api/player/:id/negotiations", (req, res) => {
+  sendNegotiation(res, openNegotiation(req.params.id, req.body || {}), 201);
+});
+
+// Put an ask { wage, contract_years } to the club
+app.post("/api/player/:id/negotiations/:negotiationId/propose", (req, res) => {
+  sendNegotiation(res, proposeTerms(req.params.id, req.params.negotiationId, req.body || {}));
+});
+
+// Take the club's current terms
+app.post("/api/player/:id/negotiations/:negotiationId/accept", (req, res) => {
+  sendNegotiation(res, acceptTerms(req.params.id, req.params.negotiationId));
+});
+
+// Walk away from talks
+app.post("/api/player/:id/negotiations/:negotiationId/withdraw", (req, res) => {
+  sendNegotiation(res, withdrawNegotiation(req.params.id, req.params.negotiationId));
+});
+
+// Record a login (chat messages and training sessions are recorded
+// by the agent and the train endpoint)
+app.post("/api/player/:id/events", (req, res) => {
+  const player = getPlayer(req.params.id);
+  if (!player) return res.status(404).json({ ok: false, message: `Unknown player: ${req.params.id}` });
+  const type = req.body?.type;
+  if (type !== "login") return res.status(400).json({ ok: false, message: "Only login events can be posted — chat and training are recorded automatically" });
+  // Logins count once a day; a repeat only refreshes the last login time
+  const result = recordEvent(player.id, type);
+  res.status(result.counted ? 201 : 200).json({ ok: true, event: { type: result.type, at: result.at, counted: result.counted }, totals: result.totals });
+});
+
+// Run a training session (optional { intensity: "low" | "medium" | "high" },
+// otherwise today's planned session). One every 3 hours
+app.post("/api/player/:id/train", (req, res) => {
+  const result = trainPlayer(req.params.id, { intensity: req.body?.intensity });
+  if (result.cooldown) {
+    const seconds = Math.ceil((new Date(result.next_session_at) - Date.now()) / 1000);
+    res.setHeader("Retry-After", String(seconds));
+    return res.status(429).json({ ok: false, message: result.message, next_session_at: result.next_session_at });
+  }
+  if (!result.success) return res.status(result.notFound ? 404 : 400).json({ ok: false, message: result.message });
+
+  recordEvent(result.player.id, "training");
+  res.json({ ok: true, player: result.player, session: result.session, next_session_at: result.next_session_at });
+});
+
+// Career so far: this season, recent matches and past seasons
+app.get("/api/player/:id/career", (req, res) => {
+  const career = getCareer(req.params.id);
+  if (!career) return res.status(404).json({ ok: false, message: `Unknown player: ${req.params.id}` });
+  res.json({ ok: true, player_id: req.params.id, ...career });
+});
+
+// Training cooldown and recent sessions
+app.get("/api/player/:id/training", (req, res) => {
+  const status = getTrainingStatus(req.params.id);
+  if (!status) return res.status(404).json({ ok: false, message: `Unknown player: ${req.params.id}` });
+  res.json({ ok: true, plan: getTraining(req.params.id), ...status });
+});
+
+// Engagement tier with the score breakdown and daily activity
+// (?days=N, default 30)
+app.get("/api/player/:id/engagement", (req, res) => {
+  const player = getPlayer(req.params.id);
+  if (!player) return res.status(404).json({ ok: false, message: `Unknown player: ${req.params.id}` });
+  const days = Math.max(1, Math.min(Number.parseInt(req.query.days, 10) || 30, 90));
+  res.json({ ok: true, player_id: player.id, ...assessEngagement(player.id), history: getEngagementHistory(player.id, days) });
+});
+
+// Create the club record for an EFL team (name, manager, season_goal)
+app.post("/api/clubs", (req, res) => {
+  const result = createClub(req.body);
+  if (!result.success) return res.status(result.conflict ? 409 : 400).json({ ok: false, message: result.message });
+  res.status(201).json({ ok: true, club: result.club });
+});
+
+// Club context endpoint
+app.get("/api/clubs/:id", (req, res) => {
+  const club = getClub(req.params.id);
+  if (!club) return res.status(404).json({ ok: false, message: `Unknown club: ${req.params.id}` });
+  res.json({ ok: true, club });
+});
+
+// Update a club's manager or season goal
+app.patch("/api/clubs/:id", (req, res) => {
+  const result = updateClub(req.params.id, req.body);
+  if (!result.success) return res.status(result.notFound ? 404 : 400).json({ ok: false, message: result.message });
+  res.json({ ok: true, club: result.club });
 });
 
 // ──────────────────────────────────────────────
@@ -573,22 +1184,53 @@ app.get("/api/player/:id/transfers", (req, res) => {
 // ──────────────────────────────────────────────
 
 // Reset all leagues to matchday 0, regenerate fixtures, sync everything
+// (optional { seed } body makes the season reproducible)
 app.post("/api/seasons/reset-sync", (req, res) => {
-  const result = resetAndSync();
+  const result = resetAndSync(req.body?.seed);
+  if (!result.success) return res.status(400).json(result);
   res.json(result);
 });
 
-// Simulate ONE matchday across ALL leagues (call this every 24 hours)
+// Simulate ONE matchday across ALL leagues. The built-in scheduler calls
+// this daily when SIM_SCHEDULE_ENABLED=true; otherwise call it every 24 hours
 app.post("/api/seasons/simulate-day", (req, res) => {
   const result = simulateMatchday();
   res.json(result);
 });
 
+// End a completed season: promotion/relegation, then start the next one.
+// Admin only — it moves every league on for everyone
+app.post("/api/seasons/rollover", requireAdmin, (req, res) => {
+  const result = rolloverSeason();
+  if (!result.success) return res.status(409).json(result);
+  res.json(result);
+});
+
+// Get the summary of every finished season
+app.get("/api/seasons/history", (req, res) => {
+  res.json(getSeasonHistory());
+});
+
+// Get the matchday scheduler's configuration and next run
+app.get("/api/seasons/schedule", (req, res) => {
+  res.json({ success: true, ...getScheduleStatus() });
+});
+
 // Get season status overview
 app.get("/api/seasons/status", (req, res) => {
   res.json(getSeasonStatus());
 });
 
+// Run a transfer sweep now (admin only; the scheduled one runs every 4 days)
+app.post("/api/transfers/sweep", requireAdmin, (req, res) => {
+  res.json(runTransferSweep());
+});
+
+// Transfer sweep schedule
+app.get("/api/transfers/status", (req, res) => {
+  res.json(getTransferSweepStatus());
+});
+
 // Get all three league tables at once
 app.get("/api/leagues", (req, res) => {
   res.json(getAllTables());
@@ -609,6 +1251,16 @@ app.get("/api/leagues/:leagueId/fixtures", (req, res) => {
   res.json(result);
 });
 
+// A fixture's match report (ids come from the fixtures and results
+// endpoints and players' recent matches, past seasons included):
+// lineups, timeline and stats, with our players in it
+app.get("/api/leagues/:leagueId/fixtures/:fixtureId", (req, res) => {
+  const { leagueId, fixtureId } = req.params;
+  const result = getFixtureReport(leagueId, fixtureId);
+  if (!result.success) return res.status(404).json(result);
+  res.json(result);
+});
+
 // Get completed results for a league (optional ?matchday=N query param)
 app.get("/api/leagues/:leagueId/results", (req, res) => {
   const matchday = req.query.matchday ? parseInt(req.query.matchday) : null;
@@ -617,12 +1269,150 @@ app.get("/api/leagues/:leagueId/results", (req, res) => {
   res.json(result);
 });
 
+// A team's squad — `:team` is the team name or its slug
+// ("coventry-city") — plus any of our players at the club
+app.get("/api/leagues/:leagueId/teams/:team/squad", (req, res) => {
+  const team = getTeams().find((t) => t.team === req.params.team || clubIdFor(t.team) === req.params.team)?.team;
+  const result = getTeamSquad(req.params.leagueId, team ?? req.params.team);
+  if (!result.success) return res.status(404).json(result);
+
+  const represented = getPlayers()
+    .filter((p) => p.club === result.team)
+    .map(({ id, name, position, age, overall, potential }) => ({ id, name, position, age, overall, potential }));
+  res.json({ ...result, represented });
+});
+
+// Get the play-off bracket for a league
+app.get("/api/leagues/:leagueId/playoffs", (req, res) => {
+  const result = getPlayoffs(req.params.leagueId);
+  if (!result.success) return res.status(404).json(result);
+  res.json(result);
+});
+
+// Get completed play-off matches for a league
+app.get("/api/leagues/:leagueId/playoffs/results", (req, res) => {
+  const result = getPlayoffResults(req.params.leagueId);
+  if (!result.success) return res.status(404).json(result);
+  res.json(result);
+});
+
+// ──────────────────────────────────────────────
+// ADMIN ENDPOINTS
+//
+// Result corrections and sanctions for community
+// storyline events. Every change needs a reason and
+// lands in the audit trail.
+//
+// These routes need "Authorization: Bearer <ADMIN_TOKEN>";
+// without ADMIN_TOKEN set they are closed (503).
+// ──────────────────────────────────────────────
+
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) return res.status(503).json({ success: false, message: "Admin endpoints are disabled — set ADMIN_TOKEN to enable them" });
+
+  if (req.headers.authorization !== `Bearer ${token}`) {
+    return res.status(401).json({ success: false, message: "Admin token required" });
+  }
+  next();
+}
+
+function sendAdminResult(res, result) {
+  if (!result.success) return res.status(result.notFound ? 404 : 400).json(result);
+  res.json(result);
+}
+
+// Body fields shared by every fixture override
+function fixtureRef(body = {}) {
+  return {
+    matchday: parseInt(body.matchday),
+    home: body.home,
+    away: body.away,
+    reason: body.reason,
+    actor: body.actor,
+  };
+}
+
+// Set or correct a result
+app.post("/api/admin/leagues/:leagueId/results", requireAdmin, (req, res) => {
+  const { homeGoals, awayGoals } = req.body || {};
+  sendAdminResult(res, setResult(req.params.leagueId, { ...fixtureRef(req.body), homeGoals, awayGoals }));
+});
+
+// Void a result so it no longer counts
+app.post("/api/admin/leagues/:leagueId/results/void", requireAdmin, (req, res) => {
+  sendAdminResult(res, voidResult(req.params.leagueId, fixtureRef(req.body)));
+});
+
+// Award a 3-0 walkover
+app.post("/api/admin/leagues/:leagueId/walkovers", requireAdmin, (req, res) => {
+  sendAdminResult(res, awardWalkover(req.params.leagueId, { ...fixtureRef(req.body), winner: req.body?.winner }));
+});
+
+// Deduct points from a team
+app.post("/api/admin/leagues/:leagueId/deductions", requireAdmin, (req, res) => {
+  const { team, points, reason, actor } = req.body || {};
+  sendAdminResult(res, deductPoints(req.params.leagueId, { team, points, reason, actor }));
+});
+
+// Audit trail of every admin change (optional ?leagueId= filter)
+app.get("/api/admin/audit", requireAdmin, (req, res) => {
+  res.json(getAuditTrail(req.query.leagueId));
+});
+
+// A/B experiment results: exposures and conversions (the suggested
+// action taken next) per variant
+app.get("/api/admin/experiments", requireAdmin, (req, res) => {
+  res.json({ success: true, experiments: getExperimentReport() });
+});
+
+// Engagement scoring and tiers. Edits to the config file are picked
+// up automatically; these let designers check, reload or replace it
+app.get("/api/admin/engagement/config", requireAdmin, (req, res) => {
+  res.json({ success: true, ...getEngagementConfig() });
+});
+
+app.post("/api/admin/engagement/config/reload", requireAdmin, (req, res) => {
+  sendAdminResult(res, reloadEngagementConfig());
+});
+
+// Replace the whole config (validated before it's written)
+app.put("/api/admin/engagement/config", requireAdmin, (req, res) => {
+  sendAdminResult(res, saveEngagementConfig(req.body));
+});
+
 // ──────────────────────────────────────────────
 // START SERVER
 // ──────────────────────────────────────────────
 
 const PORT = process.env.PORT || 3000;
+watchEngagementConfig();
+trackCareers();
 app.listen(PORT, () => {
   console.log("Brain API v3.0 running on port", PORT);
+  console.log(`Season storage: ${storage.name} backend`);
+  console.log(`Reply generation: ${getGeneratorName()}`);
+  console.log(`Engagement config: ${getEngagementConfig().path} (watching for changes)`);
+  if (!process.env.ADMIN_TOKEN) console.warn("ADMIN_TOKEN not set — admin endpoints are disabled");
   console.log("EFL League system ready — call POST /api/seasons/reset-sync to initialize");
+
+  if (process.env.SIM_SCHEDULE_ENABLED === "true") {
+    const schedule = startScheduler();
+    if (!schedule.success) {
+      console.error(`Scheduler not started: ${schedule.message}`);
+    } else {
+      console.log(`Scheduler: daily at ${schedule.time} ${schedule.timeZone}, next run ${schedule.nextRun}` +
+        (schedule.caughtUp ? ` (caught up ${schedule.caughtUp} missed matchday${schedule.caughtUp === 1 ? "" : "s"})` : ""));
+    }
+  }
+
+  if (process.env.TRANSFER_SWEEP_ENABLED === "true") {
+    const sweeps = startTransferSweeps();
+    if (!sweeps.success) {
+      console.error(`Transfer sweeps not started: ${sweeps.message}`);
+    } else {
+      console.log(`Transfer sweeps: every ${sweeps.intervalDays} days, next ${sweeps.nextSweep}` +
+        (sweeps.caughtUp ? " (ran the sweep that was due)" : ""));
+    }
+  }
 });
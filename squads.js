@@ -0,0 +1,134 @@
+// ──────────────────────────────────────────────
+// SQUADS
+// A generated first-team squad for every club in the EFL
+// (and every club that joins it). A club's squad is built
+// from the season seed and the club's standing the first
+// time it appears, then kept — promoted clubs go up with
+// the players who got them there, and a reset-sync (new
+// seed) builds every squad afresh.
+//
+// The best XI in a 4-3-3 sets a club's attack and defence
+// in the match simulation (see leagues.js).
+// ──────────────────────────────────────────────
+
+import { storage } from "./storage.js";
+import { createRng, seedToState } from "./random.js";
+
+const STORAGE_KEY = "squads";
+
+/**
+ * Rough playing level of a club in each tier; a club's place in
+ * its league moves it up or down a few points.
+ */
+export const TIER_LEVELS = { 1: 68, 2: 61, 3: 55 };
+
+// 24 players: two for every place in the XI, plus a third keeper and centre midfielder
+const SQUAD_SHAPE = { GK: 3, RB: 2, CB: 4, LB: 2, CDM: 2, CM: 3, CAM: 2, RW: 2, LW: 2, ST: 2 };
+const FORMATION = ["GK", "RB", "CB", "CB", "LB", "CDM", "CM", "CAM", "RW", "ST", "LW"];
+const DEFENSIVE = new Set(["GK", "RB", "CB", "LB", "CDM"]);
+
+const FIRST_NAMES = [
+  "Jack", "Harry", "Charlie", "George", "Oliver", "James", "Tom", "Ben", "Sam", "Joe",
+  "Dan", "Luke", "Ryan", "Callum", "Jordan", "Kyle", "Lewis", "Connor", "Josh", "Liam",
+  "Nathan", "Adam", "Jamie", "Aaron", "Reece", "Kieran", "Ethan", "Max", "Alfie", "Tyler",
+  "Mason", "Owen", "Rhys", "Scott", "Dylan", "Jake", "Matty", "Jonny", "Kofi", "Tariq",
+  "Ali", "Mateo", "Luca", "Andre", "Sean", "Declan", "Cian", "Ivan", "Niklas", "Pablo",
+];
+const LAST_NAMES = [
+  "Smith", "Jones", "Taylor", "Brown", "Williams", "Wilson", "Johnson", "Davies", "Robinson", "Wright",
+  "Thompson", "Evans", "Walker", "White", "Roberts", "Green", "Hall", "Wood", "Jackson", "Clarke",
+  "Patel", "Hughes", "Edwards", "Turner", "Collins", "Morris", "Cooper", "Ward", "Harrison", "Parker",
+  "Bennett", "Gray", "Barnes", "Fletcher", "Lloyd", "Mason", "Shaw", "Holmes", "Murphy", "Kelly",
+  "O'Brien", "Doyle", "Mensah", "Okafor", "Diallo", "Silva", "Costa", "Novak", "Jensen", "Moreno",
+];
+
+let SQUADS = { seed: null, teams: {} };
+
+function loadSquads() {
+  SQUADS = storage.read(STORAGE_KEY) || { seed: null, teams: {} };
+}
+
+loadSquads();
+
+const clamp = (n, min, max) => Math.min(max, Math.max(min, n));
+
+// ── GENERATION ────────────────────────────────
+
+function generateSquad(team, level, seed) {
+  const rng = createRng(seedToState(`${seed}:squad:${team}`));
+  const pick = (list) => list[Math.floor(rng.next() * list.length)];
+  const spread = () => (rng.next() + rng.next() - 1) * 4; // -4..4, bunched around 0
+
+  const players = [];
+  for (const [position, count] of Object.entries(SQUAD_SHAPE)) {
+    for (let depth = 0; depth < count; depth++) {
+      const age = 18 + Math.floor(rng.next() * 17);
+      // First choices a little above the club's level, cover below it;
+      // teenagers are still raw and veterans are fading
+      const ageing = age <= 20 ? -4 : age >= 33 ? -2 : 0;
+      const overall = Math.round(clamp(level + (depth === 0 ? 2 : -3) + ageing + spread(), 40, 90));
+      const headroom = age <= 23 ? 4 + Math.floor(rng.next() * (26 - age)) : age <= 27 ? Math.floor(rng.next() * 4) : 0;
+
+      players.push({ name: `${pick(FIRST_NAMES)} ${pick(LAST_NAMES)}`, position, age, overall, potential: Math.min(95, overall + headroom) });
+    }
+  }
+
+  return players.map((player, i) => ({ number: i + 1, ...player }));
+}
+
+// Best available player for each slot of the 4-3-3
+function bestXI(players) {
+  const used = new Set();
+  return FORMATION.map((position) => {
+    const choice = players
+      .filter((p) => p.position === position && !used.has(p))
+      .sort((a, b) => b.overall - a.overall)[0];
+    used.add(choice);
+    return choice;
+  });
+}
+
+function average(players) {
+  return Math.round((players.reduce((sum, p) => sum + p.overall, 0) / players.length) * 10) / 10;
+}
+
+// ── PUBLIC API ─────────────────────────────────
+
+/**
+ * Make sure every club in `entries` ([{ team, level }]) has a squad
+ * built from `seed`. Existing squads are kept unless the seed changed.
+ */
+export function ensureSquads(entries, seed) {
+  if (SQUADS.seed !== seed) SQUADS = { seed, teams: {} };
+
+  const missing = entries.filter(({ team }) => !SQUADS.teams[team]);
+  if (!missing.length) return;
+
+  for (const { team, level } of missing) {
+    SQUADS.teams[team] = generateSquad(team, level, seed);
+  }
+  storage.write(STORAGE_KEY, SQUADS);
+}
+
+/**
+ * A club's squad, its best XI and how strong it is at each end:
+ * `attack` and `defence` are the average overall of the attacking
+ * (CM forward) and defensive (GK to CDM) players in the XI.
+ * Null for clubs without a squad.
+ */
+export function getSquad(team) {
+  const players = SQUADS.teams[team];
+  if (!players) return null;
+
+  const xi = bestXI(players);
+  return {
+    team,
+    players,
+    lineup: xi.map((p) => p.number),
+    strength: {
+      overall: average(xi),
+      attack: average(xi.filter((p) => !DEFENSIVE.has(p.position))),
+      defence: average(xi.filter((p) => DEFENSIVE.has(p.position))),
+    },
+  };
+}
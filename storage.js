@@ -0,0 +1,116 @@
+// ──────────────────────────────────────────────
+// STORAGE
+// Pluggable key/value persistence for game state.
+//
+// Backends:
+//   file   → one JSON document per key in DATA_DIR (default)
+//   memory → nothing touches disk (handy for local experiments)
+//
+// Select with STORAGE_BACKEND=file|memory and DATA_DIR=./data
+// ──────────────────────────────────────────────
+
+import fs from "node:fs";
+import path from "node:path";
+
+// ── BACKENDS ──────────────────────────────────
+
+function createMemoryBackend() {
+  const docs = new Map();
+
+  return {
+    name: "memory",
+    read(key) {
+      return docs.has(key) ? structuredClone(docs.get(key)) : null;
+    },
+    write(key, value) {
+      docs.set(key, structuredClone(value));
+    },
+    remove(key) {
+      docs.delete(key);
+    },
+  };
+}
+
+function createFileBackend(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const fileFor = (key) => path.join(dir, `${key}.json`);
+
+  return {
+    name: "file",
+    read(key) {
+      const file = fileFor(key);
+      if (!fs.existsSync(file)) return null;
+
+      try {
+        return JSON.parse(fs.readFileSync(file, "utf8"));
+      } catch (err) {
+        console.error(`Storage: could not read ${file} — ${err.message}`);
+        return null;
+      }
+    },
+    write(key, value) {
+      // Write to a temp file and rename so a crash mid-write never
+      // leaves a half-written document behind
+      const file = fileFor(key);
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(value));
+      fs.renameSync(tmp, file);
+    },
+    remove(key) {
+      fs.rmSync(fileFor(key), { force: true });
+    },
+  };
+}
+
+// ── PUBLIC API ─────────────────────────────────
+
+/**
+ * Create a storage instance for the given backend.
+ */
+export function createStorage({ backend = "file", dir = "./data" } = {}) {
+  if (backend === "memory") return createMemoryBackend();
+  if (backend === "file") return createFileBackend(dir);
+  throw new Error(`Unknown storage backend: ${backend}. Use: file, memory`);
+}
+
+/**
+ * Shared storage instance, configured from the environment.
+ */
+export const storage = createStorage({
+  backend: process.env.STORAGE_BACKEND || "file",
+  dir: process.env.DATA_DIR || "./data",
+});
+
+/**
+ * A keyed collection (id → record) held in memory and written through
+ * to storage on every change. `seed` is used until the first save.
+ */
+export function createCollection(key, seed = {}) {
+  const records = storage.read(key) ?? structuredClone(seed);
+  const save = () => storage.write(key, records);
+
+  return {
+    get(id) {
+      return records[id] ?? null;
+    },
+    has(id) {
+      return Object.hasOwn(records, id);
+    },
+    set(id, record) {
+      records[id] = record;
+      save();
+      return record;
+    },
+    delete(id) {
+      delete records[id];
+      save();
+    },
+    ids() {
+      return Object.keys(records);
+    },
+    all() {
+      return Object.values(records);
+    },
+  };
+}
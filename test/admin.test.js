@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  resetAndSync,
+  simulateMatchday,
+  getLeagueTable,
+  getFixtures,
+  getPlayoffs,
+  setResult,
+  voidResult,
+  awardWalkover,
+  deductPoints,
+  getAuditTrail,
+} from "../leagues.js";
+
+const KICKOFF = { kickoff: "2025-08-01T21:00:00.000Z" };
+const rowFor = (leagueId, team) => getLeagueTable(leagueId).table.find((r) => r.team === team);
+
+function playTo(matchday) {
+  for (let day = simulateMatchday(KICKOFF); day.currentMatchday < matchday; day = simulateMatchday(KICKOFF));
+}
+
+test("result overrides, walkovers and deductions show in the table and the audit trail", () => {
+  resetAndSync("admin");
+  playTo(1);
+  const [fixture] = getFixtures("league1", 1).fixtures;
+  const ref = { matchday: 1, home: fixture.home, away: fixture.away };
+
+  assert.equal(setResult("league1", { ...ref, homeGoals: 5, awayGoals: 0 }).success, false, "a reason is required");
+
+  assert.equal(setResult("league1", { ...ref, homeGoals: 5, awayGoals: 0, reason: "Scoring error" }).success, true);
+  assert.equal(rowFor("league1", fixture.home).goalDifference, 5);
+  assert.equal(rowFor("league1", fixture.home).points, 3);
+
+  assert.equal(voidResult("league1", { ...ref, reason: "Abandoned" }).success, true);
+  assert.equal(rowFor("league1", fixture.home).played, 0);
+
+  assert.equal(awardWalkover("league1", { ...ref, winner: fixture.away, reason: "Ineligible player" }).success, true);
+  assert.equal(rowFor("league1", fixture.away).points, 3);
+  assert.equal(rowFor("league1", fixture.away).goalDifference, 3);
+
+  assert.equal(deductPoints("league1", { team: fixture.away, points: 10, reason: "Administration" }).success, true);
+  assert.equal(rowFor("league1", fixture.away).points, -7);
+  assert.equal(rowFor("league1", fixture.away).pointsDeducted, 10);
+
+  const audit = getAuditTrail("league1").entries;
+  assert.deepEqual(audit.slice(0, 4).map((e) => e.action), ["deduct_points", "walkover", "void_result", "set_result"]);
+  assert.equal(audit[3].before.played, true);
+  assert.equal(audit[3].after.homeGoals, 5);
+});
+
+test("an override after the bracket is drawn redraws it while no play-off game has been played", () => {
+  playTo(46);
+  const fourth = getPlayoffs("championship").seeds[1].team;
+  const seventh = getLeagueTable("championship").table[6].team;
+
+  const result = deductPoints("championship", { team: fourth, points: 40, reason: "Administration" });
+  assert.equal(result.success, true);
+  const seeds = getPlayoffs("championship").seeds.map((s) => s.team);
+  assert.ok(!seeds.includes(fourth));
+  assert.ok(seeds.includes(seventh));
+});
+
+test("once the play-offs have started the regular-season table is final", () => {
+  playTo(47);
+  const [fixture] = getFixtures("championship", 46).fixtures;
+  const seeds = getPlayoffs("championship").seeds;
+
+  const result = setResult("championship", { matchday: 46, home: fixture.home, away: fixture.away, homeGoals: 9, awayGoals: 0, reason: "Late correction" });
+  assert.equal(result.success, false);
+  assert.equal(deductPoints("championship", { team: seeds[0].team, points: 1, reason: "Fine" }).success, false);
+  assert.deepEqual(getPlayoffs("championship").seeds, seeds);
+});
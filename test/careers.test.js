@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resetAndSync, simulateMatchday, getLeagueTable, rolloverSeason, findTeam } from "../leagues.js";
+import { createPlayer, getPlayer, DEFAULT_PLAYER_ID } from "../players.js";
+import { trackCareers, getCareer } from "../careers.js";
+
+const KICKOFF = { kickoff: "2025-08-01T21:00:00.000Z" };
+
+trackCareers();
+resetAndSync("careers");
+
+const newPlayer = (club) => createPlayer({ name: `${club} Player`, age: 25, position: "ST", club, overall: 68, potential: 70 }).player.id;
+
+test("matchdays put appearances on the player's record", () => {
+  const { matches_played } = getPlayer(DEFAULT_PLAYER_ID);
+  for (let i = 0; i < 5; i++) simulateMatchday(KICKOFF);
+  const { current, recent_matches } = getCareer(DEFAULT_PLAYER_ID);
+  const played = recent_matches.filter((m) => m.appeared);
+
+  assert.equal(recent_matches.length, 5);
+  assert.equal(current.season, 1);
+  assert.equal(current.appearances, played.length);
+  assert.equal(current.minutes, played.reduce((total, m) => total + m.minutes, 0));
+  assert.equal(getPlayer(DEFAULT_PLAYER_ID).matches_played, matches_played + played.length);
+});
+
+test("rollover archives the season, ages players and moves those whose club left the EFL", () => {
+  let day;
+  do day = simulateMatchday(KICKOFF); while (day.success);
+
+  const before = getCareer(DEFAULT_PLAYER_ID).current;
+  const champions = getLeagueTable("championship").table[0].team;
+  const bottom = getLeagueTable("league2").table.at(-1).team;
+  const promotedOut = newPlayer(champions);
+  const relegatedOut = newPlayer(bottom);
+
+  assert.equal(rolloverSeason().success, true);
+
+  const [season] = getCareer(DEFAULT_PLAYER_ID).seasons;
+  assert.equal(season.season, 1);
+  assert.equal(season.appearances, before.appearances);
+  assert.equal(season.goals, before.goals);
+  assert.equal(season.moved_to, undefined);
+  assert.equal(getPlayer(DEFAULT_PLAYER_ID).age, before.age + 1);
+  assert.equal(getCareer(DEFAULT_PLAYER_ID).current.appearances, 0);
+
+  for (const [id, from, leagueId] of [[promotedOut, champions, "championship"], [relegatedOut, bottom, "league2"]]) {
+    const { seasons } = getCareer(id);
+    assert.equal(findTeam(from), null);
+    assert.equal(seasons[0].club, from);
+    assert.equal(getPlayer(id).club, seasons[0].moved_to);
+    assert.equal(findTeam(seasons[0].moved_to).leagueId, leagueId);
+  }
+
+  simulateMatchday(KICKOFF);
+  for (const [id, leagueId] of [[promotedOut, "championship"], [relegatedOut, "league2"]]) {
+    const [match] = getCareer(id).recent_matches;
+    assert.equal(match.season, 2);
+    assert.equal(findTeam(match.opponent).leagueId, leagueId);
+  }
+});
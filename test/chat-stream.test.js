@@ -0,0 +1,105 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { createServer } from "node:net";
+import { once } from "node:events";
+import { setTimeout as sleep } from "node:timers/promises";
+import { fileURLToPath } from "node:url";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+let server;
+let base;
+
+function freePort() {
+  const probe = createServer().listen(0);
+  return once(probe, "listening").then(() => {
+    const { port } = probe.address();
+    probe.close();
+    return port;
+  });
+}
+
+before(async () => {
+  const port = await freePort();
+  server = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT,
+    env: { ...process.env, PORT: String(port), STORAGE_BACKEND: "memory", LLM_BACKEND: "template", STREAM_CHUNK_MS: "20" },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  let output = "";
+  for await (const data of server.stdout) {
+    output += data;
+    if (output.includes("ready")) break;
+  }
+  base = `http://localhost:${port}`;
+});
+
+after(() => server.kill());
+
+const chat = (body, signal) => fetch(`${base}/api/agent/chat/stream`, {
+  method: "POST",
+  headers: { "Content-Type": "application/json" },
+  body: JSON.stringify(body),
+  signal,
+});
+
+// Yields { event, data } as the server sends them
+async function* events(response) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const bytes of response.body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    let end;
+    while ((end = buffer.indexOf("\n\n")) !== -1) {
+      const [eventLine, dataLine] = buffer.slice(0, end).split("\n");
+      buffer = buffer.slice(end + 2);
+      yield { event: eventLine.slice("event: ".length), data: JSON.parse(dataLine.slice("data: ".length)) };
+    }
+  }
+}
+
+test("the reply arrives in chunks, then actions, metadata and the full response", async () => {
+  const response = await chat({ message: "How is my form?" });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get("content-type"), /text\/event-stream/);
+
+  const received = [];
+  for await (const event of events(response)) received.push(event);
+  const names = received.map((e) => e.event);
+  const chunks = received.filter((e) => e.event === "chunk");
+  const done = received.at(-1).data;
+
+  assert.equal(names[0], "start");
+  assert.ok(chunks.length > 1, "paced, not one burst");
+  assert.deepEqual(names.slice(1 + chunks.length), ["suggested_actions", "metadata", "done"]);
+  assert.equal(chunks.map((e) => e.data.text).join(""), done.reply);
+
+  const stored = await fetch(`${base}/api/agent/conversations/${received[0].data.conversation_id}`);
+  assert.equal(stored.status, 200);
+});
+
+test("a client that hangs up mid-reply leaves no conversation behind", async () => {
+  const hangUp = new AbortController();
+  const response = await chat({ message: "Tell me about my club" }, hangUp.signal);
+
+  let conversationId;
+  await assert.rejects(async () => {
+    for await (const { event, data } of events(response)) {
+      if (event === "start") conversationId = data.conversation_id;
+      if (event === "chunk") hangUp.abort();
+      assert.notEqual(event, "done");
+    }
+  }, { name: "AbortError" });
+
+  await sleep(500);
+  const stored = await fetch(`${base}/api/agent/conversations/${conversationId}`);
+  assert.equal(stored.status, 404);
+});
+
+test("a conversation_id that isn't a short string is refused before the stream opens", async () => {
+  for (const conversation_id of [{ id: 1 }, 42, "x".repeat(65)]) {
+    const response = await chat({ message: "Hi", conversation_id });
+    assert.equal(response.status, 400);
+    assert.ok((await response.json()).reply);
+  }
+});
@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isValidConversationId, getOrCreateConversation, recordExchange, getConversation } from "../conversations.js";
+
+const DAY_MS = 24 * 3600 * 1000;
+
+function talk(id) {
+  return recordExchange(getOrCreateConversation(id, "p001"), { text: "hi", intent: "greeting", reply: "Hello" });
+}
+
+test("conversation ids are short strings", () => {
+  assert.equal(isValidConversationId("c-1"), true);
+  assert.equal(isValidConversationId("x".repeat(64)), true);
+  assert.equal(isValidConversationId("x".repeat(65)), false);
+  assert.equal(isValidConversationId(""), false);
+  assert.equal(isValidConversationId(42), false);
+  assert.equal(isValidConversationId({ id: "c-1" }), false);
+});
+
+test("a conversation untouched for 30 days is dropped", (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2025-01-01T12:00:00.000Z") });
+  talk("old");
+  talk("recent");
+  t.mock.timers.tick(20 * DAY_MS);
+  talk("recent");
+  t.mock.timers.tick(11 * DAY_MS);
+  talk("new");
+
+  assert.equal(getConversation("old"), null);
+  assert.equal(getConversation("recent").messages.length, 4);
+  assert.ok(getConversation("new"));
+});
+
+test("past 1,000 conversations the least recently used go first", (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2025-06-01T12:00:00.000Z") });
+  for (let i = 0; i < 1000; i++) {
+    talk(`c${i}`);
+    t.mock.timers.tick(1000);
+  }
+  talk("c0");
+  t.mock.timers.tick(1000);
+  talk("c1000");
+
+  assert.ok(getConversation("c0"), "used again, so kept");
+  assert.equal(getConversation("c1"), null);
+  assert.ok(getConversation("c2"));
+  assert.ok(getConversation("c1000"));
+});
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { recordEvent, assessEngagement, getEngagementMetrics, validateEngagementConfig, getEngagementConfig } from "../engagement.js";
+
+const HOUR_MS = 3600 * 1000;
+const START = new Date("2025-03-01T09:00:00.000Z");
+const hoursLater = (hours) => new Date(START.getTime() + hours * HOUR_MS);
+
+test("logins count once a day, however often they're posted", () => {
+  for (let i = 0; i < 20; i++) recordEvent("burst", "login", hoursLater(i / 10));
+  assert.equal(getEngagementMetrics("burst", hoursLater(3)).total_logins, 1);
+
+  const next = recordEvent("burst", "login", hoursLater(24));
+  assert.equal(next.counted, true);
+  assert.equal(recordEvent("burst", "login", hoursLater(25)).counted, false);
+  assert.equal(getEngagementMetrics("burst", hoursLater(26)).hours_since_last_login, 1);
+});
+
+test("a player who trains and logs in daily scores higher than one who doesn't", () => {
+  for (let day = 0; day < 14; day++) {
+    recordEvent("regular", "login", hoursLater(day * 24));
+    recordEvent("regular", "training", hoursLater(day * 24 + 1));
+  }
+  recordEvent("casual", "login", hoursLater(0));
+
+  const now = hoursLater(13 * 24 + 2);
+  assert.ok(assessEngagement("regular", now).score > assessEngagement("casual", now).score);
+});
+
+test("an unknown event type is rejected", () => {
+  assert.equal(recordEvent("p", "dance").success, false);
+});
+
+// ── CONFIG VALIDATION ─────────────────────────
+
+const baseConfig = () => structuredClone(getEngagementConfig().config);
+
+test("the shipped config is valid", () => {
+  assert.deepEqual(validateEngagementConfig(baseConfig()), []);
+});
+
+test("a config that isn't an object is rejected outright", () => {
+  assert.deepEqual(validateEngagementConfig([]), ["config: must be an object"]);
+  assert.deepEqual(validateEngagementConfig(null), ["config: must be an object"]);
+});
+
+test("factors need a known metric, one threshold per band and whole points", () => {
+  const config = baseConfig();
+  config.factors[0].metric = "vibes";
+  config.factors[1].bands[0] = { at_most: 4, at_least: 1, points: 3 };
+  config.factors[2].bands[0].points = 1.5;
+  config.factors[3].id = config.factors[0].id;
+
+  const errors = validateEngagementConfig(config);
+  assert.ok(errors.some((e) => e.startsWith("factors[0].metric:")));
+  assert.ok(errors.includes("factors[1].bands[0]: needs exactly one of at_most, at_least"));
+  assert.ok(errors.includes("factors[2].bands[0].points: must be a whole number, 0 or more"));
+  assert.ok(errors.some((e) => e.startsWith("factors[3].id: duplicate")));
+});
+
+test("scored tiers must run highest first and end at 0", () => {
+  const config = baseConfig();
+  const scored = config.tiers.filter((t) => t.min_score !== undefined);
+  [scored[0].min_score, scored[1].min_score] = [scored[1].min_score, scored[0].min_score];
+  assert.ok(validateEngagementConfig(config).some((e) => e.endsWith("scored tiers must run highest first")));
+
+  const floorless = baseConfig();
+  floorless.tiers.filter((t) => t.min_score !== undefined).at(-1).min_score = 2;
+  assert.ok(validateEngagementConfig(floorless).some((e) => e.startsWith("tiers: the last scored tier")));
+});
+
+test("a tier without copy of its own must borrow it", () => {
+  const config = baseConfig();
+  config.tiers.unshift({ id: "superfan", min_score: 100, tone: "Over the moon." });
+  assert.ok(validateEngagementConfig(config).some((e) => e.startsWith('tiers: no copy for "superfan"')));
+
+  config.tiers[0].copy_from = "high";
+  assert.deepEqual(validateEngagementConfig(config), []);
+});
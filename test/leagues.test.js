@@ -0,0 +1,72 @@
+// Seeded season snapshots: a seed always replays the same season,
+// so tables, results and rollovers can be pinned down exactly.
+// After an intended change to the simulation, refresh them with
+//   UPDATE_SNAPSHOTS=1 npm test
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { resetAndSync, simulateMatchday, getLeagueTable, getResults, rolloverSeason } from "../leagues.js";
+
+const SNAPSHOTS = new URL("./snapshots/leagues.json", import.meta.url);
+const SEED = "snapshot";
+const LEAGUES = ["championship", "league1", "league2"];
+
+function matchSnapshot(name, value) {
+  const snapshots = fs.existsSync(SNAPSHOTS) ? JSON.parse(fs.readFileSync(SNAPSHOTS, "utf8")) : {};
+  if (process.env.UPDATE_SNAPSHOTS) {
+    snapshots[name] = value;
+    fs.writeFileSync(SNAPSHOTS, `${JSON.stringify(snapshots, null, 2)}\n`);
+    return;
+  }
+  assert.ok(name in snapshots, `no snapshot "${name}" — run with UPDATE_SNAPSHOTS=1`);
+  assert.deepEqual(value, snapshots[name]);
+}
+
+function playMatchdays(count) {
+  for (let i = 0; i < count; i++) simulateMatchday({ kickoff: "2025-08-01T21:00:00.000Z" });
+}
+
+const tableLines = (leagueId) => getLeagueTable(leagueId).table.map((row) =>
+  `${row.position}. ${row.team} P${row.played} ${row.points}pts GD${row.goalDifference}`);
+
+const resultLines = (leagueId, matchday) => getResults(leagueId, matchday).results.map((r) =>
+  `${r.home} ${r.score} ${r.away}`);
+
+test("the same seed replays the same season", () => {
+  resetAndSync(SEED);
+  playMatchdays(5);
+  const first = LEAGUES.map((id) => resultLines(id));
+
+  resetAndSync(SEED);
+  playMatchdays(5);
+  assert.deepEqual(LEAGUES.map((id) => resultLines(id)), first);
+
+  resetAndSync(`${SEED}-other`);
+  playMatchdays(5);
+  assert.notDeepEqual(LEAGUES.map((id) => resultLines(id)), first);
+});
+
+test("tables and results after ten matchdays", () => {
+  resetAndSync(SEED);
+  playMatchdays(10);
+
+  for (const id of LEAGUES) {
+    matchSnapshot(`${id} table after matchday 10`, tableLines(id));
+    matchSnapshot(`${id} results on matchday 10`, resultLines(id, 10));
+  }
+});
+
+test("rollover after a full season", () => {
+  resetAndSync(SEED);
+  assert.equal(rolloverSeason().success, false, "a season in progress can't roll over");
+
+  let day;
+  do day = simulateMatchday({ kickoff: "2025-08-01T21:00:00.000Z" }); while (day.success);
+
+  const { success, previousSeason, leagues } = rolloverSeason();
+  assert.equal(success, true);
+  const { champions, playoffWinners, promoted, relegated, entered } = previousSeason;
+  matchSnapshot("season 1 rollover", { champions, playoffWinners, promoted, relegated, entered });
+  for (const league of leagues) assert.equal(league.teams.length, 24);
+});
@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resetAndSync } from "../leagues.js";
+import { createPlayer, getPlayer } from "../players.js";
+import { openNegotiation, proposeTerms, acceptTerms, getNegotiations } from "../negotiations.js";
+
+const NOW = new Date("2025-09-01T12:00:00.000Z");
+const hoursLater = (hours) => new Date(NOW.getTime() + hours * 3600 * 1000);
+
+resetAndSync("negotiations");
+
+function newPlayer(fields = {}) {
+  return createPlayer({
+    name: "Test Player",
+    age: 24,
+    position: "CM",
+    club: "Coventry City",
+    overall: 70,
+    potential: 74,
+    contract_expires: "2026-06-30",
+    wage: 12000,
+    ...fields,
+  }).player.id;
+}
+
+function openRenewal(playerId, now = NOW) {
+  const opened = openNegotiation(playerId, { type: "renewal" }, now);
+  assert.equal(opened.success, true, opened.message);
+  return opened.negotiation;
+}
+
+const ask = (talks, factor) => ({ wage: Math.round((talks.terms.wage * factor) / 100) * 100, contract_years: talks.terms.contract_years });
+
+test("the club opens with terms and keeps its ceiling to itself", () => {
+  const talks = openRenewal(newPlayer());
+  assert.equal(talks.status, "open");
+  assert.equal(talks.rounds_left, 3);
+  assert.equal(talks.limits, undefined);
+  assert.ok(talks.terms.wage >= 12000);
+});
+
+test("one set of talks at a time", () => {
+  const id = newPlayer();
+  openRenewal(id);
+  const again = openNegotiation(id, { type: "renewal" }, NOW);
+  assert.equal(again.code, "busy");
+});
+
+test("a modest ask is agreed and the new contract is signed", () => {
+  const id = newPlayer();
+  const talks = openRenewal(id);
+  const result = proposeTerms(id, talks.id, ask(talks, 1.05), NOW);
+
+  assert.equal(result.outcome, "agreed");
+  assert.equal(getPlayer(id).wage, ask(talks, 1.05).wage);
+  assert.equal(getPlayer(id).contract_expires, result.negotiation.agreed.contract_expires);
+});
+
+test("an ask over the ceiling gets a counter-offer part of the way", () => {
+  const id = newPlayer();
+  const talks = openRenewal(id);
+  const { wage } = ask(talks, 1.25);
+  const result = proposeTerms(id, talks.id, ask(talks, 1.25), NOW);
+
+  assert.equal(result.outcome, "countered");
+  assert.ok(result.negotiation.terms.wage > talks.terms.wage && result.negotiation.terms.wage < wage);
+  assert.equal(result.negotiation.rounds_left, 2);
+
+  assert.equal(acceptTerms(id, talks.id, NOW).outcome, "agreed");
+  assert.equal(getPlayer(id).wage, result.negotiation.terms.wage);
+});
+
+test("talks break down after three rounds without a deal", () => {
+  const id = newPlayer();
+  const talks = openRenewal(id);
+  const outcomes = [1, 2, 3].map(() => proposeTerms(id, talks.id, ask(talks, 1.25), NOW).outcome);
+  assert.deepEqual(outcomes, ["countered", "countered", "broken_off"]);
+  assert.equal(getNegotiations(id, NOW).history[0].status, "broken_off");
+});
+
+test("an outrageous ask ends talks, and the club won't reopen them for a day", () => {
+  const id = newPlayer();
+  const talks = openRenewal(id);
+  assert.equal(proposeTerms(id, talks.id, ask(talks, 2), NOW).outcome, "broken_off");
+
+  assert.equal(openNegotiation(id, { type: "renewal" }, hoursLater(1)).code, "cooling_off");
+  openRenewal(id, hoursLater(25));
+});
+
+test("clubs won't reopen a long contract", () => {
+  const id = newPlayer({ contract_expires: "2030-06-30" });
+  assert.equal(openNegotiation(id, { type: "renewal" }, NOW).code, "not_due");
+});
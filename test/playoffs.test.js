@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resetAndSync, simulateMatchday, getLeagueTable, getPlayoffs, rolloverSeason } from "../leagues.js";
+
+const KICKOFF = { kickoff: "2025-08-01T21:00:00.000Z" };
+
+function playTo(matchday) {
+  for (let day = simulateMatchday(KICKOFF); day.currentMatchday < matchday; day = simulateMatchday(KICKOFF));
+}
+
+test("the bracket is drawn from the final regular-season table", () => {
+  resetAndSync("playoffs");
+  playTo(45);
+  assert.equal(getPlayoffs("championship").status, "not_started");
+
+  playTo(46);
+  for (const [leagueId, [first, last]] of [["championship", [3, 6]], ["league1", [3, 6]], ["league2", [4, 7]]]) {
+    const table = getLeagueTable(leagueId).table;
+    const { seeds, semiFinals } = getPlayoffs(leagueId);
+    assert.deepEqual(seeds.map((s) => s.team), table.slice(first - 1, last).map((r) => r.team));
+
+    // Top seed plays the bottom one; the lower seed hosts the first leg
+    assert.deepEqual(semiFinals.map((sf) => [sf.high.seed, sf.low.seed]), [[first, last], [first + 1, last - 1]]);
+    for (const sf of semiFinals) assert.equal(sf.legs[0].home, sf.low.team);
+  }
+});
+
+test("the play-off winner takes the last promotion place", () => {
+  playTo(49);
+  const playoffs = getPlayoffs("league2");
+  assert.equal(playoffs.status, "complete");
+  assert.ok(playoffs.semiFinals.every((sf) => sf.winner && sf.aggregate));
+  assert.ok([playoffs.final.home, playoffs.final.away].includes(playoffs.winner));
+
+  const automatic = getLeagueTable("league2").table.slice(0, 3).map((r) => r.team);
+  const { previousSeason } = rolloverSeason();
+  assert.deepEqual(previousSeason.promoted.league2, [...automatic, playoffs.winner]);
+});
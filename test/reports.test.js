@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resetAndSync, simulateMatchday, getFixtures, getFixtureReport, rolloverSeason, setResult } from "../leagues.js";
+
+const KICKOFF = { kickoff: "2025-08-01T21:00:00.000Z" };
+const firstFixture = (matchday) => getFixtures("league1", matchday).fixtures[0];
+
+test("a report is kept from the day it was played and outlives a reset-sync", () => {
+  resetAndSync("reports-a");
+  simulateMatchday(KICKOFF);
+  const { id } = firstFixture(1);
+  const report = getFixtureReport("league1", id);
+  assert.equal(report.success, true);
+  assert.ok(report.report.events.length > 0);
+  assert.equal(report.report.lineups.home.starting.length, 11);
+
+  resetAndSync("reports-b");
+  simulateMatchday(KICKOFF);
+  assert.notEqual(firstFixture(1).id, id, "a new run hands out new ids");
+  assert.deepEqual(getFixtureReport("league1", id), report);
+});
+
+test("an admin change to a played match drops its report", () => {
+  const { id, home, away } = firstFixture(1);
+  assert.equal(setResult("league1", { matchday: 1, home, away, homeGoals: 4, awayGoals: 4, reason: "Scoring error" }).success, true);
+
+  const { success, report, fixture } = getFixtureReport("league1", id);
+  assert.equal(success, true);
+  assert.equal(fixture.score, "4-4");
+  assert.equal(report, null);
+});
+
+test("last season's fixtures still resolve after a rollover", () => {
+  resetAndSync("reports-c");
+  let day;
+  do day = simulateMatchday(KICKOFF); while (day.success);
+  const { id } = firstFixture(1);
+  const report = getFixtureReport("league1", id);
+
+  assert.equal(rolloverSeason().success, true);
+  assert.notEqual(firstFixture(1).id, id);
+  assert.deepEqual(getFixtureReport("league1", id), report);
+  assert.equal(report.season, 1);
+
+  assert.equal(getFixtureReport("league1", "league1-r9-s9-md01-0").success, false);
+  assert.equal(getFixtureReport("championship", id).success, false);
+});
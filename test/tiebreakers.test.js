@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { rankRows } from "../leagues.js";
+
+const EFL = [
+  "points", "goalDifference", "goalsFor",
+  "headToHeadPoints", "headToHeadGoalDifference", "headToHeadAwayGoals",
+  "awayGoalsFor", "won",
+];
+
+function row(team, fields = {}) {
+  return { team, points: 10, goalDifference: 0, goalsFor: 10, awayGoalsFor: 5, won: 3, ...fields };
+}
+
+function result(home, away, homeGoals, awayGoals) {
+  return { home, away, homeGoals, awayGoals, played: true };
+}
+
+const order = (rows, fixtures = [], rules = EFL) => rankRows(rows, rules, fixtures).map((r) => r.team);
+
+test("table columns come before head-to-head", () => {
+  const rows = [row("Alpha"), row("Bravo", { goalDifference: 3 }), row("Charlie", { points: 12 })];
+  const fixtures = [result("Alpha", "Bravo", 5, 0), result("Alpha", "Charlie", 5, 0)];
+  assert.deepEqual(order(rows, fixtures), ["Charlie", "Bravo", "Alpha"]);
+});
+
+test("head-to-head points separate teams level on points, goal difference and goals", () => {
+  const rows = [row("Alpha"), row("Bravo")];
+  const fixtures = [result("Alpha", "Bravo", 0, 1), result("Bravo", "Alpha", 1, 1)];
+  assert.deepEqual(order(rows, fixtures), ["Bravo", "Alpha"]);
+});
+
+test("head-to-head away goals settle a drawn mini-league", () => {
+  const rows = [row("Alpha"), row("Bravo")];
+  // A win each and level on goal difference: Alpha scored twice away, Bravo never
+  const fixtures = [result("Alpha", "Bravo", 1, 0), result("Bravo", "Alpha", 3, 2)];
+  assert.deepEqual(order(rows, fixtures), ["Alpha", "Bravo"]);
+});
+
+test("head-to-head starts again for the teams a head-to-head rule leaves level", () => {
+  const rows = [row("Alpha"), row("Bravo"), row("Charlie")];
+  // Across all three, Alpha and Bravo have 7 points and Charlie 2.
+  // Alpha's 6-0 gives it the better goal difference of the three,
+  // but between the two of them Bravo's 3-0 beats Alpha's 1-0
+  const fixtures = [
+    result("Alpha", "Bravo", 1, 0),
+    result("Bravo", "Alpha", 3, 0),
+    result("Alpha", "Charlie", 6, 0),
+    result("Charlie", "Alpha", 0, 0),
+    result("Bravo", "Charlie", 1, 0),
+    result("Charlie", "Bravo", 0, 0),
+  ];
+  assert.deepEqual(order(rows, fixtures), ["Bravo", "Alpha", "Charlie"]);
+});
+
+test("teams level on every rule keep their order, not the alphabet's", () => {
+  const rows = [row("Zulu"), row("Mike"), row("Alpha")];
+  assert.deepEqual(order(rows), ["Zulu", "Mike", "Alpha"]);
+});
+
+test("a league can rank on its own rules", () => {
+  const rows = [row("Alpha", { won: 2, goalDifference: 5 }), row("Bravo", { won: 4 })];
+  assert.deepEqual(order(rows, [], ["points", "won", "goalDifference"]), ["Bravo", "Alpha"]);
+  assert.deepEqual(order(rows), ["Alpha", "Bravo"]);
+});
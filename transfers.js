@@ -0,0 +1,366 @@
+// ──────────────────────────────────────────────
+// TRANSFER SWEEPS
+// Every 4 days the market moves: clubs weigh up each
+// player and some make concrete offers. Interest and
+// offers come from the player's overall, potential,
+// form, morale, age and contract length, set against
+// how big each EFL club is (its tier and table position).
+//
+// Offers stay open for 48 hours. Accepting one moves the
+// player to the new club on the offered wage and contract
+// (or the terms agreed in negotiations.js); any other open
+// offers are withdrawn.
+//
+// Config:
+//   TRANSFER_SWEEP_ENABLED=true
+//   TRANSFER_SWEEP_DAYS=4
+// ──────────────────────────────────────────────
+
+import { storage, createCollection } from "./storage.js";
+import { createRng, seedToState } from "./random.js";
+import { getTeams, getTeamContext, findTeam } from "./leagues.js";
+import { TIER_LEVELS } from "./squads.js";
+import {
+  getPlayer,
+  getPlayers,
+  updatePlayer,
+  clubIdFor,
+  estimateWage,
+  setTransferInterest,
+} from "./players.js";
+
+const STORAGE_KEY = "transfer_sweeps";
+const DAY_MS = 24 * 3600 * 1000;
+const OFFER_TTL_HOURS = 48;
+const MAX_INTERESTED = 4;
+const MAX_NEW_OFFERS = 2;
+
+// Bigger leagues pay more for the same player
+const TIER_WAGES = { 1: 1.2, 2: 0.8, 3: 0.6 };
+
+const offers = createCollection("transfer_offers"); // player id → offers, newest first
+const moves = createCollection("transfer_history"); // player id → completed moves
+
+const SWEEPS = {
+  enabled: false,
+  intervalDays: 4,
+  count: 0,
+  lastSweep: null, // ISO time of the last sweep
+  timer: null,
+};
+
+// ── VALUATION ─────────────────────────────────
+
+function yearsLeft(player, now) {
+  return (new Date(player.contract_expires) - now) / (365.25 * DAY_MS);
+}
+
+// What clubs see: current level, plus headroom for young players,
+// adjusted for form and morale
+function appeal(player) {
+  const headroom = Math.max(0, player.potential - player.overall);
+  const youth = player.age <= 23 ? 0.5 : player.age <= 27 ? 0.25 : 0;
+  const morale = { high: 1.5, medium: 0, low: -1.5 }[player.morale] ?? 0;
+  return player.overall + headroom * youth + (player.form_rating - 6.5) * 1.5 + morale;
+}
+
+// The tier's level, moved ±2 by table position
+function clubLevel({ team, tier }) {
+  const position = getTeamContext(team)?.position ?? 12;
+  return TIER_LEVELS[tier] + 2 - ((position - 1) / 23) * 4;
+}
+
+/**
+ * How big an EFL club is — its rough playing level and the wage
+ * multiplier for its tier. Null if the team isn't in the EFL.
+ */
+export function getClubStanding(teamName) {
+  const team = findTeam(teamName);
+  if (!team) return null;
+  return { team: team.team, league: team.league, tier: team.tier, level: clubLevel(team), wageFactor: TIER_WAGES[team.tier] };
+}
+
+// Running down a contract draws interest and cuts the fee
+function contractFactors(years) {
+  if (years <= 1) return { interest: 1.5, fee: 0.6 };
+  if (years <= 2) return { interest: 1.1, fee: 0.85 };
+  return { interest: 0.8, fee: 1 };
+}
+
+const roundTo = (n, step) => Math.round(n / step) * step;
+const millions = (n) => `${Math.round(n / 100000) / 10}M`;
+
+// ── SWEEP ─────────────────────────────────────
+
+function liveOffers(playerId, now) {
+  return (offers.get(playerId) || []).map((offer) =>
+    offer.status === "open" && new Date(offer.expires_at) <= now ? { ...offer, status: "expired" } : offer
+  );
+}
+
+function sweepPlayer(player, teams, sweep, now) {
+  const rng = createRng(seedToState(`sweep:${sweep}:${player.id}`));
+  const current = teams.find((t) => t.team === player.club);
+  const currentLevel = current ? current.level : TIER_LEVELS[3];
+  const years = yearsLeft(player, now);
+  const contract = contractFactors(years);
+  const rating = appeal(player);
+
+  // Clubs at least as big as the player's current one, and within reach
+  const interested = teams
+    .filter((t) => t.team !== player.club && t.level >= currentLevel - 1 && rating >= t.level - 3)
+    .filter((t) => rng.next() < Math.min(0.3, Math.max(0.02, 0.04 + 0.03 * (rating - t.level + 3))) * contract.interest)
+    .sort((a, b) => b.level - a.level)
+    .slice(0, MAX_INTERESTED)
+    .map((t) => {
+      const fit = rating - t.level + (player.form_rating >= 7.5 ? 1 : 0);
+      const fee = roundTo(player.value * (0.85 + rng.next() * 0.35) * contract.fee, 50000);
+      return {
+        club: t.team,
+        league: t.league,
+        likelihood: fit >= 3 ? "high" : fit >= 0 ? "medium" : "low",
+        offer_range: `${millions(fee * 0.85)}-${millions(fee * 1.15)}`,
+        fee,
+        tier: t.tier,
+      };
+    });
+
+  setTransferInterest(player.id, interested.map(({ fee, tier, ...interest }) => interest));
+
+  // Keen clubs turn interest into an offer, unless they already have one open
+  const existing = liveOffers(player.id, now);
+  const openClubs = new Set(existing.filter((o) => o.status === "open").map((o) => o.club));
+  const created = interested
+    .filter((t) => !openClubs.has(t.club))
+    .filter((t) => t.likelihood === "high" || (t.likelihood === "medium" && rng.next() < 0.4))
+    .slice(0, MAX_NEW_OFFERS)
+    .map((t, i) => {
+      const contractYears = player.age <= 23 ? 4 + Math.floor(rng.next() * 2) : player.age <= 29 ? 3 + Math.floor(rng.next() * 2) : 1 + Math.floor(rng.next() * 2);
+      return {
+        id: `${player.id}-s${sweep}-${i + 1}`,
+        club: t.club,
+        league: t.league,
+        fee: t.fee,
+        wage: roundTo(Math.max(player.wage * (1.05 + rng.next() * 0.25), estimateWage(player.overall) * TIER_WAGES[t.tier]), 100),
+        contract_years: contractYears,
+        status: "open",
+        sweep,
+        created_at: now.toISOString(),
+        expires_at: new Date(now.getTime() + OFFER_TTL_HOURS * 3600 * 1000).toISOString(),
+      };
+    });
+
+  offers.set(player.id, [...created, ...existing].slice(0, 20));
+  return { player_id: player.id, interested: interested.length, offers: created.length };
+}
+
+/**
+ * Run a transfer sweep now: refresh every player's interest and
+ * make new offers.
+ */
+export function runTransferSweep(now = new Date()) {
+  const teams = getTeams().map((t) => ({ ...t, level: clubLevel(t) }));
+  const sweep = SWEEPS.count + 1;
+
+  const players = getPlayers().map((player) => sweepPlayer(player, teams, sweep, now));
+
+  SWEEPS.count = sweep;
+  SWEEPS.lastSweep = now.toISOString();
+  saveState();
+
+  return {
+    success: true,
+    sweep,
+    at: SWEEPS.lastSweep,
+    offers_made: players.reduce((sum, p) => sum + p.offers, 0),
+    players,
+  };
+}
+
+// ── SCHEDULING ────────────────────────────────
+
+function saveState() {
+  storage.write(STORAGE_KEY, { count: SWEEPS.count, lastSweep: SWEEPS.lastSweep });
+}
+
+// Sweep numbers feed the offer ids, so pick up where we left off
+function loadState() {
+  const saved = storage.read(STORAGE_KEY);
+  SWEEPS.count = saved?.count ?? 0;
+  SWEEPS.lastSweep = saved?.lastSweep ?? null;
+}
+
+loadState();
+
+function nextSweepAt() {
+  if (!SWEEPS.lastSweep) return new Date();
+  return new Date(new Date(SWEEPS.lastSweep).getTime() + SWEEPS.intervalDays * DAY_MS);
+}
+
+function armTimer() {
+  clearTimeout(SWEEPS.timer);
+  const wait = Math.max(0, nextSweepAt().getTime() - Date.now());
+
+  SWEEPS.timer = setTimeout(() => {
+    try {
+      runTransferSweep();
+    } catch (err) {
+      console.error(`Transfers: sweep failed — ${err.message}`);
+    }
+    armTimer();
+  }, wait);
+}
+
+/**
+ * Start sweeping every `intervalDays`. A sweep that came due while
+ * the server was down runs once on boot (missed sweeps aren't
+ * replayed — their offers would already have expired).
+ */
+export function startTransferSweeps({
+  intervalDays = Number(process.env.TRANSFER_SWEEP_DAYS) || 4,
+} = {}) {
+  if (!(intervalDays > 0)) return { success: false, message: `Invalid sweep interval "${intervalDays}". Use a number of days, e.g. 4` };
+
+  SWEEPS.enabled = true;
+  SWEEPS.intervalDays = intervalDays;
+
+  const caughtUp = nextSweepAt() <= new Date();
+  if (caughtUp) runTransferSweep();
+  armTimer();
+
+  return { success: true, caughtUp, ...getTransferSweepStatus() };
+}
+
+/**
+ * Sweep schedule and the last sweep run.
+ */
+export function getTransferSweepStatus() {
+  return {
+    enabled: SWEEPS.enabled,
+    intervalDays: SWEEPS.intervalDays,
+    sweeps: SWEEPS.count,
+    lastSweep: SWEEPS.lastSweep,
+    nextSweep: SWEEPS.enabled ? nextSweepAt().toISOString() : null,
+  };
+}
+
+// ── OFFERS ────────────────────────────────────
+
+/**
+ * One of a player's offers (with its live status), or null.
+ */
+export function getOffer(playerId, offerId, now = new Date()) {
+  return liveOffers(playerId, now).find((o) => o.id === offerId) || null;
+}
+
+/**
+ * A player's offers, newest first, with expired ones marked.
+ * Null for unknown players.
+ */
+export function getOffers(playerId, now = new Date()) {
+  if (!getPlayer(playerId)) return null;
+  return liveOffers(playerId, now);
+}
+
+/**
+ * A player's completed moves, most recent first.
+ */
+export function getTransferHistory(playerId) {
+  return moves.get(playerId) || [];
+}
+
+function findOpenOffer(playerId, offerId, now) {
+  if (!getPlayer(playerId)) return { error: { success: false, notFound: true, message: `Unknown player: ${playerId}` } };
+
+  const list = liveOffers(playerId, now);
+  const offer = list.find((o) => o.id === offerId);
+  if (!offer) return { error: { success: false, notFound: true, message: `Unknown offer: ${offerId}` } };
+  if (offer.status !== "open") {
+    return { error: { success: false, conflict: true, message: `Offer ${offerId} is ${offer.status}` } };
+  }
+  return { list, offer };
+}
+
+/**
+ * Contracts run to the end of a season: "YYYY-06-30", `years` seasons on.
+ */
+export function contractEnd(now, years) {
+  const seasonEnd = now.getUTCMonth() >= 6 ? now.getUTCFullYear() + 1 : now.getUTCFullYear();
+  return `${seasonEnd + years - 1}-06-30`;
+}
+
+/**
+ * Accept an offer: the player joins the club on the offered wage and
+ * contract (or on negotiated `terms`), and every other open offer is
+ * withdrawn.
+ */
+export function acceptOffer(playerId, offerId, now = new Date(), terms = {}) {
+  const { error, list, offer } = findOpenOffer(playerId, offerId, now);
+  if (error) return error;
+  if (!findTeam(offer.club)) {
+    return { success: false, conflict: true, message: `${offer.club} are no longer in the EFL — the offer has lapsed` };
+  }
+
+  const player = getPlayer(playerId);
+  const wage = terms.wage ?? offer.wage;
+  const contractYears = terms.contract_years ?? offer.contract_years;
+  const result = updatePlayer(playerId, {
+    club: offer.club,
+    wage,
+    contract_expires: contractEnd(now, contractYears),
+  });
+  if (!result.success) return result;
+
+  const at = now.toISOString();
+  offers.set(playerId, list.map((o) => {
+    if (o.id === offerId) return { ...o, status: "accepted", decided_at: at };
+    if (o.status === "open") return { ...o, status: "withdrawn", decided_at: at };
+    return o;
+  }));
+  setTransferInterest(playerId, []);
+
+  const move = { from: player.club, to: offer.club, fee: offer.fee, wage, contract_years: contractYears, offer_id: offerId, at };
+  moves.set(playerId, [move, ...getTransferHistory(playerId)]);
+
+  return { success: true, player: result.player, offer: { ...offer, status: "accepted", decided_at: at }, move, club_id: clubIdFor(offer.club) };
+}
+
+/**
+ * Move a player whose club has left the EFL to `club`, keeping their
+ * wage and contract, and record it as a free transfer.
+ */
+export function relocatePlayer(playerId, club, now = new Date()) {
+  const player = getPlayer(playerId);
+  if (!player) return { success: false, notFound: true, message: `Unknown player: ${playerId}` };
+
+  const result = updatePlayer(playerId, { club });
+  if (!result.success) return result;
+
+  const move = { from: player.club, to: club, fee: 0, wage: player.wage, contract_years: null, offer_id: null, at: now.toISOString(), reason: "club_left_efl" };
+  moves.set(playerId, [move, ...getTransferHistory(playerId)]);
+  return { success: true, player: result.player, move };
+}
+
+/**
+ * Turn an offer down.
+ */
+export function rejectOffer(playerId, offerId, now = new Date()) {
+  const { error, list, offer } = findOpenOffer(playerId, offerId, now);
+  if (error) return error;
+
+  const decided = { ...offer, status: "rejected", decided_at: now.toISOString() };
+  offers.set(playerId, list.map((o) => (o.id === offerId ? decided : o)));
+  return { success: true, offer: decided };
+}
+
+/**
+ * The club pulls its offer (e.g. when contract talks break down).
+ */
+export function withdrawOffer(playerId, offerId, now = new Date()) {
+  const { error, list, offer } = findOpenOffer(playerId, offerId, now);
+  if (error) return error;
+
+  const decided = { ...offer, status: "withdrawn", decided_at: now.toISOString() };
+  offers.set(playerId, list.map((o) => (o.id === offerId ? decided : o)));
+  return { success: true, offer: decided };
+}